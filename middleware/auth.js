@@ -1,30 +1,141 @@
 const User = require("../models/User")
+const { touchSession, buildSessionUser } = require("../utils/sessions")
+const { getUserCapabilities } = require("../utils/permissions")
+const { getBearerToken, authenticateApiToken } = require("../utils/apiTokens")
+const { wantsJson } = require("./csrf")
+
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"]
+
+// Sessions that passed the password step but not the second factor are not authenticated
+const isHalfAuthenticated = (req) => !!req.session.pendingTwoFactor
+
+// A session created before the user's current password was set has been superseded
+const isSupersededSession = (sessionUser, user) =>
+  !!sessionUser.passwordChangedAt &&
+  !!user.passwordChangedAt &&
+  new Date(user.passwordChangedAt).getTime() > new Date(sessionUser.passwordChangedAt).getTime()
+
+// Browsers are sent to a login page, fetch() and /api callers get a JSON 401 instead
+const rejectUnauthenticated = (req, res, redirectPath = "/auth/login") => {
+  if (wantsJson(req)) {
+    return res.status(401).json({ success: false, message: "Authentication required" })
+  }
+  res.redirect(redirectPath)
+}
+
+const rejectForbidden = (req, res, message = "Access denied. Insufficient permissions.") => {
+  if (wantsJson(req)) {
+    return res.status(403).json({ success: false, message })
+  }
+  res.status(403).render("error", { message })
+}
 
 // Check if user is authenticated
-const requireAuth = (req, res, next) => {
+const requireAuth = async (req, res, next) => {
+  if (isHalfAuthenticated(req)) {
+    return rejectUnauthenticated(req, res, "/auth/two-factor")
+  }
   if (!req.session.user) {
-    return res.redirect("/auth/login")
+    return rejectUnauthenticated(req, res)
+  }
+
+  // Deactivated users and sessions older than the last password change are signed out
+  try {
+    const user = await User.findById(req.session.user._id).select("isActive passwordChangedAt").lean()
+    if (!user || !user.isActive || isSupersededSession(req.session.user, user)) {
+      console.log("Ending invalidated session for user:", req.session.user.employeeId)
+      return req.session.destroy(() => rejectUnauthenticated(req, res))
+    }
+  } catch (error) {
+    console.error("Session check error:", error)
+    return res.status(500).render("error", {
+      message: "Error checking session",
+    })
+  }
+  touchSession(req)
+
+  // Users holding an admin-issued password must change it before using anything else
+  const changePasswordPath = getChangePasswordPath(req.session.user.role)
+  if (req.session.user.mustChangePassword && changePasswordPath && req.originalUrl.split("?")[0] !== changePasswordPath) {
+    if (wantsJson(req)) {
+      return rejectForbidden(req, res, "You must change your password before continuing")
+    }
+    return res.redirect(changePasswordPath)
   }
   next()
 }
 
+// /api authentication: a personal API token in "Authorization: Bearer", otherwise the browser session.
+// Token requests get a throwaway session object (see server.js), filled here with the token owner.
+const requireApiAuth = async (req, res, next) => {
+  const token = getBearerToken(req)
+  if (!token) {
+    return requireAuth(req, res, next)
+  }
+
+  try {
+    const result = await authenticateApiToken(token, req.ip)
+    if (!result) {
+      return res.status(401).json({ success: false, message: "Invalid, expired or revoked API token" })
+    }
+    if (!SAFE_METHODS.includes(req.method) && result.apiToken.scope !== "write") {
+      return res.status(403).json({ success: false, message: "This API token is read-only" })
+    }
+
+    req.apiToken = result.apiToken
+    req.session.user = buildSessionUser(result.user)
+    next()
+  } catch (error) {
+    console.error("API token check error:", error)
+    res.status(500).json({ success: false, message: "Error checking API token" })
+  }
+}
+
 // Check if user has specific role
 const requireRole = (roles) => {
   return (req, res, next) => {
+    if (isHalfAuthenticated(req)) {
+      return rejectUnauthenticated(req, res, "/auth/two-factor")
+    }
     if (!req.session.user) {
-      return res.redirect("/auth/login")
+      return rejectUnauthenticated(req, res)
     }
 
     if (!roles.includes(req.session.user.role)) {
-      return res.status(403).render("error", {
-        message: "Access denied. Insufficient permissions.",
-      })
+      return rejectForbidden(req, res)
     }
 
     next()
   }
 }
 
+// Check that the user's role grants at least one of the given capabilities (see utils/permissions.js)
+const requirePermission = (capabilities) => {
+  const required = Array.isArray(capabilities) ? capabilities : [capabilities]
+
+  return async (req, res, next) => {
+    if (isHalfAuthenticated(req)) {
+      return rejectUnauthenticated(req, res, "/auth/two-factor")
+    }
+    if (!req.session.user) {
+      return rejectUnauthenticated(req, res)
+    }
+
+    try {
+      const granted = await getUserCapabilities(req.session.user)
+      if (!required.some((capability) => granted.includes(capability))) {
+        return rejectForbidden(req, res)
+      }
+      next()
+    } catch (error) {
+      console.error("Permission check error:", error)
+      res.status(500).render("error", {
+        message: "Error checking permissions",
+      })
+    }
+  }
+}
+
 // Check if HOD can access specific department
 const requireDepartmentAccess = async (req, res, next) => {
   try {
@@ -52,8 +163,17 @@ const requireDepartmentAccess = async (req, res, next) => {
   }
 }
 
+// Change password page for a role (admins manage their password elsewhere)
+function getChangePasswordPath(role) {
+  if (role === "hod") return "/hod/change-password"
+  if (role === "employee") return "/employee/change-password"
+  return null
+}
+
 module.exports = {
   requireAuth,
+  requireApiAuth,
   requireRole,
+  requirePermission,
   requireDepartmentAccess,
 }
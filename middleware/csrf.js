@@ -0,0 +1,66 @@
+const crypto = require("crypto")
+const { isApiTokenRequest } = require("../utils/apiTokens")
+
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"]
+const CSRF_HEADER = "X-CSRF-Token"
+const CSRF_FIELD = "_csrf"
+
+// Upload forms whose multipart body is only parsed by their route's multer middleware.
+// The token check waits for that route, which runs verifyCsrfToken again once req.body is filled.
+const UPLOAD_PATHS = ["/admin/employees/import"]
+
+// Per-session synchronizer token, created on first use
+const getCsrfToken = (req) => {
+  if (!req.session.csrfToken) {
+    req.session.csrfToken = crypto.randomBytes(32).toString("hex")
+  }
+  return req.session.csrfToken
+}
+
+const tokensMatch = (expected, received) => {
+  if (typeof expected !== "string" || typeof received !== "string") {
+    return false
+  }
+  const a = Buffer.from(expected)
+  const b = Buffer.from(received)
+  return a.length === b.length && crypto.timingSafeEqual(a, b)
+}
+
+// fetch() callers get JSON back, form posts get the error page
+const wantsJson = (req) =>
+  req.xhr ||
+  req.is("application/json") ||
+  (req.get("Accept") || "").includes("application/json") ||
+  req.originalUrl.startsWith("/api/")
+
+// Reject state-changing requests whose form field or header does not match the session token
+const verifyCsrfToken = (req, res, next) => {
+  // API token requests carry no cookies, so there is nothing to forge
+  if (SAFE_METHODS.includes(req.method) || isApiTokenRequest(req)) {
+    return next()
+  }
+
+  if (!req.csrfDeferred && req.is("multipart/form-data") && UPLOAD_PATHS.includes(req.originalUrl.split("?")[0])) {
+    req.csrfDeferred = true
+    return next()
+  }
+
+  const received = (req.body && req.body[CSRF_FIELD]) || req.get(CSRF_HEADER)
+  if (tokensMatch(req.session.csrfToken, received)) {
+    return next()
+  }
+
+  console.warn("CSRF token mismatch:", req.method, req.originalUrl, "from", req.ip)
+
+  const message = "Your session has expired or the form is out of date. Please reload the page and try again."
+  if (wantsJson(req)) {
+    return res.status(403).json({ success: false, message })
+  }
+  res.status(403).render("error", { message })
+}
+
+module.exports = {
+  getCsrfToken,
+  verifyCsrfToken,
+  wantsJson,
+}
@@ -0,0 +1,36 @@
+const ImpersonationLog = require("../models/ImpersonationLog")
+const { wantsJson } = require("./csrf")
+
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"]
+// Requests that must keep working while an admin is viewing as another user
+const ALLOWED_WRITE_PATHS = ["/account/impersonation/stop", "/auth/logout"]
+
+// Block state-changing requests during "view as user" unless the admin allowed writes when starting
+const blockImpersonatedWrites = async (req, res, next) => {
+  const impersonator = req.session.impersonator
+  if (
+    !impersonator ||
+    impersonator.allowWrites ||
+    SAFE_METHODS.includes(req.method) ||
+    ALLOWED_WRITE_PATHS.includes(req.path)
+  ) {
+    return next()
+  }
+
+  console.warn("Blocked write during impersonation:", req.method, req.originalUrl, "by", impersonator.user.employeeId)
+  try {
+    await ImpersonationLog.findByIdAndUpdate(impersonator.logId, { $inc: { blockedWriteCount: 1 } })
+  } catch (error) {
+    console.error("Impersonation log update error:", error)
+  }
+
+  const message = "Changes are disabled while viewing as another user. Return to your admin account to make changes."
+  if (wantsJson(req)) {
+    return res.status(403).json({ success: false, message })
+  }
+  res.status(403).render("error", { message })
+}
+
+module.exports = {
+  blockImpersonatedWrites,
+}
@@ -0,0 +1,62 @@
+const mongoose = require("mongoose")
+
+// Personal access token for calling /api without a browser session (utils/apiTokens.js)
+const apiTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Only the SHA-256 of the token is stored; the token itself is shown once when created
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    // First characters of the token so the owner can recognise it
+    tokenPrefix: {
+      type: String,
+      required: true,
+    },
+    // read = GET requests only, write = every method
+    scope: {
+      type: String,
+      enum: ["read", "write"],
+      default: "read",
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedIp: {
+      type: String,
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+apiTokenSchema.index({ user: 1, createdAt: -1 })
+
+apiTokenSchema.virtual("isExpired").get(function () {
+  return this.expiresAt.getTime() <= Date.now()
+})
+
+module.exports = mongoose.model("ApiToken", apiTokenSchema)
@@ -0,0 +1,62 @@
+const mongoose = require("mongoose")
+
+// Authentication and account security events (utils/authEvents.js), kept for the configured retention period
+const authEventSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["login.success", "login.failure", "logout", "password.change", "role.change", "two_factor.reset"],
+      required: true,
+    },
+    // The account the event is about; null for failed logins with an unknown Employee ID
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // Employee ID as typed or as held at the time, so events stay readable after a user is deleted
+    employeeId: {
+      type: String,
+      default: null,
+    },
+    // Who made the change when it was not the user themselves (e.g. an admin editing an employee)
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // How the user authenticated: password, ldap or oidc
+    method: {
+      type: String,
+      default: null,
+    },
+    // Machine-readable cause, e.g. bad_password or locked_out for failures
+    reason: {
+      type: String,
+      default: null,
+    },
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    ip: {
+      type: String,
+      default: null,
+    },
+    userAgent: {
+      type: String,
+      default: null,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+)
+
+authEventSchema.index({ createdAt: -1 })
+authEventSchema.index({ user: 1, createdAt: -1 })
+authEventSchema.index({ employeeId: 1, createdAt: -1 })
+authEventSchema.index({ type: 1, createdAt: -1 })
+
+module.exports = mongoose.model("AuthEvent", authEventSchema)
@@ -0,0 +1,51 @@
+const mongoose = require("mongoose")
+
+// Admin-defined employee profile field (designation, grade, cost center...) - values live in User.customFields
+const customFieldSchema = new mongoose.Schema(
+  {
+    // Generated from the label when the field is created and never changed, so stored values stay attached
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+      immutable: true,
+    },
+    label: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Fixed after creation - existing values would not match a new type
+    type: {
+      type: String,
+      enum: ["text", "select", "date", "number"],
+      required: true,
+      immutable: true,
+    },
+    // Choices for select fields
+    options: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
+    required: {
+      type: Boolean,
+      default: false,
+    },
+    // Position in forms, tables and exports (lowest first)
+    order: {
+      type: Number,
+      default: 0,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+module.exports = mongoose.model("CustomField", customFieldSchema)
@@ -23,10 +23,52 @@ const departmentSchema = new mongoose.Schema(
         ref: "User",
       },
     ],
+    // false while the department is archived (utils/departmentArchive.js); reviews keep pointing to it
     isActive: {
       type: Boolean,
       default: true,
     },
+    archivedAt: {
+      type: Date,
+      default: null,
+    },
+    archivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // What archiving moved out of the department, so a restore can move it back
+    archiveMoves: {
+      targetDepartment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Department",
+        default: null,
+      },
+      employees: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+      ],
+      subDepartments: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Department",
+        },
+      ],
+      archivedQuestions: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Question",
+        },
+      ],
+      reassignedQuestions: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Question",
+        },
+      ],
+    },
   },
   {
     timestamps: true,
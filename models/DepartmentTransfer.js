@@ -0,0 +1,45 @@
+const mongoose = require("mongoose")
+
+// One move of an employee between departments, effective from effectiveDate (utils/transfers.js).
+// User.department always holds the department of the latest transfer.
+const departmentTransferSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    fromDepartment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Department",
+      default: null,
+    },
+    toDepartment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Department",
+      required: true,
+    },
+    effectiveDate: {
+      type: Date,
+      required: true,
+    },
+    reason: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    // Admin who recorded the transfer (an edit of the employee form counts as a transfer effective immediately)
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+departmentTransferSchema.index({ user: 1, effectiveDate: 1 })
+
+module.exports = mongoose.model("DepartmentTransfer", departmentTransferSchema)
@@ -0,0 +1,74 @@
+const mongoose = require("mongoose")
+
+// One reconciliation of an HRIS roster file against User and Department (utils/hrisSync.js).
+// A preview only records what would change; applying it re-checks the same file and records what did.
+const hrisSyncRunSchema = new mongoose.Schema(
+  {
+    fileName: {
+      type: String,
+      required: true,
+    },
+    fileModifiedAt: {
+      type: Date,
+      default: null,
+    },
+    // SHA-256 of the file, so the scheduler handles each drop once and an apply uses the previewed file
+    fileHash: {
+      type: String,
+      required: true,
+    },
+    trigger: {
+      type: String,
+      enum: ["schedule", "admin"],
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["preview", "applied", "failed"],
+      required: true,
+    },
+    startedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    appliedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    appliedAt: {
+      type: Date,
+      default: null,
+    },
+    summary: {
+      rows: { type: Number, default: 0 },
+      created: { type: Number, default: 0 },
+      updated: { type: Number, default: 0 },
+      unchanged: { type: Number, default: 0 },
+      deactivated: { type: Number, default: 0 },
+      missing: { type: Number, default: 0 },
+      skipped: { type: Number, default: 0 },
+      errors: { type: Number, default: 0 },
+      departmentsCreated: { type: Number, default: 0 },
+    },
+    // Diff report: { created, updated, deactivated, missing, skipped, errors, departmentsCreated } entry lists
+    report: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    // Why the whole run failed (unreadable file, roster that looks incomplete...)
+    error: {
+      type: String,
+      default: "",
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+hrisSyncRunSchema.index({ createdAt: -1 })
+hrisSyncRunSchema.index({ fileHash: 1 })
+
+module.exports = mongoose.model("HrisSyncRun", hrisSyncRunSchema)
@@ -0,0 +1,61 @@
+const mongoose = require("mongoose")
+
+// Audit record for every "view as user" session an admin starts
+const impersonationLogSchema = new mongoose.Schema(
+  {
+    admin: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    startedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    endedAt: {
+      type: Date,
+      default: null,
+    },
+    // How the impersonation ended: the admin clicked "return", or logged out
+    endReason: {
+      type: String,
+      enum: ["stopped", "logout", null],
+      default: null,
+    },
+    // Write actions are blocked unless the admin explicitly allowed them when starting
+    allowWrites: {
+      type: Boolean,
+      default: false,
+    },
+    blockedWriteCount: {
+      type: Number,
+      default: 0,
+    },
+    ip: {
+      type: String,
+      default: null,
+    },
+    userAgent: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+impersonationLogSchema.index({ startedAt: -1 })
+impersonationLogSchema.index({ admin: 1, startedAt: -1 })
+impersonationLogSchema.index({ target: 1, startedAt: -1 })
+
+impersonationLogSchema.virtual("isActive").get(function () {
+  return !this.endedAt
+})
+
+module.exports = mongoose.model("ImpersonationLog", impersonationLogSchema)
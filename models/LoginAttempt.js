@@ -0,0 +1,52 @@
+const mongoose = require("mongoose")
+
+// Failed login counters, kept per Employee ID and per client IP so lock state survives restarts
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    scope: {
+      type: String,
+      enum: ["employeeId", "ip"],
+      required: true,
+    },
+    key: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    failedCount: {
+      type: Number,
+      default: 0,
+    },
+    lastFailedAt: {
+      type: Date,
+      default: null,
+    },
+    // Progressive delay - attempts before this time are rejected without checking the password
+    nextAttemptAt: {
+      type: Date,
+      default: null,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    lockCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+loginAttemptSchema.index({ scope: 1, key: 1 }, { unique: true })
+loginAttemptSchema.index({ lockedUntil: 1 })
+// Forget counters that have not been touched for a week
+loginAttemptSchema.index({ updatedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 })
+
+loginAttemptSchema.virtual("isLocked").get(function () {
+  return !!this.lockedUntil && this.lockedUntil > new Date()
+})
+
+module.exports = mongoose.model("LoginAttempt", loginAttemptSchema)
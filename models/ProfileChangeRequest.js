@@ -0,0 +1,58 @@
+const mongoose = require("mongoose")
+
+// Changes to sensitive self-service profile fields waiting for an admin (utils/profile.js).
+// A user has at most one pending request; submitting the profile again replaces its changes.
+const profileChangeRequestSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    changes: [
+      {
+        _id: false,
+        field: {
+          type: String,
+          required: true,
+        },
+        from: {
+          type: String,
+          default: "",
+        },
+        to: {
+          type: String,
+          default: "",
+        },
+      },
+    ],
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected"],
+      default: "pending",
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    reviewedAt: {
+      type: Date,
+      default: null,
+    },
+    // Shown to the user when a request is rejected
+    reviewNote: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+profileChangeRequestSchema.index({ user: 1, status: 1 })
+profileChangeRequestSchema.index({ status: 1, createdAt: -1 })
+
+module.exports = mongoose.model("ProfileChangeRequest", profileChangeRequestSchema)
@@ -0,0 +1,61 @@
+const mongoose = require("mongoose")
+
+// Persistent "remember me" login (utils/rememberMe.js). The cookie holds series + token; the token
+// rotates on every use, so a stale token presented for a live series means the cookie was copied.
+const rememberTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    series: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+    },
+    // The token replaced by the last rotation, accepted briefly for requests that were already in flight
+    previousTokenHash: {
+      type: String,
+      default: null,
+    },
+    rotatedAt: {
+      type: Date,
+      default: null,
+    },
+    // How the user originally signed in: password, ldap or oidc
+    authMethod: {
+      type: String,
+      default: "password",
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    ip: {
+      type: String,
+      default: null,
+    },
+    userAgent: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+rememberTokenSchema.index({ user: 1 })
+// MongoDB removes tokens once they expire
+rememberTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+module.exports = mongoose.model("RememberToken", rememberTokenSchema)
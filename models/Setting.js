@@ -0,0 +1,216 @@
+const mongoose = require("mongoose")
+
+// System-wide settings edited by admins - stored as a single document
+const settingSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      default: "global",
+      unique: true,
+    },
+    // Two-factor authentication requirement per role
+    twoFactor: {
+      admin: {
+        type: String,
+        enum: ["off", "optional", "required"],
+        default: "optional",
+      },
+      hod: {
+        type: String,
+        enum: ["off", "optional", "required"],
+        default: "optional",
+      },
+    },
+    // Password rules enforced on every password-setting path (utils/passwordPolicy.js)
+    passwordPolicy: {
+      minLength: {
+        type: Number,
+        default: 6,
+        min: 4,
+        max: 128,
+      },
+      requireUppercase: {
+        type: Boolean,
+        default: false,
+      },
+      requireLowercase: {
+        type: Boolean,
+        default: false,
+      },
+      requireNumber: {
+        type: Boolean,
+        default: false,
+      },
+      requireSymbol: {
+        type: Boolean,
+        default: false,
+      },
+      // Number of previous passwords that cannot be reused (0 = no check)
+      historyCount: {
+        type: Number,
+        default: 0,
+        min: 0,
+        max: 24,
+      },
+      // Days after which a password must be changed (0 = never expires)
+      expiryDays: {
+        type: Number,
+        default: 0,
+        min: 0,
+        max: 3650,
+      },
+    },
+    // Capability sets per role key (utils/permissions.js); unset roles use the built-in defaults
+    rolePermissions: {
+      admin: {
+        type: [String],
+        default: undefined,
+      },
+      hodHigher: {
+        type: [String],
+        default: undefined,
+      },
+      hodLower: {
+        type: [String],
+        default: undefined,
+      },
+      employee: {
+        type: [String],
+        default: undefined,
+      },
+    },
+    // OpenID Connect single sign-on (utils/oidc.js); the provider connection itself comes from OIDC_* env vars
+    oidc: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      // How an identity is linked to an existing user
+      matchBy: {
+        type: String,
+        enum: ["employeeId", "email", "employeeIdOrEmail"],
+        default: "employeeIdOrEmail",
+      },
+      // Create an employee account on first sign-in when no user matches
+      autoProvision: {
+        type: Boolean,
+        default: false,
+      },
+      defaultDepartment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Department",
+        default: null,
+      },
+    },
+    // LDAP / Active Directory bind authentication (utils/ldap.js); the server connection comes from LDAP_* env vars
+    ldap: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      // Directory attribute holding the value users type as their Employee ID
+      employeeIdAttribute: {
+        type: String,
+        default: "employeeID",
+        trim: true,
+      },
+      // People missing from the directory (e.g. the built-in admin) keep using their local password
+      allowLocalFallback: {
+        type: Boolean,
+        default: true,
+      },
+      // Set role and hodLevel from group membership on every directory login
+      syncRoles: {
+        type: Boolean,
+        default: false,
+      },
+      groupAttribute: {
+        type: String,
+        default: "memberOf",
+        trim: true,
+      },
+      adminGroup: {
+        type: String,
+        default: "",
+        trim: true,
+      },
+      hodHigherGroup: {
+        type: String,
+        default: "",
+        trim: true,
+      },
+      hodLowerGroup: {
+        type: String,
+        default: "",
+        trim: true,
+      },
+    },
+    // Whether each role may still sign in with Employee ID and password (only enforced while SSO is enabled)
+    passwordLogin: {
+      admin: {
+        type: Boolean,
+        default: true,
+      },
+      hod: {
+        type: Boolean,
+        default: true,
+      },
+      employee: {
+        type: Boolean,
+        default: true,
+      },
+    },
+    // Self-service profile fields (utils/profile.js) whose changes wait for admin approval
+    profileApprovalFields: {
+      type: [String],
+      default: ["name", "email"],
+    },
+    // Nightly HRIS roster sync (utils/hrisSync.js); the drop folder itself comes from HRIS_SYNC_DIR
+    hrisSync: {
+      // off: no scheduled runs, preview: record a preview of each new file for an admin to apply, apply: apply it
+      mode: {
+        type: String,
+        enum: ["off", "preview", "apply"],
+        default: "off",
+      },
+      // Days someone may be missing from the roster before they are deactivated
+      graceDays: {
+        type: Number,
+        default: 7,
+        min: 0,
+        max: 365,
+      },
+      // Create departments named in the roster that do not exist yet
+      createDepartments: {
+        type: Boolean,
+        default: false,
+      },
+    },
+    // Days to keep login and security events (utils/authEvents.js); 0 keeps them forever
+    authEventRetentionDays: {
+      type: Number,
+      default: 365,
+      min: 0,
+      max: 3650,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Load the settings document, creating it with defaults on first use
+settingSchema.statics.getSettings = async function () {
+  let settings = await this.findOne({ key: "global" })
+  if (!settings) {
+    settings = await this.create({ key: "global" })
+  }
+  return settings
+}
+
+module.exports = mongoose.model("Setting", settingSchema)
@@ -12,6 +12,16 @@ const userSchema = new mongoose.Schema(
       required: true,
       lowercase: true,
     },
+    // Contact details the user maintains on their profile page (utils/profile.js)
+    phone: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    preferredLanguage: {
+      type: String,
+      default: "en",
+    },
     password: {
       type: String,
       required: true,
@@ -40,6 +50,18 @@ const userSchema = new mongoose.Schema(
         return this.role === "hod"
       },
     },
+    // Direct manager within the organisation (utils/orgChart.js rejects reporting cycles)
+    reportsTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // Values of the admin-defined profile fields keyed by CustomField.key (utils/customFields.js)
+    customFields: {
+      type: Map,
+      of: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
     joiningDate: {
       type: Date,
       default: Date.now,
@@ -48,10 +70,78 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // Set when an admin offboards the user (isActive false); their reviews stay in place
+    exitDate: {
+      type: Date,
+      default: null,
+    },
+    exitReason: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    offboardedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // First applied HRIS roster sync the user was missing from (utils/hrisSync.js); cleared when they reappear
+    rosterMissingSince: {
+      type: Date,
+      default: null,
+    },
+    passwordChangedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // bcrypt hashes of previous passwords, newest first (password policy reuse check)
+    passwordHistory: {
+      type: [String],
+      default: [],
+      select: false,
+    },
+    // Set when an admin creates or resets the password - the user must pick their own before doing anything else
+    mustChangePassword: {
+      type: Boolean,
+      default: false,
+    },
+    // TOTP two-factor authentication (admins and HODs)
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    twoFactorSecret: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    // TOTP time step of the last accepted code - codes from that step or earlier are not accepted again
+    twoFactorLastStep: {
+      type: Number,
+      default: null,
+      select: false,
+    },
+    // SHA-256 hashes of unused recovery codes
+    twoFactorRecoveryCodes: {
+      type: [String],
+      default: [],
+      select: false,
+    },
+    // Self-service password reset - only the SHA-256 hash of the emailed token is stored
+    passwordResetToken: {
+      type: String,
+      default: null,
+    },
+    passwordResetExpires: {
+      type: Date,
+      default: null,
+    },
   },
   {
     timestamps: true,
   },
 )
 
+userSchema.index({ reportsTo: 1 })
+
 module.exports = mongoose.model("User", userSchema)
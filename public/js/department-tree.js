@@ -0,0 +1,99 @@
+// Departments page - drag a department onto another to move it underneath, or onto the top bar to make it a
+// main department. The server rejects moves under the department's own sub-departments.
+
+let draggedDepartment = null
+
+function canDropOn(target) {
+  if (!draggedDepartment) {
+    return false
+  }
+  // Not onto itself or anything inside it
+  const node = target.closest(".department-node")
+  return !node || !draggedDepartment.contains(node)
+}
+
+async function moveDepartment(departmentId, parentId) {
+  try {
+    const response = await fetch(`/admin/departments/${departmentId}/parent`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "X-CSRF-Token": getCsrfToken(),
+      },
+      body: JSON.stringify({ parentDepartment: parentId }),
+    })
+
+    const result = await response.json()
+
+    if (result.success) {
+      showAlert(result.message, "success")
+      setTimeout(() => {
+        location.reload()
+      }, 1000)
+    } else {
+      showAlert("Error: " + result.message, "error")
+    }
+  } catch (error) {
+    console.error("Error moving department:", error)
+    showAlert("Error moving department. Please try again.", "error")
+  }
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  const tree = document.getElementById("departmentTree")
+  if (!tree) {
+    return
+  }
+
+  tree.addEventListener("dragstart", (event) => {
+    const node = event.target.closest(".department-node")
+    if (!node) {
+      return
+    }
+    draggedDepartment = node
+    node.classList.add("dragging")
+    event.dataTransfer.effectAllowed = "move"
+    event.dataTransfer.setData("text/plain", node.dataset.departmentId)
+  })
+
+  tree.addEventListener("dragend", () => {
+    if (draggedDepartment) {
+      draggedDepartment.classList.remove("dragging")
+    }
+    draggedDepartment = null
+    tree.querySelectorAll(".drop-target").forEach((element) => element.classList.remove("drop-target"))
+  })
+
+  tree.addEventListener("dragover", (event) => {
+    const target = event.target.closest("[data-drop-parent]")
+    if (target && canDropOn(target)) {
+      event.preventDefault()
+      event.dataTransfer.dropEffect = "move"
+      target.classList.add("drop-target")
+    }
+  })
+
+  tree.addEventListener("dragleave", (event) => {
+    const target = event.target.closest("[data-drop-parent]")
+    if (target && !target.contains(event.relatedTarget)) {
+      target.classList.remove("drop-target")
+    }
+  })
+
+  tree.addEventListener("drop", (event) => {
+    const target = event.target.closest("[data-drop-parent]")
+    if (!target || !canDropOn(target)) {
+      return
+    }
+    event.preventDefault()
+    target.classList.remove("drop-target")
+
+    const departmentId = draggedDepartment.dataset.departmentId
+    const parentId = target.dataset.dropParent
+    const currentParent = draggedDepartment.parentElement.closest(".department-node")
+    if ((currentParent ? currentParent.dataset.departmentId : "") === parentId) {
+      return
+    }
+    moveDepartment(departmentId, parentId)
+  })
+})
@@ -0,0 +1,154 @@
+// Employee directory - "Load More" appends the next page from the JSON variant of /admin/employees,
+// and the bulk action form works on the ticked rows
+
+function createCell(content) {
+  const cell = document.createElement("td")
+  if (content instanceof Node) {
+    cell.appendChild(content)
+  } else {
+    cell.textContent = content
+  }
+  return cell
+}
+
+// Same columns as the server-rendered rows in views/admin/employees.ejs
+function createEmployeeRow(employee, customFieldKeys) {
+  const row = document.createElement("tr")
+
+  const select = document.createElement("input")
+  select.type = "checkbox"
+  select.name = "employees"
+  select.value = employee._id
+  select.className = "employee-select"
+  select.setAttribute("form", "bulkForm")
+  select.setAttribute("aria-label", `Select ${employee.name}`)
+  row.appendChild(createCell(select))
+
+  const name = document.createElement("span")
+  const strong = document.createElement("strong")
+  strong.textContent = employee.name
+  name.appendChild(strong)
+  if (!employee.isActive) {
+    const badge = document.createElement("span")
+    badge.className = "status-badge status-inactive"
+    badge.textContent = "Inactive"
+    name.append(" ", badge)
+  }
+  row.appendChild(createCell(name))
+  row.appendChild(createCell(employee.employeeId))
+  row.appendChild(createCell(employee.email))
+
+  const role = document.createElement("span")
+  role.className = `role-badge role-${employee.role}`
+  role.textContent = employee.role.toUpperCase() + (employee.hodLevel ? ` (${employee.hodLevel})` : "")
+  row.appendChild(createCell(role))
+
+  row.appendChild(createCell(employee.department ? employee.department.path : "Not Assigned"))
+  row.appendChild(createCell(new Date(employee.joiningDate).toLocaleDateString()))
+  customFieldKeys.forEach((key) => row.appendChild(createCell(employee.customFields[key] || "-")))
+
+  const edit = document.createElement("a")
+  edit.href = `/admin/employees/${employee._id}/edit`
+  edit.className = "btn btn-sm btn-outline"
+  edit.innerHTML = '<i class="fas fa-edit"></i> Edit'
+  row.appendChild(createCell(edit))
+  return row
+}
+
+async function loadMoreEmployees(button) {
+  const table = document.getElementById("employeeDirectory")
+  const shown = document.getElementById("directoryShown")
+  const customFieldKeys = JSON.parse(table.dataset.customFields)
+  const nextPage = Number(button.dataset.nextPage)
+
+  const params = new URLSearchParams(button.dataset.query)
+  params.set("page", nextPage)
+
+  const originalText = button.innerHTML
+  button.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Loading...'
+  button.classList.add("disabled")
+
+  try {
+    const response = await fetch(`/admin/employees?${params.toString()}`, {
+      headers: { Accept: "application/json" },
+    })
+    const data = await response.json()
+    if (!data.success) {
+      throw new Error(data.message)
+    }
+
+    const tbody = table.querySelector("tbody")
+    data.employees.forEach((employee) => tbody.appendChild(createEmployeeRow(employee, customFieldKeys)))
+
+    const first = Number(shown.dataset.first)
+    shown.textContent = `${first}-${first + tbody.rows.length - 1}`
+
+    if (data.page >= data.pageCount) {
+      button.remove()
+      return
+    }
+    button.dataset.nextPage = data.page + 1
+    params.set("page", data.page + 1)
+    button.href = `/admin/employees?${params.toString()}`
+  } catch (error) {
+    console.error("Load more employees error:", error)
+    alert("Could not load more employees. Please try again.")
+  }
+  button.innerHTML = originalText
+  button.classList.remove("disabled")
+}
+
+function getSelectedEmployees() {
+  return document.querySelectorAll(".employee-select:checked")
+}
+
+function updateSelectedCount() {
+  document.getElementById("bulkSelectedCount").textContent = getSelectedEmployees().length
+}
+
+// Show only the inputs the chosen bulk action needs
+function toggleBulkFields() {
+  const action = document.getElementById("bulkAction").value
+  const role = document.getElementById("bulkRole").value
+  document.querySelectorAll(".bulk-field").forEach((field) => {
+    const visible = field.dataset.action === action && (!field.dataset.role || field.dataset.role === role)
+    field.style.display = visible ? "" : "none"
+    field.querySelectorAll("input, select").forEach((input) => {
+      input.required = visible && input.name !== "role"
+    })
+  })
+}
+
+function confirmBulkAction(form) {
+  const count = getSelectedEmployees().length
+  if (count === 0) {
+    alert("Select at least one employee first.")
+    return false
+  }
+  const action = form.querySelector("#bulkAction")
+  return confirm(`${action.options[action.selectedIndex].text} for ${count} employee${count === 1 ? "" : "s"}?`)
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  const table = document.getElementById("employeeDirectory")
+  if (table) {
+    toggleBulkFields()
+    table.addEventListener("change", (event) => {
+      if (event.target.id === "selectAllEmployees") {
+        document.querySelectorAll(".employee-select").forEach((checkbox) => (checkbox.checked = event.target.checked))
+      }
+      updateSelectedCount()
+    })
+  }
+
+  const button = document.getElementById("loadMoreEmployees")
+  if (!button) {
+    return
+  }
+  button.addEventListener("click", (event) => {
+    event.preventDefault()
+    if (!button.classList.contains("disabled")) {
+      loadMoreEmployees(button)
+    }
+  })
+})
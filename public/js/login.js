@@ -23,8 +23,8 @@ function initializeLoginPage() {
   // Add input animations
   setupInputAnimations()
 
-  // Check for saved credentials
-  checkSavedCredentials()
+  // Remember me is handled by the server now - drop values stored by older versions
+  clearSavedCredentials()
 }
 
 function setupInputAnimations() {
@@ -119,7 +119,7 @@ function validateForm() {
 function setupKeyboardShortcuts() {
   document.addEventListener("keydown", (e) => {
     // Enter key to submit form
-    if (e.key === "Enter" && e.target.tagName !== "BUTTON") {
+    if (e.key === "Enter" && e.target.tagName !== "BUTTON" && e.target.closest("#loginForm")) {
       const form = document.getElementById("loginForm")
       if (validateForm()) {
         form.submit()
@@ -265,42 +265,18 @@ function closeAllModals() {
   document.body.style.overflow = "auto"
 }
 
-function checkSavedCredentials() {
-  // Check if remember me was previously selected
-  const rememberMe = localStorage.getItem("rememberMe")
-  const savedEmployeeId = localStorage.getItem("savedEmployeeId")
-
-  if (rememberMe === "true" && savedEmployeeId) {
-    document.getElementById("employeeId").value = savedEmployeeId
-    document.getElementById("rememberMe").checked = true
-    document.getElementById("password").focus()
-  }
+function clearSavedCredentials() {
+  localStorage.removeItem("rememberMe")
+  localStorage.removeItem("savedEmployeeId")
 }
 
-// Handle remember me functionality
-document.addEventListener("change", (e) => {
-  if (e.target.id === "rememberMe") {
-    const employeeIdInput = document.getElementById("employeeId")
-
-    if (e.target.checked && employeeIdInput.value) {
-      localStorage.setItem("rememberMe", "true")
-      localStorage.setItem("savedEmployeeId", employeeIdInput.value)
-    } else {
-      localStorage.removeItem("rememberMe")
-      localStorage.removeItem("savedEmployeeId")
-    }
-  }
-})
-
-// Handle modal form submissions
+// Handle modal form submissions - the forgot password form posts to /auth/forgot-password
 document.addEventListener("submit", (e) => {
   if (e.target.classList.contains("modal-form")) {
-    e.preventDefault()
-
-    if (e.target.closest("#forgotPasswordModal")) {
-      const employeeId = e.target.querySelector("#resetEmployeeId").value
-      showAlert(`Password reset instructions sent for Employee ID: ${employeeId}`, "success")
-      closeModal("forgotPasswordModal")
+    const button = e.target.querySelector("button[type='submit']")
+    if (button) {
+      button.disabled = true
+      button.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Sending...'
     }
   }
 })
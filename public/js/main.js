@@ -51,6 +51,7 @@ function handleFormSubmissions() {
           method: "POST",
           headers: {
             "Content-Type": "application/json",
+            "X-CSRF-Token": getCsrfToken(),
           },
           body: JSON.stringify(data),
         })
@@ -116,6 +117,12 @@ function showAlert(message, type = "info") {
 }
 
 // Utility functions
+// CSRF token for fetch() POSTs, rendered into the page's <meta name="csrf-token">
+function getCsrfToken() {
+  const meta = document.querySelector('meta[name="csrf-token"]')
+  return meta ? meta.getAttribute("content") : ""
+}
+
 function formatDate(dateString) {
   const date = new Date(dateString)
   return date.toLocaleDateString("en-US", {
@@ -141,6 +148,7 @@ function getCurrentQuarter() {
 // Export functions for use in other scripts
 window.PMS = {
   showAlert,
+  getCsrfToken,
   formatDate,
   getCurrentQuarter,
 }
@@ -0,0 +1,44 @@
+// Org chart page - expand/collapse and find a person
+
+function setOrgChartExpanded(expanded) {
+  document.querySelectorAll(".org-chart details").forEach((details) => {
+    details.open = expanded
+  })
+}
+
+// Highlight matching people, hide departments without a match and open everything above a match
+function filterOrgChart(term) {
+  const query = term.trim().toLowerCase()
+  const people = document.querySelectorAll(".org-person")
+  const departments = document.querySelectorAll(".org-department")
+
+  people.forEach((person) => person.classList.remove("org-match"))
+  if (!query) {
+    departments.forEach((department) => (department.style.display = ""))
+    return
+  }
+
+  departments.forEach((department) => (department.style.display = "none"))
+  people.forEach((person) => {
+    if (!person.dataset.search.includes(query)) {
+      return
+    }
+    person.classList.add("org-match")
+
+    let parent = person.parentElement
+    while (parent && !parent.classList.contains("org-chart")) {
+      if (parent.tagName === "DETAILS") {
+        parent.style.display = ""
+        parent.open = true
+      }
+      parent = parent.parentElement
+    }
+  })
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+  const search = document.getElementById("orgChartSearch")
+  if (search) {
+    search.addEventListener("input", () => filterOrgChart(search.value))
+  }
+})
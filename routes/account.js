@@ -0,0 +1,349 @@
+const express = require("express")
+const bcrypt = require("bcryptjs")
+const { body, validationResult } = require("express-validator")
+const { requireAuth, requireRole, requirePermission } = require("../middleware/auth")
+const User = require("../models/User")
+const ApiToken = require("../models/ApiToken")
+const {
+  getTwoFactorRequirement,
+  generateSecret,
+  buildProvisioning,
+  getTokenStep,
+  verifyToken,
+  generateRecoveryCodes,
+} = require("../utils/twoFactor")
+const {
+  getSessionHandle,
+  listUserSessions,
+  destroyUserSessions,
+  destroyUserSessionByHandle,
+} = require("../utils/sessions")
+const { endImpersonation } = require("../utils/impersonation")
+const {
+  API_TOKEN_EXPIRY_DAYS,
+  MAX_ACTIVE_TOKENS,
+  generateApiToken,
+  countActiveTokens,
+} = require("../utils/apiTokens")
+
+const router = express.Router()
+
+// Account pages shared by every role
+router.use(requireAuth)
+
+// Two-Factor Authentication - status and enrollment (admins and HODs)
+router.get("/two-factor", requireRole(["admin", "hod"]), async (req, res) => {
+  try {
+    res.render("account/two-factor", await getTwoFactorPageData(req))
+  } catch (error) {
+    console.error("Two-factor page error:", error)
+    res.status(500).render("error", { message: "Error loading two-factor settings" })
+  }
+})
+
+// Enable - confirm the first code from the authenticator app
+router.post("/two-factor/enable", requireRole(["admin", "hod"]), async (req, res) => {
+  try {
+    const secret = req.session.twoFactorSetupSecret
+    const step = getTokenStep(secret, req.body.code)
+    if (step === null) {
+      return res.render(
+        "account/two-factor",
+        await getTwoFactorPageData(req, { error: "Invalid authentication code. Please try again." }),
+      )
+    }
+
+    const { codes, hashes } = generateRecoveryCodes()
+    await User.findByIdAndUpdate(req.session.user._id, {
+      twoFactorEnabled: true,
+      twoFactorSecret: secret,
+      twoFactorRecoveryCodes: hashes,
+      twoFactorLastStep: step,
+    })
+    delete req.session.twoFactorSetupSecret
+
+    console.log("Two-factor authentication enabled for:", req.session.user.employeeId)
+
+    res.render(
+      "account/two-factor",
+      await getTwoFactorPageData(req, { success: "Two-factor authentication enabled", recoveryCodes: codes }),
+    )
+  } catch (error) {
+    console.error("Enable two-factor error:", error)
+    res.status(500).render("error", { message: "Error enabling two-factor authentication" })
+  }
+})
+
+// Regenerate recovery codes - requires a current authenticator code
+router.post("/two-factor/recovery-codes", requireRole(["admin", "hod"]), async (req, res) => {
+  try {
+    const user = await User.findById(req.session.user._id).select("+twoFactorSecret +twoFactorRecoveryCodes")
+    if (!user || !user.twoFactorEnabled || !verifyToken(user.twoFactorSecret, req.body.code)) {
+      return res.render(
+        "account/two-factor",
+        await getTwoFactorPageData(req, { error: "Invalid authentication code. Please try again." }),
+      )
+    }
+
+    const { codes, hashes } = generateRecoveryCodes()
+    user.twoFactorRecoveryCodes = hashes
+    await user.save()
+
+    console.log("Two-factor recovery codes regenerated for:", user.employeeId)
+
+    res.render(
+      "account/two-factor",
+      await getTwoFactorPageData(req, { success: "New recovery codes generated", recoveryCodes: codes }),
+    )
+  } catch (error) {
+    console.error("Regenerate recovery codes error:", error)
+    res.status(500).render("error", { message: "Error generating recovery codes" })
+  }
+})
+
+// Disable - requires the account password and is refused when the role makes 2FA mandatory
+router.post("/two-factor/disable", requireRole(["admin", "hod"]), async (req, res) => {
+  try {
+    const requirement = await getTwoFactorRequirement(req.session.user.role)
+    if (requirement === "required") {
+      return res.render(
+        "account/two-factor",
+        await getTwoFactorPageData(req, { error: "Two-factor authentication is mandatory for your role" }),
+      )
+    }
+
+    const user = await User.findById(req.session.user._id)
+    const isMatch = user && (await bcrypt.compare(req.body.currentPassword || "", user.password))
+    if (!isMatch) {
+      return res.render(
+        "account/two-factor",
+        await getTwoFactorPageData(req, { error: "Current password is incorrect" }),
+      )
+    }
+
+    await User.findByIdAndUpdate(req.session.user._id, {
+      twoFactorEnabled: false,
+      twoFactorSecret: null,
+      twoFactorRecoveryCodes: [],
+      twoFactorLastStep: null,
+    })
+
+    console.log("Two-factor authentication disabled for:", user.employeeId)
+
+    res.render(
+      "account/two-factor",
+      await getTwoFactorPageData(req, { success: "Two-factor authentication disabled" }),
+    )
+  } catch (error) {
+    console.error("Disable two-factor error:", error)
+    res.status(500).render("error", { message: "Error disabling two-factor authentication" })
+  }
+})
+
+// My Sessions - every signed-in device of the current user
+router.get("/sessions", async (req, res) => {
+  try {
+    let success = null
+    if (req.query.revoked === "one") success = "Session signed out"
+    if (req.query.revoked === "others") success = "All other sessions signed out"
+
+    res.render("account/sessions", await getSessionsPageData(req, { success }))
+  } catch (error) {
+    console.error("Sessions page error:", error)
+    res.status(500).render("error", { message: "Error loading sessions" })
+  }
+})
+
+// Revoke one of my other sessions
+router.post("/sessions/:handle/revoke", async (req, res) => {
+  try {
+    if (req.params.handle === getSessionHandle(req.sessionID)) {
+      return res.render(
+        "account/sessions",
+        await getSessionsPageData(req, { error: "Use Logout to end the session you are using now" }),
+      )
+    }
+
+    const revoked = await destroyUserSessionByHandle(req.session.user._id, req.params.handle)
+    if (!revoked) {
+      return res.render("account/sessions", await getSessionsPageData(req, { error: "Session not found" }))
+    }
+
+    res.redirect("/account/sessions?revoked=one")
+  } catch (error) {
+    console.error("Revoke session error:", error)
+    res.status(500).render("error", { message: "Error signing out session" })
+  }
+})
+
+// Revoke every session except the current one
+router.post("/sessions/revoke-others", async (req, res) => {
+  try {
+    await destroyUserSessions(req.session.user._id, req.sessionID)
+    res.redirect("/account/sessions?revoked=others")
+  } catch (error) {
+    console.error("Revoke other sessions error:", error)
+    res.status(500).render("error", { message: "Error signing out sessions" })
+  }
+})
+
+// Personal API tokens for scripts calling /api
+router.use("/api-tokens", requirePermission("api.tokens"))
+
+// API Tokens - list
+router.get("/api-tokens", async (req, res) => {
+  try {
+    const success = req.query.revoked ? "API token revoked" : null
+    res.render("account/api-tokens", await getApiTokensPageData(req, { success }))
+  } catch (error) {
+    console.error("API tokens page error:", error)
+    res.status(500).render("error", { message: "Error loading API tokens" })
+  }
+})
+
+// API Tokens - create; the token is shown once on the rendered page and never again
+router.post(
+  "/api-tokens",
+  [
+    body("name").trim().notEmpty().withMessage("Token name is required").isLength({ max: 100 }),
+    body("scope").isIn(["read", "write"]).withMessage("Valid scope is required"),
+    body("expiresInDays")
+      .isIn(API_TOKEN_EXPIRY_DAYS.map(String))
+      .withMessage("Valid expiry is required"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.render("account/api-tokens", await getApiTokensPageData(req, { error: errors.array()[0].msg }))
+      }
+
+      // A token would outlive the "view as user" session and act as that user
+      if (req.session.impersonator) {
+        return res.render(
+          "account/api-tokens",
+          await getApiTokensPageData(req, { error: "API tokens cannot be created while viewing as another user" }),
+        )
+      }
+
+      if ((await countActiveTokens(req.session.user._id)) >= MAX_ACTIVE_TOKENS) {
+        return res.render(
+          "account/api-tokens",
+          await getApiTokensPageData(req, {
+            error: `You already have ${MAX_ACTIVE_TOKENS} active tokens. Revoke one before creating another.`,
+          }),
+        )
+      }
+
+      const { token, tokenHash, tokenPrefix } = generateApiToken()
+      const days = Number.parseInt(req.body.expiresInDays)
+      await ApiToken.create({
+        user: req.session.user._id,
+        name: req.body.name,
+        tokenHash,
+        tokenPrefix,
+        scope: req.body.scope,
+        expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+      })
+
+      console.log(`API token "${req.body.name}" (${req.body.scope}) created by:`, req.session.user.employeeId)
+
+      res.render(
+        "account/api-tokens",
+        await getApiTokensPageData(req, { newToken: token, success: "API token created" }),
+      )
+    } catch (error) {
+      console.error("Create API token error:", error)
+      res.status(500).render("error", { message: "Error creating API token" })
+    }
+  },
+)
+
+// API Tokens - revoke one of my tokens
+router.post("/api-tokens/:id/revoke", async (req, res) => {
+  try {
+    const apiToken = /^[a-f0-9]{24}$/i.test(req.params.id)
+      ? await ApiToken.findOneAndUpdate(
+          { _id: req.params.id, user: req.session.user._id, revokedAt: null },
+          { revokedAt: new Date() },
+        )
+      : null
+    if (!apiToken) {
+      return res.render("account/api-tokens", await getApiTokensPageData(req, { error: "API token not found" }))
+    }
+
+    console.log(`API token "${apiToken.name}" revoked by:`, req.session.user.employeeId)
+    res.redirect("/account/api-tokens?revoked=1")
+  } catch (error) {
+    console.error("Revoke API token error:", error)
+    res.status(500).render("error", { message: "Error revoking API token" })
+  }
+})
+
+// Return from "view as user" to the admin's own session
+router.post("/impersonation/stop", async (req, res) => {
+  try {
+    const targetId = await endImpersonation(req, "stopped")
+    if (!targetId) {
+      return res.redirect("/")
+    }
+    res.redirect(`/admin/employees/${targetId}/edit`)
+  } catch (error) {
+    console.error("Stop impersonation error:", error)
+    res.status(500).render("error", { message: "Error returning to your admin account" })
+  }
+})
+
+// Helper function to build the sessions page
+async function getSessionsPageData(req, extra = {}) {
+  return {
+    sessions: await listUserSessions(req.session.user._id),
+    currentHandle: getSessionHandle(req.sessionID),
+    error: null,
+    success: null,
+    ...extra,
+  }
+}
+
+// Helper function to build the API tokens page
+async function getApiTokensPageData(req, extra = {}) {
+  return {
+    tokens: await ApiToken.find({ user: req.session.user._id }).sort({ createdAt: -1 }),
+    expiryOptions: API_TOKEN_EXPIRY_DAYS,
+    newToken: null,
+    error: null,
+    success: null,
+    ...extra,
+  }
+}
+
+// Helper function to build the two-factor page, starting enrollment when it is not enabled yet
+async function getTwoFactorPageData(req, extra = {}) {
+  const user = await User.findById(req.session.user._id).select("+twoFactorRecoveryCodes")
+  const requirement = await getTwoFactorRequirement(user.role)
+
+  let qrCodeDataUrl = null
+  let secret = null
+  if (!user.twoFactorEnabled && requirement !== "off") {
+    if (!req.session.twoFactorSetupSecret) {
+      req.session.twoFactorSetupSecret = generateSecret()
+    }
+    secret = req.session.twoFactorSetupSecret
+    const provisioning = await buildProvisioning(user, secret)
+    qrCodeDataUrl = provisioning.qrCodeDataUrl
+  }
+
+  return {
+    enabled: user.twoFactorEnabled,
+    requirement,
+    recoveryCodesRemaining: user.twoFactorRecoveryCodes.length,
+    qrCodeDataUrl,
+    secret,
+    recoveryCodes: null,
+    error: null,
+    success: null,
+    ...extra,
+  }
+}
+
+module.exports = router
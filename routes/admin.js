@@ -1,16 +1,144 @@
 const express = require("express")
 const bcrypt = require("bcryptjs")
+const multer = require("multer")
 const { body, validationResult } = require("express-validator")
-const { requireAuth, requireRole } = require("../middleware/auth")
+const { requireAuth, requirePermission } = require("../middleware/auth")
+const { verifyCsrfToken, wantsJson } = require("../middleware/csrf")
 const User = require("../models/User")
 const Department = require("../models/Department")
 const Review = require("../models/Review")
 const Question = require("../models/Question")
+const LoginAttempt = require("../models/LoginAttempt")
+const Setting = require("../models/Setting")
+const ImpersonationLog = require("../models/ImpersonationLog")
+const AuthEvent = require("../models/AuthEvent")
+const CustomField = require("../models/CustomField")
+const ProfileChangeRequest = require("../models/ProfileChangeRequest")
+const HrisSyncRun = require("../models/HrisSyncRun")
+const { generateTemporaryPassword } = require("../utils/passwords")
+const { csvField } = require("../utils/csv")
+const {
+  getArchiveImpact,
+  getArchiveTargets,
+  archiveDepartment,
+  restoreDepartment,
+} = require("../utils/departmentArchive")
+const {
+  loadDepartmentPaths,
+  getDepartmentWithDescendants,
+  checkDepartmentParent,
+  buildDepartmentTree,
+} = require("../utils/departmentTree")
+const {
+  getPasswordPolicy,
+  passwordRule,
+  isPasswordReused,
+  setUserPassword,
+  loadPasswordPolicy,
+} = require("../utils/passwordPolicy")
+const {
+  destroyUserSessions,
+  getSessionHandle,
+  listAllUserSessions,
+  destroyUserSessionByHandle,
+} = require("../utils/sessions")
+const { startImpersonation } = require("../utils/impersonation")
+const { getOidcConfig, isOidcConfigured } = require("../utils/oidc")
+const { getLdapConfig, isLdapConfigured } = require("../utils/ldap")
+const { AUTH_EVENT_TYPES, AUTH_EVENT_REASONS, recordAuthEvent } = require("../utils/authEvents")
+const {
+  MAX_IMPORT_FILE_BYTES,
+  MAX_IMPORT_ROWS,
+  IMPORT_COLUMNS,
+  parseImportFile,
+  validateImportRows,
+  commitImportRows,
+  buildImportTemplate,
+} = require("../utils/employeeImport")
+const { employeeRules } = require("../utils/employeeValidation")
+const { validateReportsTo, getManagerOptions, loadManagerOptions, buildOrgChart } = require("../utils/orgChart")
+const {
+  CUSTOM_FIELD_TYPES,
+  getCustomFields,
+  loadCustomFields,
+  generateFieldKey,
+  parseFieldOptions,
+  getCustomFieldValue,
+  formatCustomFieldValue,
+  parseCustomFieldValues,
+  parseCustomFieldFilters,
+  matchesCustomFieldFilters,
+  clearCustomFieldValues,
+} = require("../utils/customFields")
+const { recordTransfer, recordDepartmentChange, syncDepartmentHods, loadTransferHistory } = require("../utils/transfers")
+const { searchEmployeeDirectory } = require("../utils/employeeDirectory")
+const {
+  BULK_ACTIONS,
+  MAX_BULK_EMPLOYEES,
+  offboardEmployee,
+  runBulkEmployeeAction,
+} = require("../utils/employeeActions")
+const {
+  PROFILE_FIELDS,
+  loadProfileFields,
+  approveProfileChangeRequest,
+  rejectProfileChangeRequest,
+} = require("../utils/profile")
+const {
+  getHrisSyncConfig,
+  isHrisSyncConfigured,
+  findLatestRosterFile,
+  buildRosterReportCsv,
+  runRosterSync,
+} = require("../utils/hrisSync")
+const {
+  CAPABILITIES,
+  ROLE_KEYS,
+  LOCKED_CAPABILITIES,
+  getRoleCapabilities,
+  sanitizeCapabilities,
+} = require("../utils/permissions")
 
 const router = express.Router()
 
-// Apply admin role requirement to all routes
-router.use(requireAuth, requireRole(["admin"]))
+// Employee import spreadsheets are parsed in memory and never written to disk
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMPORT_FILE_BYTES, files: 1 },
+})
+
+// Every admin route needs a signed-in user; what each area needs comes from the role permissions below
+router.use(requireAuth)
+
+// Full department paths ("Manufacturing › Casting › Shift A") for everything that names a department
+router.use(loadDepartmentPaths)
+
+// Capabilities for each admin area - editable on the Role Permissions page.
+// The dashboard shows organisation-wide figures, so it needs one of the admin capabilities; questions.create
+// alone is not enough because Higher Level HODs hold it for /api/hod/questions.
+router.use(
+  "/dashboard",
+  requirePermission([
+    "questions.manage",
+    "export.global",
+    "analysis.global",
+    "departments.manage",
+    "employees.manage",
+    "security.manage",
+    "permissions.manage",
+  ]),
+)
+router.use("/export", requirePermission("export.global"))
+router.use(["/analysis", "/org-chart"], requirePermission("analysis.global"))
+router.use("/questions", requirePermission("questions.manage"))
+router.use("/departments", requirePermission("departments.manage"))
+router.use(["/employees", "/custom-fields", "/profile-changes", "/hris-sync"], requirePermission("employees.manage"))
+router.use(["/settings", "/lockouts", "/sessions", "/impersonation", "/auth-events"], requirePermission("security.manage"))
+router.use("/permissions", requirePermission("permissions.manage"))
+
+// Employee forms show the password policy next to their password fields, offer a manager list and the custom fields
+router.use("/employees", loadPasswordPolicy, loadCustomFields)
+router.use("/profile-changes", loadProfileFields)
 
 // Export CSV - All Reviews
 router.get("/export/reviews", async (req, res) => {
@@ -23,27 +151,28 @@ router.get("/export/reviews", async (req, res) => {
     if (department) query.department = department
 
     // Get reviews with populated data
+    const customFields = await getCustomFields()
     const reviews = await Review.find(query)
-      .populate("employee", "name employeeId email")
+      .populate("employee", "name employeeId email customFields")
       .populate("reviewer", "name employeeId")
       .populate("department", "name")
       .populate("answers.question", "text category")
       .sort({ createdAt: -1 })
 
     // Generate CSV content
-    let csvContent = "Employee Name,Employee ID,Email,Department,Quarter,Overall Score,Reviewer,Review Date,Comments\n"
+    let csvContent = `Employee Name,Employee ID,Email,Department,Quarter,Overall Score,Reviewer,Review Date,Comments${customFieldHeaders(customFields)}\n`
 
     reviews.forEach((review) => {
       const employeeName = review.employee ? review.employee.name : "Unknown"
       const employeeId = review.employee ? review.employee.employeeId : "Unknown"
       const email = review.employee ? review.employee.email : "Unknown"
-      const department = review.department ? review.department.name : "Unknown"
+      const department = review.department ? res.locals.departmentPath(review.department) : "Unknown"
       const score = review.overallScore || review.score || "N/A"
       const reviewer = review.reviewer ? review.reviewer.name : "Unknown"
       const reviewDate = new Date(review.reviewDate).toLocaleDateString()
       const comments = review.comments ? review.comments.replace(/"/g, '""').replace(/\n/g, " ") : ""
 
-      csvContent += `"${employeeName}","${employeeId}","${email}","${department}","${review.quarter}","${score}","${reviewer}","${reviewDate}","${comments}"\n`
+      csvContent += `"${employeeName}","${employeeId}","${email}","${department}","${review.quarter}","${score}","${reviewer}","${reviewDate}","${comments}"${customFieldCells(customFields, review.employee)}\n`
     })
 
     // Set headers for CSV download
@@ -66,6 +195,7 @@ router.get("/export/performance", async (req, res) => {
     const currentQuarter = quarter || getCurrentMonth()
 
     // Get all employees with their latest reviews
+    const customFields = await getCustomFields()
     const employees = await User.find({
       role: { $in: ["employee", "hod"] },
       isActive: true,
@@ -98,21 +228,21 @@ router.get("/export/performance", async (req, res) => {
         name: employee.name,
         employeeId: employee.employeeId,
         email: employee.email,
-        department: employee.department ? employee.department.name : "Not Assigned",
+        department: employee.department ? res.locals.departmentPath(employee.department) : "Not Assigned",
         role: employee.role.toUpperCase(),
         avgScore: avgScore || "N/A",
         reviewCount,
         performanceLevel,
         quarter: currentQuarter,
+        employee,
       })
     }
 
     // Generate CSV content
-    let csvContent =
-      "Employee Name,Employee ID,Email,Department,Role,Average Score,Review Count,Performance Level,Quarter\n"
+    let csvContent = `Employee Name,Employee ID,Email,Department,Role,Average Score,Review Count,Performance Level,Quarter${customFieldHeaders(customFields)}\n`
 
     performanceData.forEach((emp) => {
-      csvContent += `"${emp.name}","${emp.employeeId}","${emp.email}","${emp.department}","${emp.role}","${emp.avgScore}","${emp.reviewCount}","${emp.performanceLevel}","${emp.quarter}"\n`
+      csvContent += `"${emp.name}","${emp.employeeId}","${emp.email}","${emp.department}","${emp.role}","${emp.avgScore}","${emp.reviewCount}","${emp.performanceLevel}","${emp.quarter}"${customFieldCells(customFields, emp.employee)}\n`
     })
 
     // Set headers for CSV download
@@ -135,25 +265,26 @@ router.get("/export/detailed-reviews", async (req, res) => {
     const selectedMonth = month || getCurrentMonth()
 
     // Get reviews for the specified month with all populated data
+    const customFields = await getCustomFields()
     const reviews = await Review.find({ month: selectedMonth })
-      .populate("employee", "name employeeId email")
+      .populate("employee", "name employeeId email customFields")
       .populate("reviewer", "name employeeId")
       .populate("department", "name")
       .populate("answers.question", "text category")
       .sort({ employee: 1, createdAt: -1 })
 
     // Generate CSV content with detailed breakdown
-    let csvContent =
-      "Employee Name,Employee ID,Email,Department,Question,Question Category,Rating,Overall Score,Reviewer Name,Review Date\n"
+    let csvContent = `Employee Name,Employee ID,Email,Department,Question,Question Category,Rating,Overall Score,Reviewer Name,Review Date${customFieldHeaders(customFields)}\n`
 
     reviews.forEach((review) => {
       const employeeName = review.employee ? review.employee.name : "Unknown"
       const employeeId = review.employee ? review.employee.employeeId : "Unknown"
       const email = review.employee ? review.employee.email : "Unknown"
-      const department = review.department ? review.department.name : "Unknown"
+      const department = review.department ? res.locals.departmentPath(review.department) : "Unknown"
       const reviewer = review.reviewer ? review.reviewer.name : "Unknown"
       const reviewDate = new Date(review.reviewDate || review.createdAt).toLocaleDateString()
       const overallScore = review.overallScore || review.score || "N/A"
+      const customCells = customFieldCells(customFields, review.employee)
 
       // If there are answers with questions, add one row per answer
       if (review.answers && review.answers.length > 0) {
@@ -162,11 +293,11 @@ router.get("/export/detailed-reviews", async (req, res) => {
           const questionCategory = answer.question ? answer.question.category : "Unknown"
           const rating = answer.rating || "N/A"
 
-          csvContent += `"${employeeName}","${employeeId}","${email}","${department}","${questionText.replace(/"/g, '""')}","${questionCategory}","${rating}","${overallScore}","${reviewer}","${reviewDate}"\n`
+          csvContent += `"${employeeName}","${employeeId}","${email}","${department}","${questionText.replace(/"/g, '""')}","${questionCategory}","${rating}","${overallScore}","${reviewer}","${reviewDate}"${customCells}\n`
         })
       } else {
         // If no answers, still add a row with overall score
-        csvContent += `"${employeeName}","${employeeId}","${email}","${department}","","","","${overallScore}","${reviewer}","${reviewDate}"\n`
+        csvContent += `"${employeeName}","${employeeId}","${email}","${department}","","","","${overallScore}","${reviewer}","${reviewDate}"${customCells}\n`
       }
     })
 
@@ -259,18 +390,28 @@ router.get("/dashboard", async (req, res) => {
 // Admin Detailed Analysis Dashboard
 router.get("/analysis", async (req, res) => {
   try {
+    // Custom field filters narrow every figure to the matching employees and their reviews
+    const customFields = await getCustomFields()
+    const customFieldFilters = parseCustomFieldFilters(customFields, req.query.cf)
+    const matchesFilters = (employee) => !!employee && matchesCustomFieldFilters(employee, customFieldFilters)
+
     // Get all employees and departments
     const departments = await Department.find({ isActive: true }).populate("hods", "name")
-    const employees = await User.find({
+    let employees = await User.find({
       role: { $in: ["employee", "hod"] },
       isActive: true,
     }).populate("department", "name")
 
     // Get all reviews
-    const allReviews = await Review.find()
-      .populate("employee", "name employeeId email department")
+    let allReviews = await Review.find()
+      .populate("employee", "name employeeId email department customFields")
       .populate("department", "name")
 
+    if (customFieldFilters.length > 0) {
+      employees = employees.filter(matchesFilters)
+      allReviews = allReviews.filter((review) => matchesFilters(review.employee))
+    }
+
     // Department-wise analytics
     const departmentAnalytics = []
     for (const dept of departments) {
@@ -284,7 +425,7 @@ router.get("/analysis", async (req, res) => {
         const minScore = Math.min(...scores)
 
         departmentAnalytics.push({
-          name: dept.name,
+          name: res.locals.departmentPath(dept),
           employeeCount: deptEmployees.length,
           reviewCount: deptReviews.length,
           avgScore,
@@ -294,7 +435,7 @@ router.get("/analysis", async (req, res) => {
         })
       } else {
         departmentAnalytics.push({
-          name: dept.name,
+          name: res.locals.departmentPath(dept),
           employeeCount: deptEmployees.length,
           reviewCount: 0,
           avgScore: "0",
@@ -387,6 +528,9 @@ router.get("/analysis", async (req, res) => {
       performanceDistribution,
       monthlyTrendData,
       topPerformers,
+      customFields,
+      filterValues: req.query.cf && typeof req.query.cf === "object" ? req.query.cf : {},
+      activeFilterCount: customFieldFilters.length,
     })
   } catch (error) {
     console.error("Admin analysis error:", error)
@@ -397,6 +541,17 @@ router.get("/analysis", async (req, res) => {
   }
 })
 
+// Org Chart - departments with their reporting lines and latest review scores
+router.get("/org-chart", async (req, res) => {
+  try {
+    const { roots, totalPeople } = await buildOrgChart()
+    res.render("admin/org-chart", { roots, totalPeople })
+  } catch (error) {
+    console.error("Org chart error:", error)
+    res.status(500).render("error", { message: "Error loading org chart" })
+  }
+})
+
 // Questions Management
 router.get("/questions", async (req, res) => {
   try {
@@ -415,6 +570,7 @@ router.get("/questions", async (req, res) => {
 // Add Question - Updated categories and types
 router.post(
   "/questions",
+  requirePermission("questions.create"),
   [
     body("text").trim().notEmpty().withMessage("Question text is required"),
     body("category")
@@ -602,21 +758,7 @@ router.post("/questions/:id/delete", async (req, res) => {
 // Departments Management - Updated for sub-departments and multiple HODs
 router.get("/departments", async (req, res) => {
   try {
-    // Get all departments with their parent departments and HODs
-    const departments = await Department.find({ isActive: true })
-      .populate("parentDepartment", "name")
-      .populate("hods", "name employeeId")
-      .sort({ parentDepartment: 1, name: 1 })
-
-    const hods = await User.find({ role: "hod", isActive: true })
-
-    // Get main departments (no parent) for the parent dropdown
-    const mainDepartments = await Department.find({
-      isActive: true,
-      parentDepartment: null,
-    }).sort({ name: 1 })
-
-    res.render("admin/departments", { departments, hods, mainDepartments })
+    await renderDepartments(req, res)
   } catch (error) {
     console.error("Departments error:", error)
     res.status(500).render("error", { message: "Error loading departments" })
@@ -626,26 +768,16 @@ router.get("/departments", async (req, res) => {
 // Add Department - Updated for sub-departments and multiple HODs
 router.post(
   "/departments",
-  [body("name").trim().notEmpty().withMessage("Department name is required"), body("description").trim().optional()],
+  [
+    body("name").trim().notEmpty().withMessage("Department name is required"),
+    body("description").trim().optional(),
+    body("parentDepartment").optional({ values: "falsy" }).isMongoId().withMessage("Choose a valid parent department"),
+  ],
   async (req, res) => {
     try {
       const errors = validationResult(req)
       if (!errors.isEmpty()) {
-        const departments = await Department.find({ isActive: true })
-          .populate("parentDepartment", "name")
-          .populate("hods", "name employeeId")
-          .sort({ parentDepartment: 1, name: 1 })
-        const hods = await User.find({ role: "hod", isActive: true })
-        const mainDepartments = await Department.find({
-          isActive: true,
-          parentDepartment: null,
-        }).sort({ name: 1 })
-        return res.render("admin/departments", {
-          departments,
-          hods,
-          mainDepartments,
-          error: errors.array()[0].msg,
-        })
+        return renderDepartments(req, res, errors.array()[0].msg)
       }
 
       const { name, description, parentDepartment, hods } = req.body
@@ -656,8 +788,11 @@ router.post(
         isActive: true,
       }
 
-      // Handle parent department
-      if (parentDepartment && parentDepartment.trim() !== "") {
+      // Handle parent department - any active department, at any depth
+      if (parentDepartment) {
+        if (!(await Department.exists({ _id: parentDepartment, isActive: true }))) {
+          return renderDepartments(req, res, "Choose an active parent department")
+        }
         departmentData.parentDepartment = parentDepartment
       }
 
@@ -676,27 +811,13 @@ router.post(
       res.redirect("/admin/departments")
     } catch (error) {
       console.error("Add department error:", error)
-      const departments = await Department.find({ isActive: true })
-        .populate("parentDepartment", "name")
-        .populate("hods", "name employeeId")
-        .sort({ parentDepartment: 1, name: 1 })
-      const hods = await User.find({ role: "hod", isActive: true })
-      const mainDepartments = await Department.find({
-        isActive: true,
-        parentDepartment: null,
-      }).sort({ name: 1 })
 
       let errorMessage = "Error adding department"
       if (error.code === 11000) {
         errorMessage = "Department name already exists in this parent department"
       }
 
-      res.render("admin/departments", {
-        departments,
-        hods,
-        mainDepartments,
-        error: errorMessage,
-      })
+      await renderDepartments(req, res, errorMessage)
     }
   },
 )
@@ -711,14 +832,7 @@ router.get("/departments/:id/edit", async (req, res) => {
       return res.status(404).render("error", { message: "Department not found" })
     }
 
-    const hods = await User.find({ role: "hod", isActive: true })
-    const mainDepartments = await Department.find({
-      isActive: true,
-      parentDepartment: null,
-      _id: { $ne: req.params.id }, // Exclude current department from parent options
-    }).sort({ name: 1 })
-
-    res.render("admin/edit-department", { department, hods, mainDepartments })
+    await renderEditDepartment(req, res, department)
   } catch (error) {
     console.error("Edit department GET error:", error)
     res.status(500).render("error", { message: "Error loading department" })
@@ -728,26 +842,23 @@ router.get("/departments/:id/edit", async (req, res) => {
 // Edit Department - POST - Updated for sub-departments and multiple HODs
 router.post(
   "/departments/:id/edit",
-  [body("name").trim().notEmpty().withMessage("Department name is required"), body("description").trim().optional()],
+  [
+    body("name").trim().notEmpty().withMessage("Department name is required"),
+    body("description").trim().optional(),
+    body("parentDepartment").optional({ values: "falsy" }).isMongoId().withMessage("Choose a valid parent department"),
+  ],
   async (req, res) => {
     try {
+      const department = await Department.findById(req.params.id)
+        .populate("parentDepartment", "name")
+        .populate("hods", "name employeeId")
+      if (!department) {
+        return res.status(404).render("error", { message: "Department not found" })
+      }
+
       const errors = validationResult(req)
       if (!errors.isEmpty()) {
-        const department = await Department.findById(req.params.id)
-          .populate("parentDepartment", "name")
-          .populate("hods", "name employeeId")
-        const hods = await User.find({ role: "hod", isActive: true })
-        const mainDepartments = await Department.find({
-          isActive: true,
-          parentDepartment: null,
-          _id: { $ne: req.params.id },
-        }).sort({ name: 1 })
-        return res.render("admin/edit-department", {
-          department,
-          hods,
-          mainDepartments,
-          error: errors.array()[0].msg,
-        })
+        return renderEditDepartment(req, res, department, errors.array()[0].msg)
       }
 
       const { name, description, parentDepartment, hods } = req.body
@@ -757,8 +868,12 @@ router.post(
         description: description || "",
       }
 
-      // Handle parent department
-      if (parentDepartment && parentDepartment.trim() !== "") {
+      // Handle parent department - any active department outside this one's own subtree
+      if (parentDepartment) {
+        const parentError = await checkDepartmentParent(department._id, parentDepartment)
+        if (parentError) {
+          return renderEditDepartment(req, res, department, parentError)
+        }
         updateData.parentDepartment = parentDepartment
       } else {
         updateData.parentDepartment = null
@@ -786,41 +901,153 @@ router.post(
       const department = await Department.findById(req.params.id)
         .populate("parentDepartment", "name")
         .populate("hods", "name employeeId")
-      const hods = await User.find({ role: "hod", isActive: true })
-      const mainDepartments = await Department.find({
-        isActive: true,
-        parentDepartment: null,
-        _id: { $ne: req.params.id },
-      }).sort({ name: 1 })
 
       let errorMessage = "Error updating department"
       if (error.code === 11000) {
         errorMessage = "Department name already exists in this parent department"
       }
 
-      res.render("admin/edit-department", {
-        department,
-        hods,
-        mainDepartments,
-        error: errorMessage,
+      await renderEditDepartment(req, res, department, errorMessage)
+    }
+  },
+)
+
+// Move Department - POST (JSON) - re-parent from the drag-and-drop tree; an empty parent makes it a main department
+router.post(
+  "/departments/:id/parent",
+  [body("parentDepartment").optional({ values: "falsy" }).isMongoId().withMessage("Choose a valid parent department")],
+  async (req, res) => {
+    try {
+      const department = await Department.findOne({ _id: req.params.id, isActive: true })
+      if (!department) {
+        return res.status(404).json({ success: false, message: "Department not found" })
+      }
+
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, message: errors.array()[0].msg })
+      }
+
+      const parentId = req.body.parentDepartment || null
+      if (parentId) {
+        const parentError = await checkDepartmentParent(department._id, parentId)
+        if (parentError) {
+          return res.status(400).json({ success: false, message: parentError })
+        }
+      }
+
+      department.parentDepartment = parentId
+      await department.save()
+      console.log(`Department ${department.name} moved under ${parentId || "the top level"} by ${req.session.user.name}`)
+
+      res.json({ success: true, message: `${department.name} moved` })
+    } catch (error) {
+      console.error("Move department error:", error)
+      res.status(500).json({ success: false, message: "Error moving department" })
+    }
+  },
+)
+
+// Archive Department - GET - what archiving would move, and where to
+router.get("/departments/:id/archive", async (req, res) => {
+  try {
+    const department = await Department.findOne({ _id: req.params.id, isActive: true })
+    if (!department) {
+      return res.status(404).render("error", { message: "Department not found or already archived" })
+    }
+    await renderArchiveDepartment(req, res, department)
+  } catch (error) {
+    console.error("Archive department GET error:", error)
+    res.status(500).render("error", { message: "Error loading department" })
+  }
+})
+
+// Archive Department - POST - blocked while active employees or sub-departments remain unless a target is chosen
+router.post(
+  "/departments/:id/archive",
+  [
+    body("targetDepartment").optional({ values: "falsy" }).isMongoId().withMessage("Choose a valid department"),
+    body("questionAction").isIn(["archive", "reassign"]).withMessage("Choose what happens to the questions"),
+  ],
+  async (req, res) => {
+    try {
+      const department = await Department.findOne({ _id: req.params.id, isActive: true })
+      if (!department) {
+        return res.status(404).render("error", { message: "Department not found or already archived" })
+      }
+
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return renderArchiveDepartment(req, res, department, errors.array()[0].msg)
+      }
+
+      const result = await archiveDepartment(department, {
+        targetId: req.body.targetDepartment || null,
+        questionAction: req.body.questionAction,
+        actorId: req.session.user._id,
       })
+      if (result.error) {
+        return renderArchiveDepartment(req, res, department, result.error)
+      }
+
+      console.log(`Department ${department.name} archived by ${req.session.user.name}:`, result.moved)
+      res.redirect("/admin/departments?archived=1")
+    } catch (error) {
+      console.error("Archive department POST error:", error)
+      res.status(500).render("error", { message: "Error archiving department" })
     }
   },
 )
 
-// Employees Management
+// Restore Department - POST - undo an archive, optionally moving back what it moved out
+router.post("/departments/:id/restore", async (req, res) => {
+  try {
+    const department = await Department.findOne({ _id: req.params.id, isActive: false })
+    if (!department) {
+      return renderDepartments(req, res, "Department not found or not archived")
+    }
+
+    const result = await restoreDepartment(department, {
+      moveBack: req.body.moveBack === "on",
+      actorId: req.session.user._id,
+    })
+    if (result.error) {
+      return renderDepartments(req, res, result.error)
+    }
+
+    console.log(`Department ${department.name} restored by ${req.session.user.name}:`, result.restored)
+    const kept = result.restored.subDepartmentsKept
+    res.redirect(`/admin/departments?restored=1${kept > 0 ? `&kept=${kept}` : ""}`)
+  } catch (error) {
+    console.error("Restore department error:", error)
+    res.status(500).render("error", { message: "Error restoring department" })
+  }
+})
+
+// Employees Management - searchable, sortable and paginated; JSON requests (or ?format=json) get one page of
+// rows so the page can load more without reloading
 router.get("/employees", async (req, res) => {
+  const json = req.query.format === "json" || wantsJson(req)
   try {
-    const employees = await User.find({
-      role: { $in: ["employee", "hod"] },
-      isActive: true,
-    }).populate("department")
-    const departments = await Department.find({ isActive: true })
-      .populate("parentDepartment", "name")
-      .sort({ parentDepartment: 1, name: 1 })
-    res.render("admin/employees", { employees, departments })
+    if (!json) {
+      return await renderEmployeeDirectory(req, res)
+    }
+
+    const directory = await searchEmployeeDirectory(req.query)
+    res.json({
+      success: true,
+      employees: directory.employees.map((employee) => directoryEntry(employee, res.locals.customFields, res.locals.departmentPath)),
+      total: directory.total,
+      page: directory.page,
+      pageCount: directory.pageCount,
+      limit: directory.limit,
+      filters: directory.filters,
+    })
   } catch (error) {
     console.error("Employees error:", error)
+    if (json) {
+      return res.status(500).json({ success: false, message: "Error loading employees" })
+    }
     res.status(500).render("error", { message: "Error loading employees" })
   }
 })
@@ -828,30 +1055,12 @@ router.get("/employees", async (req, res) => {
 // Add Employee - Enhanced debugging
 router.post(
   "/employees",
-  [
-    body("name").trim().notEmpty().withMessage("Name is required"),
-    body("email").isEmail().normalizeEmail().withMessage("Valid email is required"),
-    body("employeeId").trim().notEmpty().withMessage("Employee ID is required"),
-    body("role").isIn(["employee", "hod"]).withMessage("Valid role is required"),
-    body("department").notEmpty().withMessage("Department is required"),
-    body("password").isLength({ min: 6 }).withMessage("Password must be at least 6 characters"),
-  ],
+  [...employeeRules, passwordRule("password")],
   async (req, res) => {
     try {
       const errors = validationResult(req)
       if (!errors.isEmpty()) {
-        const employees = await User.find({
-          role: { $in: ["employee", "hod"] },
-          isActive: true,
-        }).populate("department")
-        const departments = await Department.find({ isActive: true })
-          .populate("parentDepartment", "name")
-          .sort({ parentDepartment: 1, name: 1 })
-        return res.render("admin/employees", {
-          employees,
-          departments,
-          error: errors.array()[0].msg,
-        })
+        return renderEmployeeDirectory(req, res, errors.array()[0].msg)
       }
 
       const { name, email, employeeId, role, department, hodLevel, password } = req.body
@@ -868,18 +1077,17 @@ router.post(
       const existingEmployee = await User.findOne({ employeeId: employeeId })
       if (existingEmployee) {
         console.log("❌ Employee ID already exists:", existingEmployee.name, existingEmployee.employeeId)
-        const employees = await User.find({
-          role: { $in: ["employee", "hod"] },
-          isActive: true,
-        }).populate("department")
-        const departments = await Department.find({ isActive: true })
-          .populate("parentDepartment", "name")
-          .sort({ parentDepartment: 1, name: 1 })
-        return res.render("admin/employees", {
-          employees,
-          departments,
-          error: "Employee ID already exists",
-        })
+        return renderEmployeeDirectory(req, res, "Employee ID already exists")
+      }
+
+      const reportsToError = await validateReportsTo(null, req.body.reportsTo)
+      if (reportsToError) {
+        return renderEmployeeDirectory(req, res, reportsToError)
+      }
+
+      const customFieldResult = parseCustomFieldValues(res.locals.customFields, req.body.customFields)
+      if (customFieldResult.errors.length > 0) {
+        return renderEmployeeDirectory(req, res, customFieldResult.errors[0])
       }
 
       console.log("✅ Employee ID is unique, proceeding with creation...")
@@ -892,7 +1100,10 @@ router.post(
         employeeId,
         role,
         department,
+        reportsTo: req.body.reportsTo || null,
+        customFields: customFieldResult.values,
         password: hashedPassword,
+        mustChangePassword: true,
         isActive: true,
       }
 
@@ -913,14 +1124,6 @@ router.post(
       console.log("Error keyPattern:", error.keyPattern)
       console.log("Error keyValue:", error.keyValue)
 
-      const employees = await User.find({
-        role: { $in: ["employee", "hod"] },
-        isActive: true,
-      }).populate("department")
-      const departments = await Department.find({ isActive: true })
-        .populate("parentDepartment", "name")
-        .sort({ parentDepartment: 1, name: 1 })
-
       let errorMessage = "Error adding employee"
       if (error.code === 11000) {
         if (error.keyPattern && error.keyPattern.employeeId) {
@@ -932,17 +1135,187 @@ router.post(
         }
       }
 
-      res.render("admin/employees", {
-        employees,
-        departments,
-        error: errorMessage,
+      await renderEmployeeDirectory(req, res, errorMessage)
+    }
+  },
+)
+
+// Bulk Employee Actions - POST - change department or role, deactivate or reset passwords for the selected people
+router.post(
+  "/employees/bulk",
+  [
+    body("action")
+      .isIn(BULK_ACTIONS.map((action) => action.key))
+      .withMessage("Choose a bulk action"),
+    body("employees")
+      .customSanitizer((value) => (Array.isArray(value) ? value : value ? [value] : []))
+      .custom((value) => value.length > 0)
+      .withMessage("Select at least one employee")
+      .custom((value) => value.length <= MAX_BULK_EMPLOYEES)
+      .withMessage(`Select at most ${MAX_BULK_EMPLOYEES} employees at a time`),
+    body("employees.*").isMongoId().withMessage("Invalid employee selection"),
+    body("department")
+      .if(body("action").equals("department"))
+      .isMongoId()
+      .withMessage("Choose the new department"),
+    body("role")
+      .if(body("action").equals("role"))
+      .isIn(["employee", "hod"])
+      .withMessage("Valid role is required"),
+    body("hodLevel")
+      .if(body("action").equals("role"))
+      .if(body("role").equals("hod"))
+      .isIn(["higher", "lower"])
+      .withMessage("HOD level is required for HODs"),
+    body("exitDate")
+      .if(body("action").equals("deactivate"))
+      .isISO8601()
+      .withMessage("Valid exit date is required"),
+    body("exitReason")
+      .if(body("action").equals("deactivate"))
+      .trim()
+      .notEmpty()
+      .withMessage("Exit reason is required")
+      .isLength({ max: 500 })
+      .withMessage("Exit reason must be at most 500 characters"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return renderEmployeeDirectory(req, res, errors.array()[0].msg)
+      }
+
+      const { action } = req.body
+      const outcome = await runBulkEmployeeAction(req, {
+        action,
+        employeeIds: [...new Set(req.body.employees)],
+        department: req.body.department,
+        role: req.body.role,
+        hodLevel: req.body.hodLevel,
+        exitDate: req.body.exitDate ? new Date(req.body.exitDate) : null,
+        exitReason: req.body.exitReason,
+      })
+      if (outcome.error) {
+        return renderEmployeeDirectory(req, res, outcome.error)
+      }
+
+      console.log(
+        `Bulk ${action} by ${req.session.user.name}: ${outcome.counts.updated} updated, ${outcome.counts.skipped} skipped, ${outcome.counts.failed} failed`,
+      )
+      res.render("admin/bulk-employees", {
+        action: BULK_ACTIONS.find((bulkAction) => bulkAction.key === action),
+        ...outcome,
       })
+    } catch (error) {
+      console.error("Bulk employee action error:", error)
+      res.status(500).render("error", { message: "Error running bulk action" })
+    }
+  },
+)
+
+// Import Employees - GET - upload form
+router.get("/employees/import", (req, res) => {
+  renderEmployeeImport(res)
+})
+
+// Import Employees - GET - sample CSV with the expected columns
+router.get("/employees/import/template", (req, res) => {
+  res.setHeader("Content-Type", "text/csv")
+  res.setHeader("Content-Disposition", 'attachment; filename="employee-import-template.csv"')
+  res.send(buildImportTemplate(res.locals.customFields))
+})
+
+// Import Employees - POST - dry run: validate every row and report errors without creating anyone
+router.post(
+  "/employees/import",
+  (req, res, next) => {
+    importUpload.single("file")(req, res, (err) => {
+      if (err) {
+        const error =
+          err.code === "LIMIT_FILE_SIZE"
+            ? `The file is larger than ${MAX_IMPORT_FILE_BYTES / (1024 * 1024)} MB`
+            : "The file could not be uploaded"
+        return renderEmployeeImport(res, { error })
+      }
+      next()
+    })
+  },
+  // The form's _csrf field is only readable now that multer has parsed the body
+  verifyCsrfToken,
+  async (req, res) => {
+    try {
+      delete req.session.employeeImport
+
+      if (!req.file) {
+        return renderEmployeeImport(res, { error: "Choose a CSV or XLSX file to import" })
+      }
+
+      const parsed = await parseImportFile(req.file, res.locals.customFields)
+      if (parsed.error) {
+        return renderEmployeeImport(res, { error: parsed.error, fileName: req.file.originalname })
+      }
+
+      const summary = await validateImportRows(parsed.rows, res.locals.customFields)
+
+      // Only a clean file can be confirmed; the rows wait in the session until then
+      if (summary.errorCount === 0) {
+        req.session.employeeImport = {
+          fileName: req.file.originalname,
+          rows: parsed.rows.map(({ rowNumber, values }) => ({ rowNumber, values })),
+          uploadedAt: Date.now(),
+        }
+      }
+
+      console.log(
+        `Employee import dry run by ${req.session.user.name}: ${summary.total} rows, ${summary.errorCount} with errors`,
+      )
+      renderEmployeeImport(res, { fileName: req.file.originalname, rows: parsed.rows, summary })
+    } catch (error) {
+      console.error("Employee import dry run error:", error)
+      renderEmployeeImport(res, { error: "Error checking the import file" })
     }
   },
 )
 
+// Import Employees - POST - create every account from the confirmed dry run in one transaction
+router.post("/employees/import/commit", async (req, res) => {
+  try {
+    const pending = req.session.employeeImport
+    if (!pending) {
+      return renderEmployeeImport(res, { error: "Nothing to import. Upload the file and check it again." })
+    }
+
+    // Re-check against the current data in case employees or departments changed since the dry run
+    const rows = pending.rows.map(({ rowNumber, values }) => ({ rowNumber, values: { ...values } }))
+    const summary = await validateImportRows(rows, res.locals.customFields)
+    if (summary.errorCount > 0) {
+      delete req.session.employeeImport
+      return renderEmployeeImport(res, {
+        error: "Some rows are no longer valid. Fix them and upload the file again.",
+        fileName: pending.fileName,
+        rows,
+        summary,
+      })
+    }
+
+    const created = await commitImportRows(rows)
+    delete req.session.employeeImport
+
+    console.log(`Employee import by ${req.session.user.name}: created ${created.length} accounts from ${pending.fileName}`)
+    renderEmployeeImport(res, { fileName: pending.fileName, created })
+  } catch (error) {
+    console.error("Employee import commit error:", error)
+    let errorMessage = "Error importing employees. No accounts were created."
+    if (error.code === 11000) {
+      errorMessage = "An Employee ID in the file was added by someone else meanwhile. No accounts were created."
+    }
+    renderEmployeeImport(res, { error: errorMessage })
+  }
+})
+
 // Edit Employee - GET
-router.get("/employees/:id/edit", async (req, res) => {
+router.get("/employees/:id/edit", loadManagerOptions, loadTransferHistory, async (req, res) => {
   try {
     const employee = await User.findById(req.params.id).populate("department")
     if (!employee) {
@@ -952,7 +1325,11 @@ router.get("/employees/:id/edit", async (req, res) => {
     const departments = await Department.find({ isActive: true })
       .populate("parentDepartment", "name")
       .sort({ parentDepartment: 1, name: 1 })
-    res.render("admin/edit-employee", { employee, departments })
+    res.render("admin/edit-employee", {
+      employee,
+      departments,
+      success: req.query.transferred ? "Transfer recorded" : null,
+    })
   } catch (error) {
     console.error("Edit employee GET error:", error)
     res.status(500).render("error", { message: "Error loading employee" })
@@ -962,14 +1339,9 @@ router.get("/employees/:id/edit", async (req, res) => {
 // Edit Employee - POST - Enhanced debugging
 router.post(
   "/employees/:id/edit",
-  [
-    body("name").trim().notEmpty().withMessage("Name is required"),
-    body("email").isEmail().normalizeEmail().withMessage("Valid email is required"),
-    body("employeeId").trim().notEmpty().withMessage("Employee ID is required"),
-    body("role").isIn(["employee", "hod"]).withMessage("Valid role is required"),
-    body("department").notEmpty().withMessage("Department is required"),
-    body("password").optional().isLength({ min: 6 }).withMessage("Password must be at least 6 characters"),
-  ],
+  loadManagerOptions,
+  loadTransferHistory,
+  [...employeeRules, passwordRule("password", { optional: true })],
   async (req, res) => {
     try {
       const errors = validationResult(req)
@@ -1014,6 +1386,32 @@ router.post(
         })
       }
 
+      const reportsToError = await validateReportsTo(req.params.id, req.body.reportsTo)
+      if (reportsToError) {
+        const employee = await User.findById(req.params.id).populate("department")
+        const departments = await Department.find({ isActive: true })
+          .populate("parentDepartment", "name")
+          .sort({ parentDepartment: 1, name: 1 })
+        return res.render("admin/edit-employee", {
+          employee,
+          departments,
+          error: reportsToError,
+        })
+      }
+
+      const customFieldResult = parseCustomFieldValues(res.locals.customFields, req.body.customFields)
+      if (customFieldResult.errors.length > 0) {
+        const employee = await User.findById(req.params.id).populate("department")
+        const departments = await Department.find({ isActive: true })
+          .populate("parentDepartment", "name")
+          .sort({ parentDepartment: 1, name: 1 })
+        return res.render("admin/edit-employee", {
+          employee,
+          departments,
+          error: customFieldResult.errors[0],
+        })
+      }
+
       console.log("✅ Employee ID is unique, proceeding with update...")
 
       const updateData = {
@@ -1022,6 +1420,8 @@ router.post(
         employeeId,
         role,
         department,
+        reportsTo: req.body.reportsTo || null,
+        customFields: customFieldResult.values,
       }
 
       if (role === "hod" && hodLevel) {
@@ -1030,9 +1430,27 @@ router.post(
         updateData.hodLevel = null
       }
 
-      // Only update password if provided
+      // Only update password if provided - an admin-set password must be changed at next login
       if (password && password.trim() !== "") {
-        updateData.password = await bcrypt.hash(password, 12)
+        const policy = await getPasswordPolicy()
+        const existingUser = await User.findById(req.params.id).select("+passwordHistory")
+        if (await isPasswordReused(existingUser, password, policy)) {
+          const employee = await User.findById(req.params.id).populate("department")
+          const departments = await Department.find({ isActive: true })
+            .populate("parentDepartment", "name")
+            .sort({ parentDepartment: 1, name: 1 })
+          return res.render("admin/edit-employee", {
+            employee,
+            departments,
+            error: `Password must not match any of the last ${policy.historyCount} passwords`,
+          })
+        }
+
+        await setUserPassword(existingUser, password, policy)
+        updateData.password = existingUser.password
+        updateData.passwordHistory = existingUser.passwordHistory
+        updateData.passwordChangedAt = existingUser.passwordChangedAt
+        updateData.mustChangePassword = true
       }
 
       console.log("Updating user with data:", {
@@ -1040,9 +1458,42 @@ router.post(
         password: updateData.password ? "[HIDDEN]" : "Not updated",
       })
 
-      await User.findByIdAndUpdate(req.params.id, updateData)
+      const previous = await User.findByIdAndUpdate(req.params.id, updateData)
       console.log("✅ Employee updated successfully:", name, role)
 
+      // A new password or different role signs the employee out of every session
+      const roleChanged = previous.role !== role || (previous.hodLevel || null) !== updateData.hodLevel
+
+      // Department changes made here take effect immediately; back-dated moves use the transfer action
+      if (String(previous.department || "") !== String(department)) {
+        await recordDepartmentChange(previous._id, previous.department, department, req.session.user._id)
+      }
+      await syncDepartmentHods(previous._id, previous, { role, department })
+      if (updateData.password || roleChanged) {
+        await destroyUserSessions(req.params.id)
+      }
+
+      if (updateData.password) {
+        await recordAuthEvent(req, "password.change", {
+          user: previous._id,
+          employeeId,
+          actor: req.session.user._id,
+          reason: "admin",
+        })
+      }
+      if (roleChanged) {
+        await recordAuthEvent(req, "role.change", {
+          user: previous._id,
+          employeeId,
+          actor: req.session.user._id,
+          reason: "admin",
+          details: {
+            from: { role: previous.role, hodLevel: previous.hodLevel || null },
+            to: { role, hodLevel: updateData.hodLevel },
+          },
+        })
+      }
+
       res.redirect("/admin/employees")
     } catch (error) {
       console.error("❌ Edit employee error:", error)
@@ -1076,6 +1527,1232 @@ router.post(
   },
 )
 
+// Transfer Employee - POST - move to another department from an effective date, which can be back-dated
+router.post(
+  "/employees/:id/transfer",
+  loadManagerOptions,
+  loadTransferHistory,
+  [
+    body("toDepartment").isMongoId().withMessage("Department is required"),
+    body("effectiveDate").isISO8601().withMessage("Valid effective date is required"),
+    body("reason").trim().isLength({ max: 500 }).withMessage("Reason must be at most 500 characters"),
+  ],
+  async (req, res) => {
+    try {
+      const employee = await User.findById(req.params.id).populate("department")
+      if (!employee) {
+        return res.status(404).render("error", { message: "Employee not found" })
+      }
+
+      const renderError = async (error) => {
+        const departments = await Department.find({ isActive: true })
+          .populate("parentDepartment", "name")
+          .sort({ parentDepartment: 1, name: 1 })
+        res.render("admin/edit-employee", { employee, departments, error })
+      }
+
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return renderError(errors.array()[0].msg)
+      }
+
+      const result = await recordTransfer({
+        user: employee,
+        toDepartment: req.body.toDepartment,
+        effectiveDate: new Date(req.body.effectiveDate),
+        reason: req.body.reason,
+        recordedBy: req.session.user._id,
+      })
+      if (result.error) {
+        return renderError(result.error)
+      }
+
+      console.log(
+        `Transfer of ${employee.name} (${employee.employeeId}) effective ${req.body.effectiveDate} recorded by ${req.session.user.name}`,
+      )
+      res.redirect(`/admin/employees/${employee._id}/edit?transferred=1`)
+    } catch (error) {
+      console.error("Transfer employee error:", error)
+      res.status(500).render("error", { message: "Error recording transfer" })
+    }
+  },
+)
+
+// Custom Fields - GET - definitions of the extra employee profile fields
+router.get("/custom-fields", async (req, res) => {
+  try {
+    await renderCustomFields(req, res)
+  } catch (error) {
+    console.error("Custom fields error:", error)
+    res.status(500).render("error", { message: "Error loading custom fields" })
+  }
+})
+
+// Custom Fields - POST - add a field
+router.post(
+  "/custom-fields",
+  [
+    body("label").trim().notEmpty().withMessage("Label is required").isLength({ max: 60 }).withMessage("Label is too long"),
+    body("type")
+      .isIn(CUSTOM_FIELD_TYPES.map((type) => type.key))
+      .withMessage("Valid field type is required"),
+    body("order").optional({ values: "falsy" }).isInt({ min: 0, max: 1000 }).withMessage("Order must be 0-1000"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return renderCustomFields(req, res, errors.array()[0].msg)
+      }
+
+      const { label, type, order } = req.body
+      const options = type === "select" ? parseFieldOptions(req.body.options) : []
+      if (type === "select" && options.length === 0) {
+        return renderCustomFields(req, res, "Select fields need at least one option")
+      }
+
+      const field = await CustomField.create({
+        key: await generateFieldKey(label),
+        label,
+        type,
+        options,
+        required: req.body.required === "on",
+        order: Number(order) || 0,
+        createdBy: req.session.user._id,
+      })
+      console.log(`Custom field "${field.label}" (${field.key}) added by ${req.session.user.name}`)
+
+      res.redirect("/admin/custom-fields?saved=1")
+    } catch (error) {
+      console.error("Add custom field error:", error)
+      renderCustomFields(req, res, "Error adding custom field")
+    }
+  },
+)
+
+// Custom Fields - GET - edit form
+router.get("/custom-fields/:id/edit", async (req, res) => {
+  try {
+    const field = await CustomField.findById(req.params.id)
+    if (!field) {
+      return res.status(404).render("error", { message: "Custom field not found" })
+    }
+    res.render("admin/edit-custom-field", { field, fieldTypes: CUSTOM_FIELD_TYPES })
+  } catch (error) {
+    console.error("Edit custom field GET error:", error)
+    res.status(500).render("error", { message: "Error loading custom field" })
+  }
+})
+
+// Custom Fields - POST - label, options, required flag and order can change; key and type cannot
+router.post(
+  "/custom-fields/:id/edit",
+  [
+    body("label").trim().notEmpty().withMessage("Label is required").isLength({ max: 60 }).withMessage("Label is too long"),
+    body("order").optional({ values: "falsy" }).isInt({ min: 0, max: 1000 }).withMessage("Order must be 0-1000"),
+  ],
+  async (req, res) => {
+    try {
+      const field = await CustomField.findById(req.params.id)
+      if (!field) {
+        return res.status(404).render("error", { message: "Custom field not found" })
+      }
+
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.render("admin/edit-custom-field", {
+          field,
+          fieldTypes: CUSTOM_FIELD_TYPES,
+          error: errors.array()[0].msg,
+        })
+      }
+
+      const options = field.type === "select" ? parseFieldOptions(req.body.options) : []
+      if (field.type === "select" && options.length === 0) {
+        return res.render("admin/edit-custom-field", {
+          field,
+          fieldTypes: CUSTOM_FIELD_TYPES,
+          error: "Select fields need at least one option",
+        })
+      }
+
+      field.label = req.body.label
+      field.options = options
+      field.required = req.body.required === "on"
+      field.order = Number(req.body.order) || 0
+      await field.save()
+
+      res.redirect("/admin/custom-fields?saved=1")
+    } catch (error) {
+      console.error("Edit custom field error:", error)
+      res.status(500).render("error", { message: "Error updating custom field" })
+    }
+  },
+)
+
+// Custom Fields - POST - delete a field together with every employee's value for it
+router.post("/custom-fields/:id/delete", async (req, res) => {
+  try {
+    const field = await CustomField.findByIdAndDelete(req.params.id)
+    if (!field) {
+      return res.status(404).render("error", { message: "Custom field not found" })
+    }
+
+    const result = await clearCustomFieldValues(field.key)
+    console.log(
+      `Custom field "${field.label}" (${field.key}) deleted by ${req.session.user.name}; cleared ${result.modifiedCount} values`,
+    )
+    res.redirect("/admin/custom-fields?deleted=1")
+  } catch (error) {
+    console.error("Delete custom field error:", error)
+    res.status(500).render("error", { message: "Error deleting custom field" })
+  }
+})
+
+// Profile Changes - GET - self-service profile changes waiting for approval, with the latest decisions
+router.get("/profile-changes", async (req, res) => {
+  try {
+    await renderProfileChanges(req, res)
+  } catch (error) {
+    console.error("Profile changes error:", error)
+    res.status(500).render("error", { message: "Error loading profile changes" })
+  }
+})
+
+// Profile Changes - POST - apply a pending request to the employee
+router.post("/profile-changes/:id/approve", async (req, res) => {
+  try {
+    const request = await ProfileChangeRequest.findOne({ _id: req.params.id, status: "pending" }).populate(
+      "user",
+      "name employeeId",
+    )
+    if (!request) {
+      return renderProfileChanges(req, res, "Request not found or already decided")
+    }
+
+    const result = await approveProfileChangeRequest(request, req.session.user._id)
+    if (result.error) {
+      return renderProfileChanges(req, res, result.error)
+    }
+
+    console.log(`Profile change for ${request.user.employeeId} approved by ${req.session.user.name}:`, result.update)
+    res.redirect("/admin/profile-changes?approved=1")
+  } catch (error) {
+    console.error("Approve profile change error:", error)
+    res.status(500).render("error", { message: "Error approving profile change" })
+  }
+})
+
+// Profile Changes - POST - turn a pending request down, optionally telling the employee why
+router.post(
+  "/profile-changes/:id/reject",
+  [body("reviewNote").trim().isLength({ max: 500 }).withMessage("Note must be at most 500 characters")],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return renderProfileChanges(req, res, errors.array()[0].msg)
+      }
+
+      const request = await ProfileChangeRequest.findOne({ _id: req.params.id, status: "pending" }).populate(
+        "user",
+        "name employeeId",
+      )
+      if (!request) {
+        return renderProfileChanges(req, res, "Request not found or already decided")
+      }
+
+      await rejectProfileChangeRequest(request, req.session.user._id, req.body.reviewNote || "")
+      console.log(`Profile change for ${request.user.employeeId} rejected by ${req.session.user.name}`)
+      res.redirect("/admin/profile-changes?rejected=1")
+    } catch (error) {
+      console.error("Reject profile change error:", error)
+      res.status(500).render("error", { message: "Error rejecting profile change" })
+    }
+  },
+)
+
+// HRIS Sync - GET - drop folder status, sync settings and past runs
+router.get("/hris-sync", async (req, res) => {
+  try {
+    await renderHrisSync(req, res)
+  } catch (error) {
+    console.error("HRIS sync page error:", error)
+    res.status(500).render("error", { message: "Error loading HRIS sync" })
+  }
+})
+
+// HRIS Sync - POST - schedule mode, grace period and department creation
+router.post(
+  "/hris-sync/settings",
+  [
+    body("mode").isIn(["off", "preview", "apply"]).withMessage("Valid sync mode is required"),
+    body("graceDays").isInt({ min: 0, max: 365 }).withMessage("Grace period must be between 0 and 365 days"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return renderHrisSync(req, res, errors.array()[0].msg)
+      }
+
+      const settings = await Setting.getSettings()
+      settings.hrisSync.mode = req.body.mode
+      settings.hrisSync.graceDays = Number.parseInt(req.body.graceDays)
+      settings.hrisSync.createDepartments = req.body.createDepartments === "on"
+      settings.updatedBy = req.session.user._id
+      await settings.save()
+
+      console.log("HRIS sync settings updated by:", req.session.user.name)
+      res.redirect("/admin/hris-sync?saved=1")
+    } catch (error) {
+      console.error("Save HRIS sync settings error:", error)
+      res.status(500).render("error", { message: "Error saving HRIS sync settings" })
+    }
+  },
+)
+
+// HRIS Sync - POST - preview the newest roster file without changing anything
+router.post("/hris-sync/preview", async (req, res) => {
+  try {
+    const result = await runRosterSync({ trigger: "admin", apply: false, actorId: req.session.user._id })
+    if (result.error) {
+      return renderHrisSync(req, res, result.error)
+    }
+    res.redirect(`/admin/hris-sync/runs/${result.run._id}`)
+  } catch (error) {
+    console.error("HRIS sync preview error:", error)
+    res.status(500).render("error", { message: "Error previewing roster sync" })
+  }
+})
+
+// HRIS Sync - GET - diff report of one run
+router.get("/hris-sync/runs/:id", async (req, res) => {
+  try {
+    await renderHrisSyncRun(req, res)
+  } catch (error) {
+    console.error("HRIS sync run error:", error)
+    res.status(500).render("error", { message: "Error loading roster sync run" })
+  }
+})
+
+// HRIS Sync - POST - apply a preview, re-checked against the current data
+router.post("/hris-sync/runs/:id/apply", async (req, res) => {
+  try {
+    const run = await HrisSyncRun.findOne({ _id: req.params.id, status: "preview" })
+    if (!run) {
+      return res.status(404).render("error", { message: "Preview not found or already applied" })
+    }
+
+    const result = await runRosterSync({
+      trigger: "admin",
+      apply: true,
+      actorId: req.session.user._id,
+      previewRun: run,
+    })
+    if (result.error) {
+      return renderHrisSyncRun(req, res, result.error)
+    }
+    console.log(`HRIS roster sync ${run._id} applied by ${req.session.user.name}`)
+    res.redirect(`/admin/hris-sync/runs/${run._id}`)
+  } catch (error) {
+    console.error("HRIS sync apply error:", error)
+    res.status(500).render("error", { message: "Error applying roster sync" })
+  }
+})
+
+// HRIS Sync - GET - diff report of one run as CSV
+router.get("/hris-sync/runs/:id/report", async (req, res) => {
+  try {
+    const run = await HrisSyncRun.findById(req.params.id)
+    if (!run) {
+      return res.status(404).render("error", { message: "Roster sync run not found" })
+    }
+
+    res.setHeader("Content-Type", "text/csv")
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="roster_sync_${run.createdAt.toISOString().split("T")[0]}_${run.status}.csv"`,
+    )
+    res.send(buildRosterReportCsv(run))
+  } catch (error) {
+    console.error("HRIS sync report error:", error)
+    res.status(500).render("error", { message: "Error exporting roster sync report" })
+  }
+})
+
+// Security Settings - GET
+router.get("/settings", async (req, res) => {
+  try {
+    const settings = await Setting.getSettings()
+    res.render("admin/settings", {
+      settings,
+      ...(await getSettingsPageData()),
+      success: req.query.saved ? "Settings saved successfully" : null,
+    })
+  } catch (error) {
+    console.error("Settings error:", error)
+    res.status(500).render("error", { message: "Error loading settings" })
+  }
+})
+
+// Security Settings - POST
+router.post(
+  "/settings",
+  [
+    body("twoFactorAdmin").isIn(["off", "optional", "required"]).withMessage("Valid admin two-factor setting is required"),
+    body("twoFactorHod").isIn(["off", "optional", "required"]).withMessage("Valid HOD two-factor setting is required"),
+    body("minLength").isInt({ min: 4, max: 128 }).withMessage("Minimum password length must be between 4 and 128"),
+    body("historyCount").isInt({ min: 0, max: 24 }).withMessage("Password history must be between 0 and 24"),
+    body("expiryDays").isInt({ min: 0, max: 3650 }).withMessage("Password expiry must be between 0 and 3650 days"),
+    body("authEventRetentionDays")
+      .isInt({ min: 0, max: 3650 })
+      .withMessage("Security event retention must be between 0 and 3650 days"),
+    body("oidcMatchBy")
+      .isIn(["employeeId", "email", "employeeIdOrEmail"])
+      .withMessage("Valid single sign-on account matching is required"),
+    body("oidcDefaultDepartment")
+      .optional({ values: "falsy" })
+      .isMongoId()
+      .withMessage("Valid default department is required"),
+    body(["ldapEmployeeIdAttribute", "ldapGroupAttribute"])
+      .trim()
+      .matches(/^[A-Za-z][A-Za-z0-9-]*$/)
+      .withMessage("LDAP attribute names may only contain letters, digits and hyphens"),
+    body(["ldapAdminGroup", "ldapHodHigherGroup", "ldapHodLowerGroup"]).trim(),
+    body("profileApprovalFields")
+      .customSanitizer((value) => (Array.isArray(value) ? value : value ? [value] : []))
+      .custom((value) => value.every((key) => PROFILE_FIELDS.some((field) => field.key === key)))
+      .withMessage("Unknown profile field"),
+  ],
+  async (req, res) => {
+    try {
+      const settings = await Setting.getSettings()
+
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.render("admin/settings", {
+          settings,
+          ...(await getSettingsPageData()),
+          success: null,
+          error: errors.array()[0].msg,
+        })
+      }
+
+      // Auto-provisioned accounts need somewhere to live
+      const oidcAutoProvision = req.body.oidcAutoProvision === "on"
+      if (oidcAutoProvision && !req.body.oidcDefaultDepartment) {
+        return res.render("admin/settings", {
+          settings,
+          ...(await getSettingsPageData()),
+          success: null,
+          error: "Choose a default department to create accounts on first single sign-on",
+        })
+      }
+
+      settings.twoFactor.admin = req.body.twoFactorAdmin
+      settings.twoFactor.hod = req.body.twoFactorHod
+
+      settings.passwordPolicy.minLength = Number.parseInt(req.body.minLength)
+      settings.passwordPolicy.requireUppercase = req.body.requireUppercase === "on"
+      settings.passwordPolicy.requireLowercase = req.body.requireLowercase === "on"
+      settings.passwordPolicy.requireNumber = req.body.requireNumber === "on"
+      settings.passwordPolicy.requireSymbol = req.body.requireSymbol === "on"
+      settings.passwordPolicy.historyCount = Number.parseInt(req.body.historyCount)
+      settings.passwordPolicy.expiryDays = Number.parseInt(req.body.expiryDays)
+      settings.authEventRetentionDays = Number.parseInt(req.body.authEventRetentionDays)
+      settings.profileApprovalFields = req.body.profileApprovalFields
+
+      settings.oidc.enabled = req.body.oidcEnabled === "on"
+      settings.oidc.matchBy = req.body.oidcMatchBy
+      settings.oidc.autoProvision = oidcAutoProvision
+      settings.oidc.defaultDepartment = req.body.oidcDefaultDepartment || null
+
+      settings.ldap.enabled = req.body.ldapEnabled === "on"
+      settings.ldap.employeeIdAttribute = req.body.ldapEmployeeIdAttribute
+      settings.ldap.allowLocalFallback = req.body.ldapAllowLocalFallback === "on"
+      settings.ldap.syncRoles = req.body.ldapSyncRoles === "on"
+      settings.ldap.groupAttribute = req.body.ldapGroupAttribute
+      settings.ldap.adminGroup = req.body.ldapAdminGroup || ""
+      settings.ldap.hodHigherGroup = req.body.ldapHodHigherGroup || ""
+      settings.ldap.hodLowerGroup = req.body.ldapHodLowerGroup || ""
+
+      settings.passwordLogin.admin = req.body.passwordLoginAdmin === "on"
+      settings.passwordLogin.hod = req.body.passwordLoginHod === "on"
+      settings.passwordLogin.employee = req.body.passwordLoginEmployee === "on"
+      settings.updatedBy = req.session.user._id
+      await settings.save()
+
+      console.log("Security settings updated by:", req.session.user.name)
+      res.redirect("/admin/settings?saved=1")
+    } catch (error) {
+      console.error("Save settings error:", error)
+      res.status(500).render("error", { message: "Error saving settings" })
+    }
+  },
+)
+
+// Role Permissions - GET capability matrix
+router.get("/permissions", async (req, res) => {
+  try {
+    let success = null
+    if (req.query.saved) success = "Role permissions saved"
+    if (req.query.reset) success = "Role permissions reset to defaults"
+
+    res.render("admin/permissions", {
+      capabilities: CAPABILITIES,
+      roleKeys: ROLE_KEYS,
+      roleCapabilities: await getRoleCapabilities(),
+      lockedCapabilities: LOCKED_CAPABILITIES,
+      success,
+    })
+  } catch (error) {
+    console.error("Permissions page error:", error)
+    res.status(500).render("error", { message: "Error loading role permissions" })
+  }
+})
+
+// Role Permissions - POST - one checkbox group per role key
+router.post("/permissions", async (req, res) => {
+  try {
+    const settings = await Setting.getSettings()
+    ROLE_KEYS.forEach(({ key }) => {
+      settings.rolePermissions[key] = sanitizeCapabilities(req.body[key])
+    })
+    settings.updatedBy = req.session.user._id
+    await settings.save()
+
+    console.log("Role permissions updated by:", req.session.user.name)
+    res.redirect("/admin/permissions?saved=1")
+  } catch (error) {
+    console.error("Save permissions error:", error)
+    res.status(500).render("error", { message: "Error saving role permissions" })
+  }
+})
+
+// Role Permissions - reset every role to the built-in defaults
+router.post("/permissions/reset", async (req, res) => {
+  try {
+    const settings = await Setting.getSettings()
+    ROLE_KEYS.forEach(({ key }) => {
+      settings.rolePermissions[key] = undefined
+    })
+    settings.updatedBy = req.session.user._id
+    await settings.save()
+
+    console.log("Role permissions reset to defaults by:", req.session.user.name)
+    res.redirect("/admin/permissions?reset=1")
+  } catch (error) {
+    console.error("Reset permissions error:", error)
+    res.status(500).render("error", { message: "Error resetting role permissions" })
+  }
+})
+
+// Login Lockouts - locked accounts/IPs and recent failed attempts
+router.get("/lockouts", async (req, res) => {
+  try {
+    const now = new Date()
+    const lockedAttempts = await LoginAttempt.find({ lockedUntil: { $gt: now } }).sort({ lockedUntil: -1 })
+    const recentFailures = await LoginAttempt.find({
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+      failedCount: { $gt: 0 },
+    })
+      .sort({ lastFailedAt: -1 })
+      .limit(100)
+
+    // Resolve Employee IDs to names for display
+    const employeeIds = [...lockedAttempts, ...recentFailures].filter((a) => a.scope === "employeeId").map((a) => a.key)
+    const users = await User.find({ employeeId: { $in: employeeIds } }).select("name employeeId role")
+    const usersByEmployeeId = {}
+    users.forEach((u) => {
+      usersByEmployeeId[u.employeeId] = u
+    })
+
+    res.render("admin/lockouts", {
+      lockedAttempts,
+      recentFailures,
+      usersByEmployeeId,
+      success: req.query.unlocked ? "Lock cleared successfully" : null,
+    })
+  } catch (error) {
+    console.error("Lockouts error:", error)
+    res.status(500).render("error", { message: "Error loading login lockouts" })
+  }
+})
+
+// Unlock - clears the counter so the account or IP can log in immediately
+router.post("/lockouts/:id/unlock", async (req, res) => {
+  try {
+    const attempt = await LoginAttempt.findByIdAndDelete(req.params.id)
+    if (!attempt) {
+      return res.status(404).render("error", { message: "Lockout record not found" })
+    }
+
+    console.log(`Login lock cleared for ${attempt.scope} "${attempt.key}" by admin:`, req.session.user.name)
+    res.redirect("/admin/lockouts?unlocked=1")
+  } catch (error) {
+    console.error("Unlock error:", error)
+    res.status(500).render("error", { message: "Error clearing lockout" })
+  }
+})
+
+// Reset Password - issue a random temporary password that is shown to the admin only once
+router.post("/employees/:id/reset-password", loadManagerOptions, loadTransferHistory, async (req, res) => {
+  try {
+    const employee = await User.findOne({ _id: req.params.id, role: { $in: ["employee", "hod"] } }).select(
+      "+passwordHistory",
+    )
+    if (!employee) {
+      return res.status(404).render("error", { message: "Employee not found" })
+    }
+
+    const policy = await getPasswordPolicy()
+    const temporaryPassword = generateTemporaryPassword(Math.max(12, policy.minLength))
+    await setUserPassword(employee, temporaryPassword, policy)
+    employee.mustChangePassword = true
+    employee.passwordResetToken = null
+    employee.passwordResetExpires = null
+    await employee.save()
+
+    // Sign the user out everywhere so the temporary password is the only way back in
+    await destroyUserSessions(employee._id)
+
+    console.log("Temporary password issued for:", employee.employeeId, "by admin:", req.session.user.name)
+    await recordAuthEvent(req, "password.change", {
+      user: employee,
+      actor: req.session.user._id,
+      reason: "admin",
+      details: { temporaryPassword: true },
+    })
+
+    const populatedEmployee = await User.findById(employee._id).populate("department")
+    const departments = await Department.find({ isActive: true })
+      .populate("parentDepartment", "name")
+      .sort({ parentDepartment: 1, name: 1 })
+    res.render("admin/edit-employee", {
+      employee: populatedEmployee,
+      departments,
+      temporaryPassword,
+    })
+  } catch (error) {
+    console.error("Reset password error:", error)
+    res.status(500).render("error", { message: "Error resetting password" })
+  }
+})
+
+// Offboard Employee - GET - exit details, pending review warnings and HOD reassignment
+router.get("/employees/:id/offboard", async (req, res) => {
+  try {
+    const employee = await User.findOne({ _id: req.params.id, role: { $in: ["employee", "hod"] } }).populate(
+      "department",
+    )
+    if (!employee) {
+      return res.status(404).render("error", { message: "Employee not found" })
+    }
+    if (!employee.isActive) {
+      return res.redirect(`/admin/employees/${employee._id}/edit`)
+    }
+
+    res.render("admin/offboard-employee", { employee, ...(await getOffboardingPageData(employee)), error: null })
+  } catch (error) {
+    console.error("Offboard employee GET error:", error)
+    res.status(500).render("error", { message: "Error loading offboarding" })
+  }
+})
+
+// Offboard Employee - POST - deactivate, remove from every HOD list and hand departments to other HODs
+router.post(
+  "/employees/:id/offboard",
+  [
+    body("exitDate").isISO8601().withMessage("Valid exit date is required"),
+    body("exitReason")
+      .trim()
+      .notEmpty()
+      .withMessage("Exit reason is required")
+      .isLength({ max: 500 })
+      .withMessage("Exit reason must be at most 500 characters"),
+  ],
+  async (req, res) => {
+    try {
+      const employee = await User.findOne({ _id: req.params.id, role: { $in: ["employee", "hod"] } }).populate(
+        "department",
+      )
+      if (!employee) {
+        return res.status(404).render("error", { message: "Employee not found" })
+      }
+      if (!employee.isActive) {
+        return res.redirect(`/admin/employees/${employee._id}/edit`)
+      }
+
+      const pageData = await getOffboardingPageData(employee)
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.render("admin/offboard-employee", { employee, ...pageData, error: errors.array()[0].msg })
+      }
+
+      // reassign[<departmentId>] = id of the HOD taking over, or empty to leave the department without them
+      const reassign = req.body.reassign && typeof req.body.reassign === "object" ? req.body.reassign : {}
+      const candidateIds = pageData.replacementHods.map((hod) => hod._id.toString())
+      const reassignments = []
+      for (const department of pageData.hodDepartments) {
+        const newHodId = reassign[department._id.toString()]
+        if (!newHodId) {
+          continue
+        }
+        if (!candidateIds.includes(newHodId)) {
+          return res.render("admin/offboard-employee", {
+            employee,
+            ...pageData,
+            error: `Choose an active HOD to take over ${department.name}`,
+          })
+        }
+        reassignments.push({ department, newHodId })
+      }
+
+      // Direct reports move up to the departing person's own manager
+      const movedReports = await offboardEmployee(employee, {
+        exitDate: new Date(req.body.exitDate),
+        exitReason: req.body.exitReason,
+        offboardedBy: req.session.user._id,
+      })
+      if (movedReports > 0) {
+        console.log(`Moved ${movedReports} direct report(s) of ${employee.employeeId} up one level`)
+      }
+
+      for (const { department, newHodId } of reassignments) {
+        await Department.updateOne({ _id: department._id }, { $addToSet: { hods: newHodId } })
+        console.log(`Department ${department.name} reassigned from ${employee.employeeId} to HOD:`, newHodId)
+      }
+
+      console.log(
+        "Employee offboarded:",
+        employee.employeeId,
+        "by admin:",
+        req.session.user.name,
+        "- reason:",
+        req.body.exitReason,
+      )
+      res.redirect(`/admin/employees/${employee._id}/edit`)
+    } catch (error) {
+      console.error("Offboard employee POST error:", error)
+      res.status(500).render("error", { message: "Error offboarding employee" })
+    }
+  },
+)
+
+// Reset Two-Factor - for employees and HODs who lost both their device and recovery codes.
+// A security action rather than a profile edit, so it needs security.manage on top of employees.manage.
+router.post("/employees/:id/reset-two-factor", requirePermission("security.manage"), async (req, res) => {
+  try {
+    const employee = await User.findOneAndUpdate(
+      { _id: req.params.id, role: { $in: ["employee", "hod"] } },
+      {
+        twoFactorEnabled: false,
+        twoFactorSecret: null,
+        twoFactorRecoveryCodes: [],
+        twoFactorLastStep: null,
+      },
+    )
+    if (!employee) {
+      return res.status(404).render("error", { message: "Employee not found" })
+    }
+
+    await recordAuthEvent(req, "two_factor.reset", {
+      user: employee,
+      actor: req.session.user._id,
+      reason: "admin",
+      details: { wasEnabled: !!employee.twoFactorEnabled },
+    })
+    console.log("Two-factor authentication reset for:", employee.employeeId, "by admin:", req.session.user.name)
+    res.redirect(`/admin/employees/${req.params.id}/edit`)
+  } catch (error) {
+    console.error("Reset two-factor error:", error)
+    res.status(500).render("error", { message: "Error resetting two-factor authentication" })
+  }
+})
+
+// Active Sessions - every signed-in session grouped by user, optionally for one user (?user=<id>)
+router.get("/sessions", async (req, res) => {
+  try {
+    let sessions = await listAllUserSessions()
+    const filterUser = /^[a-f0-9]{24}$/i.test(req.query.user || "") ? req.query.user : null
+    if (filterUser) {
+      sessions = sessions.filter((session) => session.user._id === filterUser)
+    }
+
+    const users = await User.find({ _id: { $in: [...new Set(sessions.map((s) => s.user._id))] } })
+      .select("name employeeId role isActive")
+      .populate("department", "name")
+    const sessionGroups = users
+      .map((u) => ({ user: u, sessions: sessions.filter((s) => s.user._id === u._id.toString()) }))
+      .sort((a, b) => a.user.name.localeCompare(b.user.name))
+
+    let success = null
+    if (req.query.revoked === "one") success = "Session signed out"
+    if (req.query.revoked === "all") success = "User signed out of every session"
+
+    res.render("admin/sessions", {
+      sessionGroups,
+      totalSessions: sessions.length,
+      filterUser,
+      currentHandle: getSessionHandle(req.sessionID),
+      success,
+      error: req.query.error === "current" ? "Use Logout to end the session you are using now" : null,
+    })
+  } catch (error) {
+    console.error("Admin sessions error:", error)
+    res.status(500).render("error", { message: "Error loading sessions" })
+  }
+})
+
+// Revoke one session of a user
+router.post("/sessions/:userId/:handle/revoke", async (req, res) => {
+  const back = req.body.filterUser ? `/admin/sessions?user=${req.params.userId}&` : "/admin/sessions?"
+  try {
+    if (req.params.handle === getSessionHandle(req.sessionID)) {
+      return res.redirect(`${back}error=current`)
+    }
+
+    await destroyUserSessionByHandle(req.params.userId, req.params.handle)
+    console.log("Session revoked for user:", req.params.userId, "by admin:", req.session.user.name)
+    res.redirect(`${back}revoked=one`)
+  } catch (error) {
+    console.error("Admin revoke session error:", error)
+    res.status(500).render("error", { message: "Error signing out session" })
+  }
+})
+
+// Revoke every session of a user (the admin's own current session is kept)
+router.post("/sessions/:userId/revoke-all", async (req, res) => {
+  const back = req.body.filterUser ? `/admin/sessions?user=${req.params.userId}&` : "/admin/sessions?"
+  try {
+    await destroyUserSessions(req.params.userId, req.sessionID)
+    console.log("All sessions revoked for user:", req.params.userId, "by admin:", req.session.user.name)
+    res.redirect(`${back}revoked=all`)
+  } catch (error) {
+    console.error("Admin revoke all sessions error:", error)
+    res.status(500).render("error", { message: "Error signing out sessions" })
+  }
+})
+
+// View As User - start impersonating an HOD or employee (read-only unless allowWrites is ticked)
+router.post("/employees/:id/impersonate", requirePermission("users.impersonate"), async (req, res) => {
+  try {
+    const target = await User.findOne({
+      _id: req.params.id,
+      role: { $in: ["employee", "hod"] },
+      isActive: true,
+    }).populate("department")
+    if (!target) {
+      return res.status(404).render("error", { message: "Only active HODs and employees can be viewed as" })
+    }
+
+    await startImpersonation(req, target, { allowWrites: req.body.allowWrites === "on" })
+    res.redirect(`/${target.role}/dashboard`)
+  } catch (error) {
+    console.error("Start impersonation error:", error)
+    res.status(500).render("error", { message: "Error starting view as user" })
+  }
+})
+
+// Impersonation Log - audit trail of every "view as user" session
+router.get("/impersonation", async (req, res) => {
+  try {
+    const logs = await ImpersonationLog.find({})
+      .populate("admin", "name employeeId")
+      .populate("target", "name employeeId role")
+      .sort({ startedAt: -1 })
+      .limit(200)
+
+    res.render("admin/impersonation", { logs })
+  } catch (error) {
+    console.error("Impersonation log error:", error)
+    res.status(500).render("error", { message: "Error loading impersonation log" })
+  }
+})
+
+// Security Events - login, logout, password and role changes with filters
+router.get("/auth-events", async (req, res) => {
+  try {
+    const { query, filters } = buildAuthEventQuery(req.query)
+    const page = Math.max(1, Number.parseInt(req.query.page) || 1)
+
+    const [events, total, settings] = await Promise.all([
+      AuthEvent.find(query)
+        .populate("user", "name employeeId")
+        .populate("actor", "name employeeId")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * AUTH_EVENTS_PAGE_SIZE)
+        .limit(AUTH_EVENTS_PAGE_SIZE),
+      AuthEvent.countDocuments(query),
+      Setting.getSettings(),
+    ])
+
+    res.render("admin/auth-events", {
+      events,
+      total,
+      page,
+      pageCount: Math.max(1, Math.ceil(total / AUTH_EVENTS_PAGE_SIZE)),
+      filters,
+      eventTypes: AUTH_EVENT_TYPES,
+      reasons: AUTH_EVENT_REASONS,
+      retentionDays: settings.authEventRetentionDays,
+    })
+  } catch (error) {
+    console.error("Security events error:", error)
+    res.status(500).render("error", { message: "Error loading security events" })
+  }
+})
+
+// Security Events - CSV export of the filtered events
+router.get("/auth-events/export", async (req, res) => {
+  try {
+    const { query } = buildAuthEventQuery(req.query)
+    const events = await AuthEvent.find(query)
+      .populate("user", "name employeeId")
+      .populate("actor", "name employeeId")
+      .sort({ createdAt: -1 })
+      .limit(AUTH_EVENTS_EXPORT_LIMIT)
+
+    let csvContent = "Time,Event,Employee ID,Name,Method,Reason,Changed By,IP Address,User Agent,Details\n"
+
+    events.forEach((event) => {
+      csvContent +=
+        [
+          event.createdAt.toISOString(),
+          event.type,
+          event.employeeId || "",
+          event.user ? event.user.name : "",
+          event.method || "",
+          event.reason ? AUTH_EVENT_REASONS[event.reason] || event.reason : "",
+          event.actor ? `${event.actor.name} (${event.actor.employeeId})` : "",
+          event.ip || "",
+          event.userAgent || "",
+          event.details ? JSON.stringify(event.details) : "",
+        ]
+          .map(csvField)
+          .join(",") + "\n"
+    })
+
+    res.setHeader("Content-Type", "text/csv")
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="security_events_${new Date().toISOString().split("T")[0]}.csv"`,
+    )
+    res.send(csvContent)
+  } catch (error) {
+    console.error("Security events export error:", error)
+    res.status(500).render("error", { message: "Error exporting security events" })
+  }
+})
+
+const AUTH_EVENTS_PAGE_SIZE = 100
+const AUTH_EVENTS_EXPORT_LIMIT = 50000
+
+// Helper function to turn the security events filter form into a query, echoing back the valid values
+function buildAuthEventQuery(params) {
+  const filters = { employeeId: "", type: "", from: "", to: "" }
+  const query = {}
+
+  if (typeof params.employeeId === "string" && params.employeeId.trim() !== "") {
+    filters.employeeId = params.employeeId.trim()
+    query.employeeId = filters.employeeId
+  }
+  if (AUTH_EVENT_TYPES.some((eventType) => eventType.key === params.type)) {
+    filters.type = params.type
+    query.type = params.type
+  }
+
+  const isDate = (value) => typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value)
+  if (isDate(params.from)) {
+    filters.from = params.from
+    query.createdAt = { $gte: new Date(`${params.from}T00:00:00`) }
+  }
+  if (isDate(params.to)) {
+    filters.to = params.to
+    query.createdAt = { ...query.createdAt, $lte: new Date(`${params.to}T23:59:59.999`) }
+  }
+
+  return { query, filters }
+}
+
+// Helper function to add one CSV header column per custom field
+function customFieldHeaders(customFields) {
+  return customFields.map((field) => `,${csvField(field.label)}`).join("")
+}
+
+// Helper function to add an employee's custom field values as CSV columns (blank for unknown employees)
+function customFieldCells(customFields, employee) {
+  return customFields
+    .map((field) => `,${csvField(formatCustomFieldValue(field, getCustomFieldValue(employee, field.key)))}`)
+    .join("")
+}
+
+// Helper function to load what the security settings page shows besides the settings document
+async function getSettingsPageData() {
+  const departments = await Department.find({ isActive: true }).sort({ name: 1 })
+  const oidcConfigured = isOidcConfigured()
+  const ldapConfigured = isLdapConfigured()
+  return {
+    departments,
+    profileFields: PROFILE_FIELDS,
+    oidcConfigured,
+    oidcIssuer: oidcConfigured ? getOidcConfig().issuerUrl : null,
+    ldapConfigured,
+    ldapUrl: ldapConfigured ? getLdapConfig().url : null,
+  }
+}
+
+// Helper function to load what the offboarding page needs: departments the person leads, HODs who could
+// take them over, and this month's reviews still outstanding for or by them
+async function getOffboardingPageData(employee) {
+  const currentMonth = getCurrentMonth()
+
+  const hodDepartments = await Department.find({ hods: employee._id }).sort({ name: 1 })
+  const replacementHods = await User.find({ role: "hod", isActive: true, _id: { $ne: employee._id } }).sort({
+    name: 1,
+  })
+
+  // Reviews the person has received this month
+  const reviewsReceived = await Review.countDocuments({ employee: employee._id, month: currentMonth })
+
+  // People in the departments they lead whom they have not reviewed yet this month
+  let unreviewedTeam = []
+  if (hodDepartments.length > 0) {
+    const team = await User.find({
+      department: { $in: hodDepartments.map((dept) => dept._id) },
+      isActive: true,
+      _id: { $ne: employee._id },
+    }).sort({ name: 1 })
+    const reviewedIds = (
+      await Review.find({ reviewer: employee._id, month: currentMonth }).distinct("employee")
+    ).map((id) => id.toString())
+    unreviewedTeam = team.filter((member) => !reviewedIds.includes(member._id.toString()))
+  }
+
+  const directReports = await User.find({ reportsTo: employee._id, isActive: true }).select("name employeeId")
+  const manager = employee.reportsTo ? await User.findById(employee.reportsTo).select("name employeeId") : null
+
+  return {
+    currentMonth,
+    hodDepartments,
+    replacementHods,
+    reviewsReceived,
+    unreviewedTeam,
+    directReports,
+    manager,
+  }
+}
+
+// Helper function to render the employee directory (add form plus the first page of the filtered list)
+async function renderEmployeeDirectory(req, res, error = null) {
+  res.locals.managers = await getManagerOptions()
+  const directory = await searchEmployeeDirectory(req.query)
+  const departments = await Department.find({ isActive: true })
+    .populate("parentDepartment", "name")
+    .sort({ parentDepartment: 1, name: 1 })
+  res.render("admin/employees", {
+    ...directory,
+    departments,
+    bulkActions: BULK_ACTIONS,
+    error,
+  })
+}
+
+// Helper function to shape a directory row for the JSON variant, with custom fields as display text
+function directoryEntry(employee, customFields, departmentPath) {
+  return {
+    _id: employee._id,
+    name: employee.name,
+    employeeId: employee.employeeId,
+    email: employee.email,
+    role: employee.role,
+    hodLevel: employee.hodLevel || null,
+    department: employee.department
+      ? { _id: employee.department._id, name: employee.department.name, path: departmentPath(employee.department) }
+      : null,
+    joiningDate: employee.joiningDate,
+    isActive: employee.isActive,
+    exitDate: employee.exitDate || null,
+    customFields: Object.fromEntries(
+      customFields.map((field) => [field.key, formatCustomFieldValue(field, getCustomFieldValue(employee, field.key))]),
+    ),
+  }
+}
+
+// Helper function to render the custom fields page with how many active employees have a value for each field
+async function renderCustomFields(req, res, error = null) {
+  const fields = await getCustomFields()
+  const usage = {}
+  for (const field of fields) {
+    usage[field.key] = await User.countDocuments({
+      isActive: true,
+      [`customFields.${field.key}`]: { $exists: true, $nin: [null, ""] },
+    })
+  }
+
+  let success = null
+  if (req.query.saved) success = "Custom field saved"
+  if (req.query.deleted) success = "Custom field deleted"
+
+  res.render("admin/custom-fields", {
+    fields,
+    usage,
+    fieldTypes: CUSTOM_FIELD_TYPES,
+    error,
+    success: error ? null : success,
+  })
+}
+
+// Helper function to render the departments page: active departments, the add form and the archive
+async function renderDepartments(req, res, error = null) {
+  // Get all departments with their parent departments and HODs
+  const departments = await Department.find({ isActive: true })
+    .populate("parentDepartment", "name")
+    .populate("hods", "name employeeId")
+    .sort({ parentDepartment: 1, name: 1 })
+
+  const hods = await User.find({ role: "hod", isActive: true })
+
+  // Any active department can be a parent
+  const parentOptions = await getParentOptions(res)
+
+  const archivedDepartments = await Department.find({ isActive: false })
+    .populate("parentDepartment", "name isActive")
+    .populate("archivedBy", "name")
+    .populate("archiveMoves.targetDepartment", "name")
+    .sort({ archivedAt: -1 })
+
+  let success = null
+  if (req.query.archived) success = "Department archived"
+  if (req.query.restored) success = "Department restored"
+  if (req.query.restored && Number(req.query.kept) > 0) {
+    success +=
+      `. ${Number(req.query.kept)} sub-department(s) were left where they are` +
+      " because they can no longer move back under it"
+  }
+
+  res.render("admin/departments", {
+    departments,
+    tree: buildDepartmentTree(departments),
+    hods,
+    parentOptions,
+    archivedDepartments,
+    error,
+    success: error ? null : success,
+  })
+}
+
+// Helper function to list the active departments that can be the parent of departmentId - any outside its own
+// subtree, at any depth - ordered by their full path
+async function getParentOptions(res, departmentId = null) {
+  const excluded = departmentId ? await getDepartmentWithDescendants(departmentId) : []
+  const departments = await Department.find({ isActive: true, _id: { $nin: excluded } })
+  return res.locals.sortDepartments(departments)
+}
+
+// Helper function to render the edit department form
+async function renderEditDepartment(req, res, department, error = null) {
+  const hods = await User.find({ role: "hod", isActive: true })
+  const parentOptions = await getParentOptions(res, department._id)
+  res.render("admin/edit-department", { department, hods, parentOptions, error })
+}
+
+// Helper function to render the archive confirmation page for one department
+async function renderArchiveDepartment(req, res, department, error = null) {
+  const [impact, targets] = await Promise.all([getArchiveImpact(department), getArchiveTargets(department)])
+  res.render("admin/archive-department", {
+    department,
+    impact,
+    targets,
+    values: {
+      targetDepartment: req.body.targetDepartment || "",
+      questionAction: req.body.questionAction || "archive",
+    },
+    error,
+  })
+}
+
+// Helper function to render the profile change queue (oldest pending first) and the last decisions
+async function renderProfileChanges(req, res, error = null) {
+  const pending = await ProfileChangeRequest.find({ status: "pending" })
+    .populate({ path: "user", select: "name employeeId role department", populate: { path: "department", select: "name" } })
+    .sort({ createdAt: 1 })
+  const decided = await ProfileChangeRequest.find({ status: { $ne: "pending" } })
+    .populate("user", "name employeeId")
+    .populate("reviewedBy", "name")
+    .sort({ reviewedAt: -1 })
+    .limit(20)
+
+  let success = null
+  if (req.query.approved) success = "Profile change approved"
+  if (req.query.rejected) success = "Profile change rejected"
+
+  res.render("admin/profile-changes", {
+    pending,
+    decided,
+    error,
+    success: error ? null : success,
+  })
+}
+
+// Helper function to render the HRIS sync page with the newest file in the drop folder and the last runs
+async function renderHrisSync(req, res, error = null) {
+  const settings = await Setting.getSettings()
+  const configured = isHrisSyncConfigured()
+
+  let latestFile = null
+  let folderError = null
+  if (configured) {
+    try {
+      latestFile = await findLatestRosterFile()
+    } catch (readError) {
+      console.error("HRIS sync folder error:", readError)
+      folderError = `The roster folder could not be read: ${readError.message}`
+    }
+  }
+
+  const runs = await HrisSyncRun.find()
+    .select("-report")
+    .populate("startedBy", "name")
+    .populate("appliedBy", "name")
+    .sort({ createdAt: -1 })
+    .limit(30)
+
+  res.render("admin/hris-sync", {
+    settings,
+    configured,
+    folder: configured ? getHrisSyncConfig().dir : null,
+    latestFile,
+    folderError,
+    runs,
+    error,
+    success: !error && req.query.saved ? "HRIS sync settings saved" : null,
+  })
+}
+
+// Helper function to render one roster sync run with its diff report
+async function renderHrisSyncRun(req, res, error = null) {
+  const run = await HrisSyncRun.findById(req.params.id).populate("startedBy", "name").populate("appliedBy", "name")
+  if (!run) {
+    return res.status(404).render("error", { message: "Roster sync run not found" })
+  }
+  res.render("admin/hris-sync-run", { run, error })
+}
+
+// Helper function to render the employee import page (upload form, dry-run report or created accounts)
+function renderEmployeeImport(res, { error = null, fileName = null, rows = null, summary = null, created = null } = {}) {
+  res.render("admin/import-employees", {
+    error,
+    fileName,
+    rows,
+    summary,
+    created,
+    columns: IMPORT_COLUMNS,
+    maxRows: MAX_IMPORT_ROWS,
+  })
+}
+
 // Helper function to get current month
 function getCurrentMonth() {
   const month = new Date().getMonth() + 1
@@ -1190,7 +2867,7 @@ async function getDepartmentStats(month) {
       { $unwind: "$dept" },
       {
         $group: {
-          _id: "$dept.name",
+          _id: "$dept._id",
           avgRating: { $avg: "$avgScore" },
           reviewCount: { $sum: 1 },
         },
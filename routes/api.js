@@ -1,19 +1,21 @@
 const express = require("express")
 const { body, validationResult } = require("express-validator")
-const { requireAuth, requireRole } = require("../middleware/auth")
+const { requireApiAuth, requireRole, requirePermission } = require("../middleware/auth")
 const Review = require("../models/Review")
-const User = require("../models/User")
 const Department = require("../models/Department")
 const Question = require("../models/Question")
+const { departmentPathOf, getDepartmentPaths } = require("../utils/departmentTree")
 
 const router = express.Router()
 
-// Apply authentication to all API routes
-router.use(requireAuth)
+// Apply authentication to all API routes - browser session or "Authorization: Bearer" API token
+router.use(requireApiAuth)
 
-// HOD: Create questions for HOD reviews (Higher HOD only)
+// HOD: Create questions for HOD reviews (Higher Level HODs by default)
 router.post(
   "/hod/questions",
+  requireRole(["hod"]),
+  requirePermission("questions.create"),
   [
     body("text").trim().notEmpty().withMessage("Question text is required"),
     body("category")
@@ -22,15 +24,6 @@ router.post(
   ],
   async (req, res) => {
     try {
-      // Check if user is HOD with higher level
-      const user = await User.findById(req.session.user._id)
-      if (!user || user.role !== "hod" || user.hodLevel !== "higher") {
-        return res.status(403).json({
-          success: false,
-          message: "Only Higher Level HODs can create questions",
-        })
-      }
-
       const errors = validationResult(req)
       if (!errors.isEmpty()) {
         return res.status(400).json({
@@ -54,6 +47,13 @@ router.post(
       }
 
       if (department && department.trim() !== "") {
+        const allowedDepartmentIds = await getHodDepartmentIds(req.session.user)
+        if (!allowedDepartmentIds.includes(department)) {
+          return res.status(403).json({
+            success: false,
+            message: "You can only create questions for your own departments",
+          })
+        }
         questionData.department = department
       }
 
@@ -64,7 +64,7 @@ router.post(
         "for department:",
         newQuestion.department || "Global",
         "by HOD:",
-        user.name,
+        req.session.user.name,
       )
 
       res.json({ success: true, message: "Question created successfully", question: newQuestion })
@@ -79,7 +79,7 @@ router.post(
 )
 
 // Get performance data for charts
-router.get("/performance-data", async (req, res) => {
+router.get("/performance-data", requirePermission("analysis.global"), async (req, res) => {
   try {
     const { type, departmentId } = req.query
 
@@ -99,6 +99,13 @@ router.get("/performance-data", async (req, res) => {
 })
 
 // Helper functions
+// Departments a HOD belongs to or is listed as HOD of
+async function getHodDepartmentIds(sessionUser) {
+  const led = await Department.find({ hods: sessionUser._id, isActive: true }).select("_id").lean()
+  const own = sessionUser.department ? [sessionUser.department._id || sessionUser.department] : []
+  return [...own, ...led.map((department) => department._id)].map(String)
+}
+
 async function getQuarterlyTrends(departmentId) {
   const trends = []
   const currentDate = new Date()
@@ -152,7 +159,7 @@ async function getDepartmentComparison() {
     { $unwind: "$dept" },
     {
       $group: {
-        _id: "$dept.name",
+        _id: "$dept._id",
         avgRating: { $avg: "$score" },
         reviewCount: { $sum: 1 },
       },
@@ -160,8 +167,9 @@ async function getDepartmentComparison() {
     { $sort: { avgRating: -1 } },
   ])
 
+  const paths = await getDepartmentPaths()
   return comparison.map((item) => ({
-    department: item._id,
+    department: departmentPathOf(paths, item._id),
     avgRating: Number.parseFloat(item.avgRating.toFixed(2)),
     reviewCount: item.reviewCount,
   }))
@@ -1,10 +1,44 @@
 const express = require("express")
 const bcrypt = require("bcryptjs")
+const crypto = require("crypto")
 const { body, validationResult } = require("express-validator")
 const User = require("../models/User")
+const { sendPasswordResetEmail } = require("../utils/mailer")
+const { destroyUserSessions, establishSession } = require("../utils/sessions")
+const { issueRememberMeToken, forgetRememberMeToken } = require("../utils/rememberMe")
+const { endImpersonation } = require("../utils/impersonation")
+const {
+  getPasswordPolicy,
+  passwordRule,
+  isPasswordReused,
+  setUserPassword,
+  loadPasswordPolicy,
+} = require("../utils/passwordPolicy")
+const { checkLoginAllowed, recordFailedLogin, clearFailedLogins } = require("../utils/loginThrottle")
+const {
+  getTwoFactorRequirement,
+  generateSecret,
+  buildProvisioning,
+  getTokenStep,
+  generateRecoveryCodes,
+  verifySecondFactor,
+} = require("../utils/twoFactor")
+const {
+  isOidcEnabled,
+  isPasswordLoginAllowed,
+  startOidcLogin,
+  finishOidcLogin,
+  findUserForOidcClaims,
+  loadLoginOptions,
+} = require("../utils/oidc")
+const { checkDirectoryPassword, applyDirectoryRole } = require("../utils/ldap")
+const { recordAuthEvent } = require("../utils/authEvents")
 
 const router = express.Router()
 
+// Every page that can render the login form needs to know whether to show the SSO button
+router.use(loadLoginOptions)
+
 // Login page
 router.get("/login", (req, res) => {
   res.render("login", { error: null })
@@ -25,53 +59,63 @@ router.post(
       }
 
       const { employeeId, password } = req.body
+      const ip = req.ip
 
-      console.log("Login attempt for Employee ID:", employeeId) // Debug log
+      const throttle = await checkLoginAllowed(employeeId, ip)
+      if (!throttle.allowed) {
+        await recordAuthEvent(req, "login.failure", { employeeId, reason: "locked_out" })
+        return res.status(429).render("login", { error: throttle.message })
+      }
 
       const user = await User.findOne({ employeeId, isActive: true }).populate("department")
 
-      if (!user) {
-        console.log("User not found for Employee ID:", employeeId) // Debug log
-        return res.render("login", { error: "Invalid Employee ID or password" })
+      // With LDAP enabled the password is checked by binding to the directory instead of the local hash
+      let directory = null
+      if (user) {
+        try {
+          directory = await checkDirectoryPassword(employeeId, password)
+        } catch (ldapError) {
+          console.error("LDAP authentication error:", ldapError)
+          await recordAuthEvent(req, "login.failure", { user, method: "ldap", reason: "directory_unavailable" })
+          return res.render("login", { error: "Directory sign-in is currently unavailable. Please try again later." })
+        }
       }
+      const isMatch = user ? (directory ? directory.valid : await bcrypt.compare(password, user.password)) : false
 
-      console.log("User found:", user.name, "Role:", user.role) // Debug log
-
-      const isMatch = await bcrypt.compare(password, user.password)
-      console.log("Password match:", isMatch) // Debug log
-
-      if (!isMatch) {
-        console.log("Password mismatch for user:", employeeId) // Debug log
+      if (!user || !isMatch) {
+        await recordFailedLogin(employeeId, ip)
+        await recordAuthEvent(req, "login.failure", {
+          user,
+          employeeId,
+          method: directory ? "ldap" : "password",
+          reason: user ? "bad_password" : "unknown_user",
+        })
         return res.render("login", { error: "Invalid Employee ID or password" })
       }
 
-      // Store user in session
-      req.session.user = {
-        _id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        employeeId: user.employeeId,
-        department: user.department,
-        hodLevel: user.hodLevel,
+      // A role change from directory groups signs the user out of sessions holding the old role
+      const previousRole = directory ? await applyDirectoryRole(user, directory.groups) : null
+      if (previousRole) {
+        await destroyUserSessions(user._id)
+        await recordAuthEvent(req, "role.change", {
+          user,
+          reason: "directory_groups",
+          details: { from: previousRole, to: { role: user.role, hodLevel: user.hodLevel || null } },
+        })
       }
 
-      console.log("Login successful for:", user.name) // Debug log
-
-      // Redirect based on role
-      switch (user.role) {
-        case "admin":
-          res.redirect("/admin/dashboard")
-          break
-        case "hod":
-          res.redirect("/hod/dashboard")
-          break
-        case "employee":
-          res.redirect("/employee/dashboard")
-          break
-        default:
-          res.redirect("/")
+      if (!(await isPasswordLoginAllowed(user.role))) {
+        await recordAuthEvent(req, "login.failure", {
+          user,
+          method: directory ? "ldap" : "password",
+          reason: "password_login_disabled",
+        })
+        return res.render("login", {
+          error: "Password sign-in is disabled for your account. Please use single sign-on.",
+        })
       }
+
+      await completeLogin(req, res, user, directory ? "ldap" : "password", { rememberMe: req.body.rememberMe === "on" })
     } catch (error) {
       console.error("Login error:", error)
       res.render("login", { error: "Server error. Please try again." })
@@ -79,8 +123,362 @@ router.post(
   },
 )
 
+// Single Sign-On - redirect to the OpenID Connect provider
+router.get("/oidc/login", async (req, res) => {
+  try {
+    if (!(await isOidcEnabled())) {
+      return res.redirect("/auth/login")
+    }
+
+    const authorizationUrl = await startOidcLogin(req)
+    res.redirect(authorizationUrl)
+  } catch (error) {
+    console.error("OIDC login error:", error)
+    res.render("login", { error: "Single sign-on is currently unavailable. Please try again later." })
+  }
+})
+
+// Single Sign-On - provider callback, linked to a local user by Employee ID or email
+router.get("/oidc/callback", async (req, res) => {
+  try {
+    if (!(await isOidcEnabled())) {
+      return res.redirect("/auth/login")
+    }
+
+    if (req.query.error) {
+      console.log("OIDC provider returned an error:", req.query.error, req.query.error_description || "")
+      delete req.session.oidc
+      await recordAuthEvent(req, "login.failure", {
+        method: "oidc",
+        reason: "sso_error",
+        details: { error: String(req.query.error) },
+      })
+      return res.render("login", { error: "Single sign-on was cancelled or failed. Please try again." })
+    }
+
+    const claims = await finishOidcLogin(req)
+    const result = await findUserForOidcClaims(claims)
+    if (result.error) {
+      console.log("OIDC login rejected for subject:", claims.sub, "-", result.error)
+      await recordAuthEvent(req, "login.failure", {
+        method: "oidc",
+        reason: "sso_rejected",
+        details: { subject: claims.sub, email: claims.email || null },
+      })
+      return res.render("login", { error: result.error })
+    }
+
+    console.log("OIDC login for:", result.user.employeeId)
+    await completeLogin(req, res, result.user, "oidc")
+  } catch (error) {
+    console.error("OIDC callback error:", error)
+    await recordAuthEvent(req, "login.failure", { method: "oidc", reason: "sso_error", details: { error: error.message } })
+    res.render("login", { error: "Single sign-on failed. Please try again." })
+  }
+})
+
+// Two-Factor - GET code entry (second login step)
+router.get("/two-factor", (req, res) => {
+  const pending = getPendingTwoFactor(req)
+  if (!pending) {
+    return res.redirect("/auth/login")
+  }
+  if (pending.stage === "setup") {
+    return res.redirect("/auth/two-factor/setup")
+  }
+
+  res.render("two-factor", { error: null })
+})
+
+// Two-Factor - POST - verify a TOTP or recovery code and finish the login
+router.post("/two-factor", async (req, res) => {
+  try {
+    const pending = getPendingTwoFactor(req)
+    if (!pending || pending.stage !== "verify") {
+      return res.redirect("/auth/login")
+    }
+
+    const ip = req.ip
+    const throttle = await checkLoginAllowed(pending.employeeId, ip)
+    if (!throttle.allowed) {
+      await recordAuthEvent(req, "login.failure", {
+        user: pending.userId,
+        employeeId: pending.employeeId,
+        method: pending.authMethod,
+        reason: "locked_out",
+      })
+      return res.status(429).render("two-factor", { error: throttle.message })
+    }
+
+    const user = await User.findOne({ _id: pending.userId, isActive: true })
+      .select("+twoFactorSecret +twoFactorRecoveryCodes")
+      .populate("department")
+    if (!user) {
+      delete req.session.pendingTwoFactor
+      return res.redirect("/auth/login")
+    }
+
+    const result = await verifySecondFactor(user, req.body.code)
+    if (!result.valid) {
+      await recordFailedLogin(pending.employeeId, ip)
+      await recordAuthEvent(req, "login.failure", { user, method: pending.authMethod, reason: "bad_second_factor" })
+      return res.render("two-factor", { error: "Invalid authentication code" })
+    }
+
+    await clearFailedLogins(pending.employeeId)
+    if (result.usedRecoveryCode) {
+      console.log(`Recovery code used by ${user.employeeId}, ${result.remainingRecoveryCodes} remaining`)
+    }
+
+    await establishSession(req, user, pending.authMethod)
+    if (pending.rememberMe) {
+      await issueRememberMeToken(req, res, user, pending.authMethod)
+    }
+    res.redirect(getDashboardPath(user.role))
+  } catch (error) {
+    console.error("Two-factor verification error:", error)
+    res.render("two-factor", { error: "Server error. Please try again." })
+  }
+})
+
+// Two-Factor Setup - GET - mandatory enrollment during login
+router.get("/two-factor/setup", async (req, res) => {
+  try {
+    const pending = getPendingTwoFactor(req)
+    if (!pending) {
+      return res.redirect("/auth/login")
+    }
+    if (pending.stage !== "setup") {
+      return res.redirect("/auth/two-factor")
+    }
+
+    if (!pending.secret) {
+      pending.secret = generateSecret()
+    }
+
+    const { qrCodeDataUrl } = await buildProvisioning({ employeeId: pending.employeeId }, pending.secret)
+    res.render("two-factor-setup", { qrCodeDataUrl, secret: pending.secret, recoveryCodes: null, error: null })
+  } catch (error) {
+    console.error("Two-factor setup GET error:", error)
+    res.render("login", { error: "Server error. Please try again." })
+  }
+})
+
+// Two-Factor Setup - POST - confirm the first code, enable 2FA and finish the login
+router.post("/two-factor/setup", async (req, res) => {
+  try {
+    const pending = getPendingTwoFactor(req)
+    if (!pending || pending.stage !== "setup" || !pending.secret) {
+      return res.redirect("/auth/login")
+    }
+
+    const step = getTokenStep(pending.secret, req.body.code)
+    if (step === null) {
+      const { qrCodeDataUrl } = await buildProvisioning({ employeeId: pending.employeeId }, pending.secret)
+      return res.render("two-factor-setup", {
+        qrCodeDataUrl,
+        secret: pending.secret,
+        recoveryCodes: null,
+        error: "Invalid authentication code. Check your authenticator app and try again.",
+      })
+    }
+
+    const user = await User.findOne({ _id: pending.userId, isActive: true }).populate("department")
+    if (!user) {
+      delete req.session.pendingTwoFactor
+      return res.redirect("/auth/login")
+    }
+
+    const { codes, hashes } = generateRecoveryCodes()
+    user.twoFactorEnabled = true
+    user.twoFactorSecret = pending.secret
+    user.twoFactorRecoveryCodes = hashes
+    user.twoFactorLastStep = step
+    await user.save()
+
+    console.log("Two-factor authentication enrolled during login for:", user.employeeId)
+
+    await clearFailedLogins(user.employeeId)
+    await establishSession(req, user, pending.authMethod)
+    if (pending.rememberMe) {
+      await issueRememberMeToken(req, res, user, pending.authMethod)
+    }
+    res.render("two-factor-setup", {
+      qrCodeDataUrl: null,
+      secret: null,
+      recoveryCodes: codes,
+      continueUrl: getDashboardPath(user.role),
+      error: null,
+    })
+  } catch (error) {
+    console.error("Two-factor setup POST error:", error)
+    res.render("login", { error: "Server error. Please try again." })
+  }
+})
+
+// Two-Factor - cancel the half-finished login
+router.get("/two-factor/cancel", (req, res) => {
+  delete req.session.pendingTwoFactor
+  res.redirect("/auth/login")
+})
+
+// Forgot Password - GET form
+router.get("/forgot-password", (req, res) => {
+  res.render("forgot-password", { error: null, success: null })
+})
+
+// Forgot Password - POST - issue a one-time reset token and email the link
+router.post(
+  "/forgot-password",
+  [body("employeeId").trim().notEmpty().withMessage("Employee ID is required")],
+  async (req, res) => {
+    // Same response whether or not the account exists, so Employee IDs cannot be probed
+    const genericMessage =
+      "If an active account exists for that Employee ID, a password reset link has been sent to its email address."
+
+    try {
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.render("forgot-password", { error: errors.array()[0].msg, success: null })
+      }
+
+      const { employeeId } = req.body
+      const user = await User.findOne({ employeeId, isActive: true })
+
+      if (!user) {
+        console.log("Password reset requested for unknown Employee ID:", employeeId)
+        return res.render("forgot-password", { error: null, success: genericMessage })
+      }
+
+      const token = crypto.randomBytes(32).toString("hex")
+      user.passwordResetToken = hashResetToken(token)
+      user.passwordResetExpires = new Date(Date.now() + RESET_TOKEN_TTL_MS)
+      await user.save()
+
+      const baseUrl = process.env.APP_URL || `${req.protocol}://${req.get("host")}`
+      const resetUrl = `${baseUrl}/auth/reset-password/${token}`
+
+      try {
+        await sendPasswordResetEmail(user, resetUrl)
+      } catch (mailError) {
+        console.error("Password reset email error:", mailError)
+        user.passwordResetToken = null
+        user.passwordResetExpires = null
+        await user.save()
+        return res.render("forgot-password", {
+          error: "Could not send the reset email. Please try again later or contact your administrator.",
+          success: null,
+        })
+      }
+
+      console.log("Password reset link issued for:", user.employeeId)
+      res.render("forgot-password", { error: null, success: genericMessage })
+    } catch (error) {
+      console.error("Forgot password error:", error)
+      res.render("forgot-password", { error: "Server error. Please try again.", success: null })
+    }
+  },
+)
+
+// The reset form shows the current password policy
+router.use("/reset-password", loadPasswordPolicy)
+
+// Reset Password - GET form
+router.get("/reset-password/:token", async (req, res) => {
+  try {
+    const user = await findUserByResetToken(req.params.token)
+    if (!user) {
+      return res.render("forgot-password", {
+        error: "This password reset link is invalid or has expired. Please request a new one.",
+        success: null,
+      })
+    }
+
+    res.render("reset-password", { token: req.params.token, error: null })
+  } catch (error) {
+    console.error("Reset password GET error:", error)
+    res.render("forgot-password", { error: "Server error. Please try again.", success: null })
+  }
+})
+
+// Reset Password - POST - set the new password, burn the token and sign out every session
+router.post(
+  "/reset-password/:token",
+  [
+    passwordRule("newPassword"),
+    body("confirmPassword").custom((value, { req }) => {
+      if (value !== req.body.newPassword) {
+        throw new Error("Passwords do not match")
+      }
+      return true
+    }),
+  ],
+  async (req, res) => {
+    try {
+      const user = await findUserByResetToken(req.params.token)
+      if (!user) {
+        return res.render("forgot-password", {
+          error: "This password reset link is invalid or has expired. Please request a new one.",
+          success: null,
+        })
+      }
+
+      const errors = validationResult(req)
+      if (!errors.isEmpty()) {
+        return res.render("reset-password", { token: req.params.token, error: errors.array()[0].msg })
+      }
+
+      const policy = await getPasswordPolicy()
+      if (await isPasswordReused(user, req.body.newPassword, policy)) {
+        return res.render("reset-password", {
+          token: req.params.token,
+          error: `New password must not match any of your last ${policy.historyCount} passwords`,
+        })
+      }
+
+      await setUserPassword(user, req.body.newPassword, policy)
+      user.mustChangePassword = false
+      user.passwordResetToken = null
+      user.passwordResetExpires = null
+      await user.save()
+
+      await destroyUserSessions(user._id)
+
+      console.log("Password reset completed for:", user.employeeId)
+      await recordAuthEvent(req, "password.change", { user, reason: "reset_link" })
+
+      res.render("login", {
+        error: null,
+        success: "Your password has been reset. Please sign in with your new password.",
+      })
+    } catch (error) {
+      console.error("Reset password POST error:", error)
+      res.render("reset-password", { token: req.params.token, error: "Server error. Please try again." })
+    }
+  },
+)
+
 // Logout
-router.post("/logout", (req, res) => {
+router.post("/logout", async (req, res) => {
+  // Logging out while viewing as another user closes the impersonation record too
+  try {
+    await endImpersonation(req, "logout")
+  } catch (error) {
+    console.error("End impersonation on logout error:", error)
+  }
+
+  const sessionUser = req.session.user
+  if (sessionUser) {
+    await recordAuthEvent(req, "logout", { user: sessionUser._id, employeeId: sessionUser.employeeId })
+  }
+
+  // Logging out also ends the remembered login on this device
+  try {
+    await forgetRememberMeToken(req, res)
+  } catch (error) {
+    console.error("Forget remember-me token on logout error:", error)
+  }
+
   req.session.destroy((err) => {
     if (err) {
       console.error("Logout error:", err)
@@ -89,4 +487,82 @@ router.post("/logout", (req, res) => {
   })
 })
 
+// A password-verified login must finish its second factor within ten minutes
+const PENDING_TWO_FACTOR_TTL_MS = 10 * 60 * 1000
+
+// Helper function to get the half-authenticated login state, dropping it once stale
+function getPendingTwoFactor(req) {
+  const pending = req.session.pendingTwoFactor
+  if (!pending) {
+    return null
+  }
+  if (Date.now() - pending.startedAt > PENDING_TWO_FACTOR_TTL_MS) {
+    delete req.session.pendingTwoFactor
+    return null
+  }
+  return pending
+}
+
+// Helper function to finish a verified first factor: ask for the second factor if needed, else sign in.
+// rememberMe issues a remember-me cookie once the login is complete.
+async function completeLogin(req, res, user, authMethod, { rememberMe = false } = {}) {
+  // Admins and HODs may need a second factor before req.session.user is populated
+  const twoFactorRequirement = await getTwoFactorRequirement(user.role)
+  if (twoFactorRequirement !== "off" && (user.twoFactorEnabled || twoFactorRequirement === "required")) {
+    delete req.session.user
+    req.session.pendingTwoFactor = {
+      userId: user._id.toString(),
+      employeeId: user.employeeId,
+      stage: user.twoFactorEnabled ? "verify" : "setup",
+      authMethod,
+      rememberMe,
+      startedAt: Date.now(),
+    }
+    return res.redirect(user.twoFactorEnabled ? "/auth/two-factor" : "/auth/two-factor/setup")
+  }
+
+  // The failure count is only cleared once every factor has passed, so second-factor guesses keep adding to it
+  await clearFailedLogins(user.employeeId)
+  await establishSession(req, user, authMethod)
+  if (rememberMe) {
+    await issueRememberMeToken(req, res, user, authMethod)
+  }
+  res.redirect(getDashboardPath(user.role))
+}
+
+// Helper function to get the landing page for a role
+function getDashboardPath(role) {
+  switch (role) {
+    case "admin":
+      return "/admin/dashboard"
+    case "hod":
+      return "/hod/dashboard"
+    case "employee":
+      return "/employee/dashboard"
+    default:
+      return "/"
+  }
+}
+
+// Reset tokens are valid for one hour
+const RESET_TOKEN_TTL_MS = 60 * 60 * 1000
+
+// Helper function to hash a reset token before storing or looking it up
+function hashResetToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex")
+}
+
+// Helper function to find the active user owning an unexpired reset token
+async function findUserByResetToken(token) {
+  if (!token || !/^[a-f0-9]{64}$/.test(token)) {
+    return null
+  }
+
+  return User.findOne({
+    passwordResetToken: hashResetToken(token),
+    passwordResetExpires: { $gt: new Date() },
+    isActive: true,
+  }).select("+passwordHistory")
+}
+
 module.exports = router
@@ -1,17 +1,44 @@
 const express = require("express")
 const bcrypt = require("bcryptjs")
 const { body, validationResult } = require("express-validator")
-const { requireAuth, requireRole } = require("../middleware/auth")
+const { requireAuth, requireRole, requirePermission } = require("../middleware/auth")
 const User = require("../models/User")
 const Review = require("../models/Review")
 const SelfAssessment = require("../models/SelfAssessment")
 const Question = require("../models/Question")
+const {
+  getPasswordPolicy,
+  passwordRule,
+  isPasswordReused,
+  setUserPassword,
+  loadPasswordPolicy,
+} = require("../utils/passwordPolicy")
+const { destroyUserSessions } = require("../utils/sessions")
+const { recordAuthEvent } = require("../utils/authEvents")
+const {
+  profileRules,
+  getProfileOverview,
+  loadProfileFields,
+  submitProfileChanges,
+  describeProfileSave,
+} = require("../utils/profile")
+const { loadDepartmentPaths } = require("../utils/departmentTree")
 
 const router = express.Router()
 
 // Apply employee role requirement to all routes
 router.use(requireAuth, requireRole(["employee"]))
 
+// Full department paths ("Manufacturing › Casting › Shift A") for everything that names a department
+router.use(loadDepartmentPaths)
+router.use("/self-assessment", requirePermission("self-assessment.submit"))
+
+// The change password form shows the current password policy
+router.use("/change-password", loadPasswordPolicy)
+
+// The profile page lists the editable fields and language choices
+router.use("/profile", loadProfileFields)
+
 // Employee Dashboard
 router.get("/dashboard", async (req, res) => {
   try {
@@ -116,7 +143,7 @@ router.post(
   "/change-password",
   [
     body("currentPassword").notEmpty().withMessage("Current password is required"),
-    body("newPassword").isLength({ min: 6 }).withMessage("New password must be at least 6 characters"),
+    passwordRule("newPassword"),
     body("confirmPassword").custom((value, { req }) => {
       if (value !== req.body.newPassword) {
         throw new Error("Passwords do not match")
@@ -139,7 +166,7 @@ router.post(
       const userId = req.session.user._id
 
       // Get user from database
-      const user = await User.findById(userId)
+      const user = await User.findById(userId).select("+passwordHistory")
       if (!user) {
         return res.render("employee/change-password", {
           employee: req.session.user,
@@ -158,13 +185,29 @@ router.post(
         })
       }
 
-      // Hash new password
-      const hashedPassword = await bcrypt.hash(newPassword, 12)
+      // Enforce the reuse history of the password policy
+      const policy = await getPasswordPolicy()
+      if (await isPasswordReused(user, newPassword, policy)) {
+        return res.render("employee/change-password", {
+          employee: req.session.user,
+          error: `New password must not match any of your last ${policy.historyCount} passwords`,
+          success: null,
+        })
+      }
+
+      // Update password in database and lift any forced or expiry-driven change
+      await setUserPassword(user, newPassword, policy)
+      user.mustChangePassword = false
+      await user.save()
+      req.session.user.mustChangePassword = false
+      req.session.user.passwordExpired = false
 
-      // Update password in database
-      await User.findByIdAndUpdate(userId, { password: hashedPassword })
+      // Sign out every other session; this one carries the new password timestamp
+      req.session.user.passwordChangedAt = user.passwordChangedAt
+      await destroyUserSessions(userId, req.sessionID)
 
       console.log("Password changed successfully for user:", user.name)
+      await recordAuthEvent(req, "password.change", { user, reason: "self" })
 
       res.render("employee/change-password", {
         employee: req.session.user,
@@ -182,6 +225,69 @@ router.post(
   },
 )
 
+// Profile - view and edit own contact details
+router.get("/profile", async (req, res) => {
+  try {
+    res.render("employee/profile", {
+      ...(await getProfileOverview(req.session.user._id)),
+      error: null,
+      success: null,
+    })
+  } catch (error) {
+    console.error("Profile error:", error)
+    res.status(500).render("error", {
+      message: "Error loading profile",
+      user: req.session.user || null,
+    })
+  }
+})
+
+router.post("/profile", profileRules, async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.render("employee/profile", {
+        ...(await getProfileOverview(req.session.user._id)),
+        values: req.body,
+        error: errors.array()[0].msg,
+        success: null,
+      })
+    }
+
+    const result = await submitProfileChanges(req.session.user._id, req.body)
+    if (result.error) {
+      return res.render("employee/profile", {
+        ...(await getProfileOverview(req.session.user._id)),
+        values: req.body,
+        error: result.error,
+        success: null,
+      })
+    }
+
+    // Keep the session (navigation bar, emails) in step with changes that applied straight away
+    ;["name", "email"].forEach((key) => {
+      if (result.direct[key]) {
+        req.session.user[key] = result.direct[key]
+      }
+    })
+    console.log(`Profile saved by ${req.session.user.name}: updated [${result.applied}], awaiting approval [${result.queued}]`)
+
+    res.render("employee/profile", {
+      ...(await getProfileOverview(req.session.user._id)),
+      error: null,
+      success: describeProfileSave(result),
+    })
+  } catch (error) {
+    console.error("Profile update error:", error)
+    res.render("employee/profile", {
+      ...(await getProfileOverview(req.session.user._id)),
+      values: req.body,
+      error: "Error updating profile: " + error.message,
+      success: null,
+    })
+  }
+})
+
 // Self-Assessment Form
 router.get("/self-assessment", async (req, res) => {
   try {
@@ -1,18 +1,52 @@
 const express = require("express")
 const bcrypt = require("bcryptjs")
 const { body, validationResult } = require("express-validator")
-const { requireAuth, requireRole, requireDepartmentAccess } = require("../middleware/auth")
+const { requireAuth, requireRole, requirePermission, requireDepartmentAccess } = require("../middleware/auth")
 const User = require("../models/User")
 const Department = require("../models/Department")
 const Review = require("../models/Review")
 const Question = require("../models/Question")
 const SelfAssessment = require("../models/SelfAssessment")
+const {
+  getPasswordPolicy,
+  passwordRule,
+  isPasswordReused,
+  setUserPassword,
+  loadPasswordPolicy,
+} = require("../utils/passwordPolicy")
+const { destroyUserSessions } = require("../utils/sessions")
+const { recordAuthEvent } = require("../utils/authEvents")
+const {
+  profileRules,
+  getProfileOverview,
+  loadProfileFields,
+  submitProfileChanges,
+  describeProfileSave,
+} = require("../utils/profile")
+const { buildOrgChart } = require("../utils/orgChart")
+const { findUsersForMonth, findDepartmentUsersForMonth, getDepartmentForMonth } = require("../utils/transfers")
+const { loadDepartmentPaths, getDepartmentWithDescendants } = require("../utils/departmentTree")
 
 const router = express.Router()
 
 // Apply HOD role requirement to all routes
 router.use(requireAuth, requireRole(["hod"]), requireDepartmentAccess)
 
+// Full department paths ("Manufacturing › Casting › Shift A") for everything that names a department
+router.use(loadDepartmentPaths)
+
+// Capabilities for each HOD area (higher and lower HOD levels have separate sets)
+router.use("/reviews", requirePermission("reviews.submit.hod"))
+router.use("/self-assessment", requirePermission("self-assessment.submit"))
+router.use("/export", requirePermission("export.department"))
+router.use(["/analysis", "/org-chart"], requirePermission("analysis.department"))
+
+// The change password form shows the current password policy
+router.use("/change-password", loadPasswordPolicy)
+
+// The profile page lists the editable fields and language choices
+router.use("/profile", loadProfileFields)
+
 // HOD Dashboard
 router.get("/dashboard", async (req, res) => {
   try {
@@ -35,7 +69,7 @@ router.get("/dashboard", async (req, res) => {
     // Get all sub-departments of assigned departments where this HOD is also assigned
     let allAssignedDepartmentIds = [...assignedDepartmentIds]
     for (const deptId of assignedDepartmentIds) {
-      const subDeptIds = await getAllDepartmentIds(deptId)
+      const subDeptIds = await getDepartmentWithDescendants(deptId, { activeOnly: true })
       // Only add sub-departments where this HOD is also assigned
       const assignedSubDepts = await Department.find({
         _id: { $in: subDeptIds },
@@ -187,7 +221,7 @@ router.post(
   "/change-password",
   [
     body("currentPassword").notEmpty().withMessage("Current password is required"),
-    body("newPassword").isLength({ min: 6 }).withMessage("New password must be at least 6 characters"),
+    passwordRule("newPassword"),
     body("confirmPassword").custom((value, { req }) => {
       if (value !== req.body.newPassword) {
         throw new Error("Passwords do not match")
@@ -209,7 +243,7 @@ router.post(
       const userId = req.session.user._id
 
       // Get user from database
-      const user = await User.findById(userId)
+      const user = await User.findById(userId).select("+passwordHistory")
       if (!user) {
         return res.render("hod/change-password", {
           error: "User not found",
@@ -226,13 +260,28 @@ router.post(
         })
       }
 
-      // Hash new password
-      const hashedPassword = await bcrypt.hash(newPassword, 12)
+      // Enforce the reuse history of the password policy
+      const policy = await getPasswordPolicy()
+      if (await isPasswordReused(user, newPassword, policy)) {
+        return res.render("hod/change-password", {
+          error: `New password must not match any of your last ${policy.historyCount} passwords`,
+          success: null,
+        })
+      }
 
-      // Update password in database
-      await User.findByIdAndUpdate(userId, { password: hashedPassword })
+      // Update password in database and lift any forced or expiry-driven change
+      await setUserPassword(user, newPassword, policy)
+      user.mustChangePassword = false
+      await user.save()
+      req.session.user.mustChangePassword = false
+      req.session.user.passwordExpired = false
+
+      // Sign out every other session; this one carries the new password timestamp
+      req.session.user.passwordChangedAt = user.passwordChangedAt
+      await destroyUserSessions(userId, req.sessionID)
 
       console.log("Password changed successfully for HOD:", user.name)
+      await recordAuthEvent(req, "password.change", { user, reason: "self" })
 
       res.render("hod/change-password", {
         error: null,
@@ -247,6 +296,69 @@ router.post(
     }
   },
 )
+
+// HOD Profile - view and edit own contact details
+router.get("/profile", async (req, res) => {
+  try {
+    res.render("hod/profile", {
+      ...(await getProfileOverview(req.session.user._id)),
+      error: null,
+      success: null,
+    })
+  } catch (error) {
+    console.error("Profile error:", error)
+    res.status(500).render("error", {
+      message: "Error loading profile",
+      user: req.session.user || null,
+    })
+  }
+})
+
+router.post("/profile", profileRules, async (req, res) => {
+  try {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.render("hod/profile", {
+        ...(await getProfileOverview(req.session.user._id)),
+        values: req.body,
+        error: errors.array()[0].msg,
+        success: null,
+      })
+    }
+
+    const result = await submitProfileChanges(req.session.user._id, req.body)
+    if (result.error) {
+      return res.render("hod/profile", {
+        ...(await getProfileOverview(req.session.user._id)),
+        values: req.body,
+        error: result.error,
+        success: null,
+      })
+    }
+
+    // Keep the session (navigation bar, emails) in step with changes that applied straight away
+    ;["name", "email"].forEach((key) => {
+      if (result.direct[key]) {
+        req.session.user[key] = result.direct[key]
+      }
+    })
+    console.log(`Profile saved by ${req.session.user.name}: updated [${result.applied}], awaiting approval [${result.queued}]`)
+
+    res.render("hod/profile", {
+      ...(await getProfileOverview(req.session.user._id)),
+      error: null,
+      success: describeProfileSave(result),
+    })
+  } catch (error) {
+    console.error("Profile update error:", error)
+    res.render("hod/profile", {
+      ...(await getProfileOverview(req.session.user._id)),
+      values: req.body,
+      error: "Error updating profile: " + error.message,
+      success: null,
+    })
+  }
+})
 
 // HOD Self-Assessment Form
 router.get("/self-assessment", async (req, res) => {
@@ -420,7 +532,7 @@ router.get("/reviews", async (req, res) => {
     // Get all sub-departments of assigned departments
     let allAssignedDepartmentIds = [...assignedDepartmentIds]
     for (const deptId of assignedDepartmentIds) {
-      const subDeptIds = await getAllDepartmentIds(deptId)
+      const subDeptIds = await getDepartmentWithDescendants(deptId, { activeOnly: true })
       // Only add sub-departments where this HOD is also assigned
       const assignedSubDepts = await Department.find({
         _id: { $in: subDeptIds },
@@ -436,28 +548,25 @@ router.get("/reviews", async (req, res) => {
 
     console.log(`Total departments this HOD can review: ${allAssignedDepartmentIds.length}`)
 
+    // People are placed in the department they belonged to in the selected month (transfers are effective-dated).
     // Get department employees (only from departments this HOD is assigned to)
-    const departmentEmployees = await User.find({
-      department: { $in: allAssignedDepartmentIds },
-      role: "employee",
-      isActive: true,
-    }).populate("department", "name parentDepartment")
-
-    // Get department HODs (only from departments this HOD is assigned to, excluding self)
-    const departmentHODs = await User.find({
-      department: { $in: allAssignedDepartmentIds },
-      role: "hod",
-      isActive: true,
-      _id: { $ne: req.session.user._id },
-    }).populate("department", "name parentDepartment")
+    const departmentEmployees = await findDepartmentUsersForMonth(
+      allAssignedDepartmentIds,
+      { role: "employee", isActive: true },
+      selectedMonth,
+      "name parentDepartment",
+    )
 
-    // Get all HODs from other departments (departments this HOD is NOT assigned to)
-    const otherHODs = await User.find({
-      role: "hod",
-      isActive: true,
-      _id: { $ne: req.session.user._id },
-      department: { $nin: allAssignedDepartmentIds },
-    }).populate("department", "name parentDepartment")
+    // Every other HOD, split into those in this HOD's departments and those elsewhere (for cross-department reviews)
+    const hodsForMonth = await findUsersForMonth(
+      { role: "hod", isActive: true, _id: { $ne: req.session.user._id } },
+      selectedMonth,
+      "name parentDepartment",
+    )
+    const inAssignedDepartments = (person) =>
+      !!person.department && allAssignedDepartmentIds.includes(person.department._id.toString())
+    const departmentHODs = hodsForMonth.filter(inAssignedDepartments)
+    const otherHODs = hodsForMonth.filter((person) => !inAssignedDepartments(person))
 
     const availableMonths = []
     const today = new Date()
@@ -655,7 +764,7 @@ router.post("/reviews", async (req, res) => {
     // Get all sub-departments where this HOD is assigned
     let allAssignedDepartmentIds = [...assignedDepartmentIds]
     for (const deptId of assignedDepartmentIds) {
-      const subDeptIds = await getAllDepartmentIds(deptId)
+      const subDeptIds = await getDepartmentWithDescendants(deptId, { activeOnly: true })
       const assignedSubDepts = await Department.find({
         _id: { $in: subDeptIds },
         hods: currentHODId,
@@ -668,8 +777,10 @@ router.post("/reviews", async (req, res) => {
     // Remove duplicates
     allAssignedDepartmentIds = [...new Set(allAssignedDepartmentIds.map((id) => id.toString()))]
 
-    const employeeDepartmentId = employeeDoc.department._id.toString()
-    const canReviewEmployee = allAssignedDepartmentIds.includes(employeeDepartmentId) || employeeDoc.role === "hod"
+    // The department the person was in during the review month, not necessarily their current one
+    const employeeDepartmentId = await getDepartmentForMonth(employeeDoc, reviewMonth)
+    const canReviewEmployee =
+      (!!employeeDepartmentId && allAssignedDepartmentIds.includes(employeeDepartmentId)) || employeeDoc.role === "hod"
 
     if (!canReviewEmployee) {
       console.log("❌ HOD not authorized to review this employee's department")
@@ -726,7 +837,7 @@ router.post("/reviews", async (req, res) => {
     const reviewData = {
       employee: employee,
       reviewer: reviewerId,
-      department: employeeDoc.department._id,
+      department: employeeDepartmentId || employeeDoc.department._id,
       month: reviewMonth,
       comments: comments.trim(),
     }
@@ -792,7 +903,7 @@ router.get("/export/reviews", async (req, res) => {
     // Get all sub-departments where this HOD is assigned
     let allAssignedDepartmentIds = [...assignedDepartmentIds]
     for (const deptId of assignedDepartmentIds) {
-      const subDeptIds = await getAllDepartmentIds(deptId)
+      const subDeptIds = await getDepartmentWithDescendants(deptId, { activeOnly: true })
       const assignedSubDepts = await Department.find({
         _id: { $in: subDeptIds },
         hods: currentHODId,
@@ -827,7 +938,7 @@ router.get("/export/reviews", async (req, res) => {
       const employeeId = review.employee ? review.employee.employeeId : "Unknown"
       const email = review.employee ? review.employee.email : "Unknown"
       const role = review.employee ? review.employee.role.toUpperCase() : "Unknown"
-      const department = review.department ? review.department.name : "Unknown"
+      const department = review.department ? res.locals.departmentPath(review.department) : "Unknown"
       const month = review.month || "N/A"
       const score = review.overallScore || review.score || "N/A"
       const reviewer = review.reviewer ? review.reviewer.name : "Unknown"
@@ -868,7 +979,7 @@ router.get("/export/performance", async (req, res) => {
     // Get all sub-departments where this HOD is assigned
     let allAssignedDepartmentIds = [...assignedDepartmentIds]
     for (const deptId of assignedDepartmentIds) {
-      const subDeptIds = await getAllDepartmentIds(deptId)
+      const subDeptIds = await getDepartmentWithDescendants(deptId, { activeOnly: true })
       const assignedSubDepts = await Department.find({
         _id: { $in: subDeptIds },
         hods: currentHODId,
@@ -881,12 +992,12 @@ router.get("/export/performance", async (req, res) => {
     // Remove duplicates
     allAssignedDepartmentIds = [...new Set(allAssignedDepartmentIds.map((id) => id.toString()))]
 
-    // Get employees from assigned departments
-    const employees = await User.find({
-      department: { $in: allAssignedDepartmentIds },
-      role: { $in: ["employee", "hod"] },
-      isActive: true,
-    }).populate("department", "name")
+    // Get employees who were in the assigned departments during the selected month
+    const employees = await findDepartmentUsersForMonth(
+      allAssignedDepartmentIds,
+      { role: { $in: ["employee", "hod"] }, isActive: true },
+      currentMonth,
+    )
 
     // Get reviews for the selected month
     const reviews = await Review.find({
@@ -933,7 +1044,7 @@ router.get("/export/performance", async (req, res) => {
         name: employee.name,
         employeeId: employee.employeeId,
         email: employee.email,
-        department: employee.department ? employee.department.name : "Not Assigned",
+        department: employee.department ? res.locals.departmentPath(employee.department) : "Not Assigned",
         role: employee.role.toUpperCase(),
         avgScore: avgScore || "N/A",
         reviewCount,
@@ -985,7 +1096,7 @@ router.get("/analysis", async (req, res) => {
     // Get all sub-departments
     let allAssignedDepartmentIds = [...assignedDepartmentIds]
     for (const deptId of assignedDepartmentIds) {
-      const subDeptIds = await getAllDepartmentIds(deptId)
+      const subDeptIds = await getDepartmentWithDescendants(deptId, { activeOnly: true })
       const assignedSubDepts = await Department.find({
         _id: { $in: subDeptIds },
         hods: currentHODId,
@@ -1049,7 +1160,7 @@ router.get("/analysis", async (req, res) => {
         const avgScore = (deptScores.reduce((a, b) => a + b, 0) / deptScores.length).toFixed(2)
 
         departmentOverview.push({
-          name: dept.name,
+          name: res.locals.departmentPath(dept),
           employeeCount: deptEmployees.length,
           reviewCount: deptReviews.length,
           avgScore,
@@ -1108,7 +1219,7 @@ router.get("/analysis", async (req, res) => {
       departmentOverview,
       performanceDistribution,
       monthlyTrendData,
-      departmentName: assignedDepartments.map((d) => d.name).join(", "),
+      departmentName: assignedDepartments.map((d) => res.locals.departmentPath(d)).join(", "),
     })
   } catch (error) {
     console.error("HOD analysis error:", error)
@@ -1119,35 +1230,22 @@ router.get("/analysis", async (req, res) => {
   }
 })
 
-// Helper function to get all department IDs including sub-departments
-async function getAllDepartmentIds(departmentId) {
+// Org Chart - the departments this HOD leads (and their own) with reporting lines and latest scores
+router.get("/org-chart", async (req, res) => {
   try {
-    const allIds = [departmentId]
-    console.log(`Getting all department IDs for department: ${departmentId}`)
-
-    // Get all sub-departments
-    const subDepartments = await Department.find({
-      parentDepartment: departmentId,
+    const assignedDepartments = await Department.find({
+      hods: req.session.user._id,
       isActive: true,
-    })
-
-    console.log(`Found ${subDepartments.length} sub-departments`)
-
-    for (const subDept of subDepartments) {
-      console.log(`Adding sub-department: ${subDept.name} (${subDept._id})`)
-      allIds.push(subDept._id)
-      // Recursively get sub-departments of sub-departments
-      const subSubIds = await getAllDepartmentIds(subDept._id)
-      allIds.push(...subSubIds.slice(1)) // Remove the first element as it's already included
-    }
+    }).select("_id")
+    const departmentIds = [...new Set([req.userDepartment._id, ...assignedDepartments.map((d) => d._id)].map(String))]
 
-    console.log(`Final department IDs: ${allIds.length} departments`)
-    return allIds
+    const { roots, totalPeople } = await buildOrgChart(departmentIds)
+    res.render("hod/org-chart", { roots, totalPeople })
   } catch (error) {
-    console.log("Error getting department IDs:", error.message)
-    return [departmentId]
+    console.error("HOD org chart error:", error)
+    res.status(500).render("error", { message: "Error loading org chart" })
   }
-}
+})
 
 // Helper function to get current month
 function getCurrentMonth() {
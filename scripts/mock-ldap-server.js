@@ -0,0 +1,68 @@
+const ldap = require("ldapjs")
+const path = require("path")
+
+// Load .env from parent directory
+require("dotenv").config({ path: path.join(__dirname, "..", ".env") })
+
+// Local in-memory directory for trying LDAP sign-in without a real Active Directory.
+// Every person's password is "password"; groups are exposed through memberOf.
+//
+//   npm run mock-ldap
+//   LDAP_URL=ldap://localhost:1389
+//   LDAP_SEARCH_BASE=ou=people,dc=example,dc=com
+//   LDAP_BIND_DN=cn=reader,dc=example,dc=com
+//   LDAP_BIND_PASSWORD=reader
+
+const port = Number.parseInt(process.env.MOCK_LDAP_PORT || "1389")
+const SUFFIX = "dc=example,dc=com"
+const PEOPLE = `ou=people,${SUFFIX}`
+const GROUPS = `ou=groups,${SUFFIX}`
+
+const passwords = {
+  [`cn=reader,${SUFFIX}`]: "reader",
+}
+
+const entries = [
+  ["A0001", "Directory Admin", [`cn=pms-admins,${GROUPS}`]],
+  ["H2001", "Directory Senior HOD", [`cn=pms-hod-higher,${GROUPS}`]],
+  ["H2002", "Directory HOD", [`cn=pms-hod-lower,${GROUPS}`]],
+  ["E1001", "Directory Employee", []],
+].map(([employeeId, name, groups]) => {
+  const dn = `uid=${employeeId.toLowerCase()},${PEOPLE}`
+  passwords[dn] = "password"
+  return {
+    dn,
+    attributes: {
+      objectClass: ["inetOrgPerson"],
+      uid: [employeeId.toLowerCase()],
+      cn: [name],
+      mail: [`${employeeId.toLowerCase()}@example.com`],
+      employeeID: [employeeId],
+      memberOf: groups,
+    },
+  }
+})
+
+const server = ldap.createServer()
+
+server.bind(SUFFIX, (req, res, next) => {
+  const dn = req.dn.toString().toLowerCase().replace(/\s*,\s*/g, ",")
+  if (!passwords[dn] || passwords[dn] !== req.credentials) {
+    return next(new ldap.InvalidCredentialsError())
+  }
+  res.end()
+  return next()
+})
+
+server.search(SUFFIX, (req, res, next) => {
+  // Attribute names are case-insensitive in LDAP, but ldapjs only returns lower-cased requested names
+  res.attributes = res.attributes.map((name) => name.toLowerCase())
+  entries.filter((entry) => req.filter.matches(entry.attributes, false)).forEach((entry) => res.send(entry))
+  res.end()
+  return next()
+})
+
+server.listen(port, () => {
+  console.log(`✅ Mock LDAP server listening on ${server.url}`)
+  console.log(`People: ${entries.map((entry) => entry.attributes.employeeID[0]).join(", ")} (password: "password")`)
+})
@@ -0,0 +1,56 @@
+const { Provider } = require("oidc-provider")
+const path = require("path")
+
+// Load .env from parent directory
+require("dotenv").config({ path: path.join(__dirname, "..", ".env") })
+
+// Local OpenID Connect provider for trying single sign-on without a real identity provider.
+// Sign in with any login name; it is used as the subject, Employee ID and email prefix.
+//
+//   npm run mock-oidc
+//   OIDC_ISSUER_URL=http://localhost:4000
+//   OIDC_CLIENT_ID=pms-local
+//   OIDC_CLIENT_SECRET=pms-local-secret
+
+const port = Number.parseInt(process.env.MOCK_OIDC_PORT || "4000")
+const issuer = `http://localhost:${port}`
+const appUrl = (process.env.APP_URL || "http://localhost:3000").replace(/\/$/, "")
+
+const provider = new Provider(issuer, {
+  clients: [
+    {
+      client_id: process.env.OIDC_CLIENT_ID || "pms-local",
+      client_secret: process.env.OIDC_CLIENT_SECRET || "pms-local-secret",
+      redirect_uris: [process.env.OIDC_REDIRECT_URI || `${appUrl}/auth/oidc/callback`],
+      grant_types: ["authorization_code"],
+      response_types: ["code"],
+    },
+  ],
+  claims: {
+    openid: ["sub"],
+    email: ["email", "email_verified"],
+    profile: ["name", "employee_id"],
+  },
+  features: {
+    devInteractions: { enabled: true },
+  },
+  async findAccount(ctx, id) {
+    return {
+      accountId: id,
+      async claims() {
+        return {
+          sub: id,
+          email: `${id.toLowerCase()}@example.com`,
+          email_verified: true,
+          name: `Mock User ${id}`,
+          employee_id: id,
+        }
+      },
+    }
+  },
+})
+
+provider.listen(port, () => {
+  console.log(`✅ Mock OpenID Connect provider listening on ${issuer}`)
+  console.log(`Discovery document: ${issuer}/.well-known/openid-configuration`)
+})
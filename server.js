@@ -3,6 +3,13 @@ const mongoose = require("mongoose")
 const session = require("express-session")
 const MongoStore = require("connect-mongo")
 const path = require("path")
+const { getCsrfToken, verifyCsrfToken } = require("./middleware/csrf")
+const { blockImpersonatedWrites } = require("./middleware/impersonation")
+const { loadLoginOptions } = require("./utils/oidc")
+const { isApiTokenRequest } = require("./utils/apiTokens")
+const { startAuthEventRetention } = require("./utils/authEvents")
+const { startHrisSync } = require("./utils/hrisSync")
+const { useSecureCookies, restoreRememberedLogin } = require("./utils/rememberMe")
 require("dotenv").config()
 
 const app = express()
@@ -13,6 +20,7 @@ const adminRoutes = require("./routes/admin")
 const hodRoutes = require("./routes/hod")
 const employeeRoutes = require("./routes/employee")
 const apiRoutes = require("./routes/api")
+const accountRoutes = require("./routes/account")
 
 // Database connection
 mongoose
@@ -29,50 +37,82 @@ mongoose
 
     // Create default admin after DB connection
     createDefaultAdmin()
+
+    // Purge login and security events past their retention period
+    startAuthEventRetention()
+
+    // Pick up new HRIS roster files from the drop folder
+    startHrisSync()
   })
   .catch((err) => console.error("MongoDB connection error:", err))
 
+// Behind a reverse proxy req.ip must come from X-Forwarded-For (used for login lockouts)
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", process.env.TRUST_PROXY === "true" ? true : process.env.TRUST_PROXY)
+}
+
 // Middleware
 app.use(express.urlencoded({ extended: true }))
 app.use(express.json())
 app.use(express.static(path.join(__dirname, "public")))
 
 // Session configuration
-app.use(
-  session({
-    secret: process.env.SESSION_SECRET,
-    resave: false,
-    saveUninitialized: false,
-    store: MongoStore.create({
-      mongoUrl: process.env.MONGODB_URI,
-    }),
-    cookie: {
-      secure: false, // Set to true in production with HTTPS
-      maxAge: 24 * 60 * 60 * 1000, // 24 hours
-    },
+const sessionMiddleware = session({
+  secret: process.env.SESSION_SECRET,
+  resave: false,
+  saveUninitialized: false,
+  store: MongoStore.create({
+    mongoUrl: process.env.MONGODB_URI,
   }),
-)
+  cookie: {
+    httpOnly: true,
+    sameSite: "lax",
+    secure: useSecureCookies(), // COOKIE_SECURE=true in production with HTTPS
+    maxAge: 24 * 60 * 60 * 1000, // 24 hours; "Remember me" signs the user back in after that
+  },
+})
+
+// API token requests get a plain object that is never stored instead of a cookie session
+app.use((req, res, next) => {
+  if (isApiTokenRequest(req)) {
+    req.session = {}
+    return next()
+  }
+  sessionMiddleware(req, res, next)
+})
+
+// Visitors without a session but with a valid remember-me cookie are signed back in
+app.use(restoreRememberedLogin)
 
 // View engine setup
 app.set("view engine", "ejs")
 app.set("views", path.join(__dirname, "views"))
 
-// Make user available in all templates
+// Make user and CSRF token available in all templates
 app.use((req, res, next) => {
   res.locals.user = req.session.user || null
   res.locals.currentQuarter = getCurrentQuarter()
+  res.locals.csrfToken = getCsrfToken(req)
+  res.locals.impersonator = req.session.impersonator || null
   next()
 })
 
+// Every POST form carries the token in a hidden _csrf field, fetch() calls send the X-CSRF-Token header
+app.use(verifyCsrfToken)
+
+// Admins viewing as another user are read-only unless they chose otherwise
+app.use(blockImpersonatedWrites)
+
 // Routes
 app.use("/auth", authRoutes)
 app.use("/admin", adminRoutes)
 app.use("/hod", hodRoutes)
 app.use("/employee", employeeRoutes)
 app.use("/api", apiRoutes)
+app.use("/account", accountRoutes)
 
 // Home route
-app.get("/", (req, res) => {
+app.get("/", loadLoginOptions, (req, res) => {
   if (req.session.user) {
     switch (req.session.user.role) {
       case "admin":
@@ -0,0 +1,117 @@
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const express = require("express")
+const { query, startApp } = require("./helpers")
+const ApiToken = require("../models/ApiToken")
+const User = require("../models/User")
+const { generateApiToken, getBearerToken, authenticateApiToken } = require("../utils/apiTokens")
+const { requireApiAuth } = require("../middleware/auth")
+
+const owner = { _id: "u1", name: "Asha", role: "employee", employeeId: "EMP001", isActive: true }
+
+// A live token document for the stubbed ApiToken.findOne; updateOne calls are collected
+function stubToken(t, apiToken, user = owner) {
+  const lookups = []
+  const updates = []
+  t.mock.method(ApiToken, "findOne", (filter) => {
+    lookups.push(filter)
+    return query(apiToken)
+  })
+  t.mock.method(ApiToken, "updateOne", (filter, update) => {
+    updates.push([filter, update])
+    return query({ modifiedCount: 1 })
+  })
+  t.mock.method(User, "findOne", () => query(user))
+  return { lookups, updates }
+}
+
+test("generateApiToken stores only a hash and a short display prefix", () => {
+  const { token, tokenHash, tokenPrefix } = generateApiToken()
+  assert.match(token, /^pms_[0-9a-f]{64}$/)
+  assert.match(tokenHash, /^[0-9a-f]{64}$/)
+  assert.notEqual(tokenHash, token)
+  assert.equal(tokenPrefix, token.slice(0, 12))
+})
+
+test("getBearerToken reads the Authorization header", () => {
+  const request = (header) => ({ get: () => header })
+  assert.equal(getBearerToken(request("Bearer pms_abc")), "pms_abc")
+  assert.equal(getBearerToken(request("bearer   pms_abc ")), "pms_abc")
+  assert.equal(getBearerToken(request("Basic dXNlcg==")), null)
+  assert.equal(getBearerToken(request(undefined)), null)
+})
+
+test("authenticateApiToken only looks up unrevoked tokens that have not expired", async (t) => {
+  const { token } = generateApiToken()
+  const { lookups } = stubToken(t, null)
+  const before = new Date()
+
+  assert.equal(await authenticateApiToken(token, "10.0.0.1"), null)
+  assert.equal(lookups[0].revokedAt, null)
+  assert.ok(lookups[0].expiresAt.$gt >= before)
+})
+
+test("authenticateApiToken rejects other tokens and inactive owners", async (t) => {
+  const { lookups } = stubToken(t, { _id: "tok1", user: "u1", scope: "read" }, null)
+
+  assert.equal(await authenticateApiToken("not-a-pms-token", "10.0.0.1"), null)
+  assert.equal(lookups.length, 0)
+  assert.equal(await authenticateApiToken(generateApiToken().token, "10.0.0.1"), null)
+})
+
+test("authenticateApiToken records use at most once a minute", async (t) => {
+  const apiToken = { _id: "tok1", user: "u1", scope: "read", lastUsedAt: new Date(Date.now() - 10 * 1000) }
+  const { updates } = stubToken(t, apiToken)
+
+  const result = await authenticateApiToken(generateApiToken().token, "10.0.0.1")
+  assert.equal(result.user, owner)
+  assert.deepEqual(updates, [])
+
+  apiToken.lastUsedAt = new Date(Date.now() - 2 * 60 * 1000)
+  await authenticateApiToken(generateApiToken().token, "10.0.0.2")
+  assert.equal(updates.length, 1)
+  assert.equal(updates[0][1].lastUsedIp, "10.0.0.2")
+})
+
+async function withApi(t) {
+  const router = express.Router()
+  router.use(requireApiAuth)
+  const ok = (req, res) => res.json({ success: true, user: req.session.user.employeeId })
+  router.get("/reviews", ok)
+  router.post("/reviews", ok)
+  const app = await startApp("/api", router, null)
+  t.after(app.close)
+  return app.url
+}
+
+const call = (url, method, token) => fetch(`${url}/reviews`, { method, headers: { Authorization: `Bearer ${token}` } })
+
+test("requireApiAuth lets a read-only token read but not write", async (t) => {
+  stubToken(t, { _id: "tok1", user: "u1", scope: "read", lastUsedAt: new Date() })
+  const url = await withApi(t)
+  const { token } = generateApiToken()
+
+  const read = await call(url, "GET", token)
+  assert.equal(read.status, 200)
+  assert.deepEqual(await read.json(), { success: true, user: "EMP001" })
+
+  const write = await call(url, "POST", token)
+  assert.equal(write.status, 403)
+  assert.equal((await write.json()).message, "This API token is read-only")
+})
+
+test("requireApiAuth lets a write token make changes", async (t) => {
+  stubToken(t, { _id: "tok1", user: "u1", scope: "write", lastUsedAt: new Date() })
+  const url = await withApi(t)
+
+  assert.equal((await call(url, "POST", generateApiToken().token)).status, 200)
+})
+
+test("requireApiAuth answers an expired or revoked token with a 401", async (t) => {
+  stubToken(t, null)
+  const url = await withApi(t)
+
+  const response = await call(url, "GET", generateApiToken().token)
+  assert.equal(response.status, 401)
+  assert.equal((await response.json()).message, "Invalid, expired or revoked API token")
+})
@@ -0,0 +1,117 @@
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const express = require("express")
+const multer = require("multer")
+const { startApp } = require("./helpers")
+const { getCsrfToken, verifyCsrfToken } = require("../middleware/csrf")
+
+const TOKEN = "a".repeat(64)
+
+// The app-wide check, a plain form route and the employee import route, which re-checks after multer
+function csrfRouter() {
+  const router = express.Router()
+  router.use((req, res, next) => {
+    req.session.csrfToken = TOKEN
+    next()
+  })
+  router.use(verifyCsrfToken)
+  const ok = (req, res) => res.json({ success: true, deferred: !!req.csrfDeferred })
+  router.get("/admin/employees", ok)
+  router.post("/admin/employees", ok)
+  router.post("/admin/employees/import", multer().single("file"), verifyCsrfToken, ok)
+  router.post("/admin/other-upload", multer().single("file"), ok)
+  router.post("/api/reviews", ok)
+  return router
+}
+
+async function withApp(t) {
+  const app = await startApp("", csrfRouter(), { _id: "admin1", role: "admin" })
+  t.after(app.close)
+  return app.url
+}
+
+function uploadForm(csrfToken) {
+  const form = new FormData()
+  if (csrfToken) {
+    form.append("_csrf", csrfToken)
+  }
+  form.append("file", new Blob(["employeeId,name\n"], { type: "text/csv" }), "employees.csv")
+  return form
+}
+
+test("getCsrfToken creates one token per session and keeps it", () => {
+  const req = { session: {} }
+  const token = getCsrfToken(req)
+  assert.match(token, /^[0-9a-f]{64}$/)
+  assert.equal(getCsrfToken(req), token)
+})
+
+test("verifyCsrfToken lets safe methods through without a token", async (t) => {
+  const url = await withApp(t)
+  const response = await fetch(`${url}/admin/employees`)
+  assert.equal(response.status, 200)
+})
+
+test("verifyCsrfToken accepts the session token from the form field or the header", async (t) => {
+  const url = await withApp(t)
+  const fromField = await fetch(`${url}/admin/employees`, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: `_csrf=${TOKEN}`,
+  })
+  assert.equal(fromField.status, 200)
+
+  const fromHeader = await fetch(`${url}/admin/employees`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "X-CSRF-Token": TOKEN },
+    body: "{}",
+  })
+  assert.equal(fromHeader.status, 200)
+})
+
+test("verifyCsrfToken rejects a missing, wrong or wrong-length token", async (t) => {
+  const url = await withApp(t)
+  for (const token of [null, "b".repeat(64), TOKEN.slice(1)]) {
+    const response = await fetch(`${url}/admin/employees`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...(token ? { "X-CSRF-Token": token } : {}) },
+      body: "{}",
+    })
+    assert.equal(response.status, 403)
+    assert.match((await response.json()).message, /session has expired/)
+  }
+})
+
+test("verifyCsrfToken skips API requests that authenticate with a bearer token", async (t) => {
+  const url = await withApp(t)
+  const response = await fetch(`${url}/api/reviews`, {
+    method: "POST",
+    headers: { Authorization: "Bearer pms_abc", "Content-Type": "application/json" },
+    body: "{}",
+  })
+  assert.equal(response.status, 200)
+})
+
+test("verifyCsrfToken defers the employee import upload until multer has read its _csrf field", async (t) => {
+  const url = await withApp(t)
+  const accepted = await fetch(`${url}/admin/employees/import`, { method: "POST", body: uploadForm(TOKEN) })
+  assert.equal(accepted.status, 200)
+  assert.deepEqual(await accepted.json(), { success: true, deferred: true })
+
+  const rejected = await fetch(`${url}/admin/employees/import`, {
+    method: "POST",
+    headers: { Accept: "application/json" },
+    body: uploadForm("b".repeat(64)),
+  })
+  assert.equal(rejected.status, 403)
+})
+
+test("verifyCsrfToken does not defer multipart posts to other paths", async (t) => {
+  const url = await withApp(t)
+  const response = await fetch(`${url}/admin/other-upload`, {
+    method: "POST",
+    headers: { Accept: "application/json" },
+    body: uploadForm(TOKEN),
+  })
+  assert.equal(response.status, 403)
+})
@@ -0,0 +1,81 @@
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const { query } = require("./helpers")
+const Department = require("../models/Department")
+const Question = require("../models/Question")
+const User = require("../models/User")
+const { restoreDepartment } = require("../utils/departmentArchive")
+
+// Casting was archived into Sales, taking Shift A and Shift B with it. Since then its old parent Manufacturing
+// has been moved under Shift A, so moving Shift A back under Casting would loop.
+const parents = {
+  sales: null,
+  shiftA: "sales",
+  shiftB: "sales",
+  manufacturing: "shiftA",
+  casting: "manufacturing",
+}
+
+function stubDepartments(t) {
+  const moves = []
+  t.mock.method(Department, "findById", () => query({ name: "Manufacturing", isActive: true }))
+  t.mock.method(Department, "exists", async () => true)
+  t.mock.method(Department, "find", (filter) => {
+    if (filter.parentDepartment.$in) {
+      const frontier = filter.parentDepartment.$in.map(String)
+      return query(Object.keys(parents).filter((id) => frontier.includes(parents[id])).map((id) => ({ _id: id })))
+    }
+    return query(filter._id.$in.filter((id) => parents[id] === filter.parentDepartment).map((id) => ({ _id: id })))
+  })
+  t.mock.method(Department, "updateMany", (filter, update) => {
+    moves.push([filter._id.$in, update.parentDepartment])
+    return query({ modifiedCount: filter._id.$in.length })
+  })
+  t.mock.method(User, "find", () => query([]))
+  t.mock.method(Question, "updateMany", () => query({ modifiedCount: 0 }))
+  return moves
+}
+
+function archivedCasting() {
+  const archiveMoves = {
+    targetDepartment: "sales",
+    employees: [],
+    subDepartments: ["shiftA", "shiftB"],
+    archivedQuestions: [],
+    reassignedQuestions: [],
+  }
+  return {
+    _id: "casting",
+    name: "Casting",
+    parentDepartment: "manufacturing",
+    isActive: false,
+    archiveMoves,
+    toObject() {
+      return { archiveMoves: { ...archiveMoves } }
+    },
+    async save() {
+      this.saved = { isActive: this.isActive }
+    },
+  }
+}
+
+test("restoreDepartment leaves sub-departments in place when moving them back would create a loop", async (t) => {
+  const moves = stubDepartments(t)
+  const department = archivedCasting()
+
+  const result = await restoreDepartment(department, { moveBack: true })
+
+  assert.deepEqual(moves, [[["shiftB"], "casting"]])
+  assert.equal(result.restored.subDepartments, 1)
+  assert.equal(result.restored.subDepartmentsKept, 1)
+  assert.deepEqual(department.saved, { isActive: true })
+})
+
+test("restoreDepartment without moveBack leaves every sub-department where it is", async (t) => {
+  const moves = stubDepartments(t)
+
+  const result = await restoreDepartment(archivedCasting(), { moveBack: false })
+
+  assert.deepEqual(moves, [])
+  assert.equal(result.restored.subDepartments, 0)
+})
@@ -0,0 +1,89 @@
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const Department = require("../models/Department")
+const { getDepartmentWithDescendants, wouldCreateCycle, checkDepartmentParent } = require("../utils/departmentTree")
+const { query } = require("./helpers")
+
+// Answer the child lookups of getDepartmentWithDescendants from a { child: parent } map; ids in archived are inactive
+function stubHierarchy(t, parents, archived = []) {
+  t.mock.method(Department, "find", (filter) => {
+    const frontier = filter.parentDepartment.$in.map(String)
+    const children = Object.keys(parents).filter(
+      (id) => frontier.includes(parents[id]) && !(filter.isActive && archived.includes(id)),
+    )
+    return query(children.map((id) => ({ _id: id })))
+  })
+}
+
+// Manufacturing > Casting > Shift A, and Manufacturing > Polishing
+const hierarchy = {
+  manufacturing: null,
+  casting: "manufacturing",
+  shiftA: "casting",
+  polishing: "manufacturing",
+  sales: null,
+}
+
+test("wouldCreateCycle rejects a department as its own parent", async (t) => {
+  stubHierarchy(t, hierarchy)
+  assert.equal(await wouldCreateCycle("casting", "casting"), true)
+})
+
+test("wouldCreateCycle rejects moving a department under one of its descendants", async (t) => {
+  stubHierarchy(t, hierarchy)
+  assert.equal(await wouldCreateCycle("manufacturing", "casting"), true)
+  assert.equal(await wouldCreateCycle("manufacturing", "shiftA"), true)
+  assert.equal(await wouldCreateCycle("casting", "shiftA"), true)
+})
+
+test("wouldCreateCycle allows moves to siblings, ancestors and other branches", async (t) => {
+  stubHierarchy(t, hierarchy)
+  assert.equal(await wouldCreateCycle("casting", "polishing"), false)
+  assert.equal(await wouldCreateCycle("shiftA", "manufacturing"), false)
+  assert.equal(await wouldCreateCycle("casting", "sales"), false)
+})
+
+test("wouldCreateCycle allows top-level departments without a lookup", async (t) => {
+  stubHierarchy(t, hierarchy)
+  assert.equal(await wouldCreateCycle("casting", null), false)
+  assert.equal(await wouldCreateCycle(null, "casting"), false)
+  assert.equal(Department.find.mock.callCount(), 0)
+})
+
+test("wouldCreateCycle stops on a hierarchy that already loops", async (t) => {
+  stubHierarchy(t, { loopA: "loopB", loopB: "loopA", outside: null })
+  assert.equal(await wouldCreateCycle("loopA", "loopB"), true)
+  assert.equal(await wouldCreateCycle("loopA", "outside"), false)
+})
+
+test("checkDepartmentParent reports an inactive parent before looking for a loop", async (t) => {
+  stubHierarchy(t, hierarchy)
+  t.mock.method(Department, "exists", async () => false)
+  assert.equal(await checkDepartmentParent("casting", "sales"), "Choose an active parent department")
+})
+
+test("checkDepartmentParent rejects a parent inside the department's own subtree", async (t) => {
+  stubHierarchy(t, hierarchy)
+  t.mock.method(Department, "exists", async () => true)
+  assert.match(await checkDepartmentParent("manufacturing", "shiftA"), /cannot be moved under itself/)
+  assert.equal(await checkDepartmentParent("casting", "sales"), null)
+})
+
+test("getDepartmentWithDescendants walks every level below the department", async (t) => {
+  stubHierarchy(t, hierarchy)
+  assert.deepEqual(await getDepartmentWithDescendants("manufacturing"), [
+    "manufacturing",
+    "casting",
+    "polishing",
+    "shiftA",
+  ])
+  assert.deepEqual(await getDepartmentWithDescendants("sales"), ["sales"])
+})
+
+test("getDepartmentWithDescendants with activeOnly stops at archived sub-departments", async (t) => {
+  stubHierarchy(t, hierarchy, ["casting"])
+  assert.deepEqual(await getDepartmentWithDescendants("manufacturing", { activeOnly: true }), [
+    "manufacturing",
+    "polishing",
+  ])
+})
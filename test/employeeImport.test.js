@@ -0,0 +1,153 @@
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const User = require("../models/User")
+const Department = require("../models/Department")
+const Setting = require("../models/Setting")
+const { parseCsv, readImportTable, validateImportRows, commitImportRows } = require("../utils/employeeImport")
+const { query } = require("./helpers")
+
+test("parseCsv splits fields and rows with LF or CRLF line endings", () => {
+  assert.deepEqual(parseCsv("a,b,c\nd,e,f"), [
+    ["a", "b", "c"],
+    ["d", "e", "f"],
+  ])
+  assert.deepEqual(parseCsv("a,b\r\nc,d\r\n"), [
+    ["a", "b"],
+    ["c", "d"],
+  ])
+})
+
+test("parseCsv keeps commas, line breaks and escaped quotes inside quoted fields", () => {
+  assert.deepEqual(parseCsv('name,note\n"Doe, Jane","said ""hi""\nthen left"'), [
+    ["name", "note"],
+    ["Doe, Jane", 'said "hi"\nthen left'],
+  ])
+})
+
+test("parseCsv keeps empty fields", () => {
+  assert.deepEqual(parseCsv("a,,c\n,,"), [
+    ["a", "", "c"],
+    ["", "", ""],
+  ])
+  assert.deepEqual(parseCsv(""), [])
+})
+
+// Manufacturing > Casting, plus Sales; E100 is already taken
+function stubDatabase(t) {
+  const departments = [
+    { _id: "d1", name: "Manufacturing", parentDepartment: null },
+    { _id: "d2", name: "Casting", parentDepartment: "d1" },
+    { _id: "d3", name: "Sales", parentDepartment: null },
+  ]
+  t.mock.method(Department, "find", () => query(departments))
+  t.mock.method(User, "find", () => query([{ employeeId: "E100" }]))
+}
+
+function readRows(csv) {
+  const result = readImportTable(parseCsv(csv))
+  assert.equal(result.error, undefined)
+  return result.rows
+}
+
+test("validateImportRows accepts clean rows and resolves department names and paths", async (t) => {
+  stubDatabase(t)
+  const rows = readRows(
+    [
+      "Name,Email,Employee ID,Role,Department,HOD Level,Joining Date",
+      "Asha Rao,Asha@Example.com,E200,Employee,Sales,,2024-04-01",
+      "Ravi Shah,ravi@example.com,E201,HOD,Manufacturing / Casting,higher,",
+      "Meena Iyer,meena@example.com,E202,employee,manufacturing › casting,,",
+    ].join("\n"),
+  )
+
+  const summary = await validateImportRows(rows)
+
+  assert.deepEqual(summary, { total: 3, validCount: 3, errorCount: 0 })
+  assert.deepEqual(rows.map((row) => row.errors), [[], [], []])
+  assert.deepEqual(rows.map((row) => row.departmentId), ["d3", "d2", "d2"])
+  assert.equal(rows[0].values.email, "asha@example.com")
+  assert.equal(rows[1].values.role, "hod")
+})
+
+test("validateImportRows reports each problem against its row", async (t) => {
+  stubDatabase(t)
+  const rows = readRows(
+    [
+      "name,email,employeeId,role,department,hodLevel,joiningDate",
+      "Existing,existing@example.com,E100,employee,Sales,,",
+      "First,first@example.com,E300,employee,Sales,,",
+      "Repeat,repeat@example.com,E300,employee,Sales,,",
+      "Nowhere,nowhere@example.com,E301,employee,Marketing,,",
+      "No Level,nolevel@example.com,E302,hod,Sales,,",
+      "Bad Date,baddate@example.com,E303,employee,Sales,,not a date",
+      ",not-an-email,E304,manager,Sales,,",
+    ].join("\n"),
+  )
+
+  const summary = await validateImportRows(rows)
+
+  assert.deepEqual(summary, { total: 7, validCount: 1, errorCount: 6 })
+  const errorsByRow = Object.fromEntries(rows.map((row) => [row.rowNumber, row.errors]))
+  assert.deepEqual(errorsByRow[2], ["Employee ID already exists"])
+  assert.deepEqual(errorsByRow[3], [])
+  assert.deepEqual(errorsByRow[4], ["Employee ID repeats row 3"])
+  assert.deepEqual(errorsByRow[5], ['Unknown department "Marketing"'])
+  assert.deepEqual(errorsByRow[6], ["HOD level must be higher or lower"])
+  assert.deepEqual(errorsByRow[7], ["Joining date is not a valid date"])
+  assert.deepEqual(errorsByRow[8], ["Name is required", "Valid email is required", "Valid role is required"])
+})
+
+test("validateImportRows checks required custom fields", async (t) => {
+  stubDatabase(t)
+  const customFields = [{ key: "shift", label: "Shift", type: "text", required: true }]
+  const rows = readImportTable(
+    parseCsv("name,email,employeeId,role,department,Shift\nAsha,asha@example.com,E400,employee,Sales,"),
+    customFields,
+  ).rows
+
+  await validateImportRows(rows, customFields)
+
+  assert.deepEqual(rows[0].errors, ["Shift is required"])
+})
+
+async function validRows(t) {
+  stubDatabase(t)
+  const rows = readRows(
+    [
+      "name,email,employeeId,role,department,hodLevel,joiningDate",
+      "Asha Rao,asha@example.com,E500,employee,Sales,,",
+      "Ravi Shah,ravi@example.com,E501,hod,Sales,lower,",
+    ].join("\n"),
+  )
+  await validateImportRows(rows)
+  t.mock.method(Setting, "getSettings", async () => ({ passwordPolicy: { minLength: 8, historyCount: 0 } }))
+  return rows
+}
+
+test("commitImportRows creates every account with a temporary password", async (t) => {
+  const rows = await validRows(t)
+  t.mock.method(User, "insertMany", async (users) => users)
+
+  const created = await commitImportRows(rows)
+
+  assert.deepEqual(created.map((entry) => entry.employeeId), ["E500", "E501"])
+  assert.ok(created.every((entry) => entry.temporaryPassword.length >= 12))
+  const [users, options] = User.insertMany.mock.calls[0].arguments
+  assert.equal(options.ordered, true)
+  assert.ok(users.every((user) => user.mustChangePassword && user.password.startsWith("$2")))
+  assert.equal(users[1].hodLevel, "lower")
+})
+
+test("commitImportRows removes the accounts it inserted when a later row fails", async (t) => {
+  const rows = await validRows(t)
+  t.mock.method(User, "insertMany", async () => {
+    throw new Error("E11000 duplicate key error")
+  })
+  t.mock.method(User, "deleteMany", async () => ({ deletedCount: 1 }))
+
+  await assert.rejects(commitImportRows(rows), /E11000/)
+
+  const [filter] = User.deleteMany.mock.calls[0].arguments
+  const insertedIds = User.insertMany.mock.calls[0].arguments[0].map((user) => String(user._id))
+  assert.deepEqual(filter._id.$in.map(String), insertedIds)
+})
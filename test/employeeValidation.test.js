@@ -0,0 +1,42 @@
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const { checkEmployeeRules } = require("../utils/employeeValidation")
+
+test("checkEmployeeRules returns the sanitized record when every field is valid", async () => {
+  const { errors, values } = await checkEmployeeRules({
+    name: "  Asha Rao ",
+    email: "Asha.Rao@Example.com",
+    employeeId: " E200 ",
+    role: "employee",
+    department: "d1",
+  })
+
+  assert.deepEqual(errors, [])
+  assert.equal(values.name, "Asha Rao")
+  assert.equal(values.email, "asha.rao@example.com")
+  assert.equal(values.employeeId, "E200")
+})
+
+test("checkEmployeeRules lists every broken rule", async () => {
+  const { errors } = await checkEmployeeRules({
+    name: " ",
+    email: "nope",
+    employeeId: "",
+    role: "admin",
+    department: "",
+  })
+
+  assert.deepEqual(errors, [
+    "Name is required",
+    "Valid email is required",
+    "Employee ID is required",
+    "Valid role is required",
+    "Department is required",
+  ])
+})
+
+test("checkEmployeeRules leaves the caller's record untouched", async () => {
+  const record = { name: " Asha ", email: "A@Example.com", employeeId: "E1", role: "employee", department: "d1" }
+  await checkEmployeeRules(record)
+  assert.equal(record.name, " Asha ")
+})
@@ -0,0 +1,51 @@
+const path = require("path")
+const express = require("express")
+const mongoose = require("mongoose")
+
+// Tests never connect to MongoDB: anything not stubbed fails at once instead of waiting for a connection.
+// Test files require this module before any model.
+mongoose.set("bufferCommands", false)
+
+// Stand-in for a Mongoose query: chains like one and resolves to the given value, so model statics
+// can be replaced with t.mock.method() without a database
+function query(value) {
+  const chain = {
+    select: () => chain,
+    lean: () => chain,
+    sort: () => chain,
+    populate: () => chain,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+  }
+  return chain
+}
+
+// Serve a router behind a fake session holding sessionUser (null for signed out), with the app's views.
+// Returns the base URL of the mounted router and a close() function.
+async function startApp(mountPath, router, sessionUser) {
+  const app = express()
+  app.set("view engine", "ejs")
+  app.set("views", path.join(__dirname, "..", "views"))
+  app.use(express.json())
+  app.use(express.urlencoded({ extended: true }))
+  app.use((req, res, next) => {
+    req.session = { user: sessionUser, meta: { lastSeenAt: Date.now() } }
+    res.locals.user = sessionUser
+    res.locals.csrfToken = "test-token"
+    res.locals.impersonator = null
+    next()
+  })
+  app.use(mountPath, router)
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening))
+  })
+  return {
+    url: `http://127.0.0.1:${server.address().port}${mountPath}`,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  }
+}
+
+module.exports = {
+  query,
+  startApp,
+}
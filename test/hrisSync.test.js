@@ -0,0 +1,135 @@
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const User = require("../models/User")
+const Department = require("../models/Department")
+const { parseCsv, readImportTable } = require("../utils/employeeImport")
+const { planRosterSync } = require("../utils/hrisSync")
+const { query } = require("./helpers")
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const HEADER = "name,email,employeeId,role,department,hodLevel,joiningDate"
+
+function person(employeeId, overrides = {}) {
+  return {
+    _id: `id-${employeeId}`,
+    employeeId,
+    name: `Person ${employeeId}`,
+    email: `${employeeId.toLowerCase()}@example.com`,
+    role: "employee",
+    hodLevel: null,
+    department: "d1",
+    joiningDate: null,
+    isActive: true,
+    rosterMissingSince: null,
+    ...overrides,
+  }
+}
+
+// Roster line for a person exactly as the database has them
+function rosterLine(user) {
+  return `${user.name},${user.email},${user.employeeId},${user.role},Sales,,`
+}
+
+function stubDatabase(t, users) {
+  t.mock.method(Department, "find", () => query([{ _id: "d1", name: "Sales", parentDepartment: null }]))
+  t.mock.method(User, "find", (filter) => query(filter.role === "admin" ? [{ employeeId: "A1" }] : users))
+}
+
+function readRows(lines) {
+  return readImportTable(parseCsv([HEADER, ...lines].join("\n"))).rows
+}
+
+const options = { createDepartments: false, graceDays: 7 }
+
+test("planRosterSync sorts roster rows into creates, updates and unchanged people", async (t) => {
+  const same = person("E1")
+  const renamed = person("E2")
+  stubDatabase(t, [same, renamed])
+
+  const plan = await planRosterSync(
+    readRows([
+      rosterLine(same),
+      rosterLine({ ...renamed, name: "New Name" }),
+      "Newcomer,new@example.com,E3,employee,Sales,,",
+    ]),
+    [],
+    options,
+  )
+
+  assert.equal(plan.error, undefined)
+  assert.equal(plan.report.unchanged, 1)
+  assert.deepEqual(plan.report.created.map((entry) => entry.employeeId), ["E3"])
+  assert.deepEqual(plan.report.updated, [
+    { employeeId: "E2", name: "Person E2", changes: [{ field: "Name", from: "Person E2", to: "New Name" }] },
+  ])
+  assert.deepEqual(plan.updates[0].set, { name: "New Name" })
+})
+
+test("planRosterSync reports rows it cannot use instead of planning them", async (t) => {
+  const users = [person("E1"), person("E2")]
+  stubDatabase(t, users)
+
+  const plan = await planRosterSync(
+    readRows([
+      ...users.map(rosterLine),
+      "Admin Clash,clash@example.com,A1,employee,Sales,,",
+      "Lost,lost@example.com,E5,employee,Marketing,,",
+      "Twice,twice@example.com,E1,employee,Sales,,",
+    ]),
+    [],
+    options,
+  )
+
+  assert.deepEqual(plan.creates, [])
+  assert.deepEqual(plan.report.errors, [
+    { row: 4, employeeId: "A1", message: "Employee ID belongs to an admin account" },
+    { row: 5, employeeId: "E5", message: 'Unknown department "Marketing"' },
+    { row: 6, employeeId: "E1", message: "Employee ID repeats row 2" },
+  ])
+})
+
+test("planRosterSync starts a grace period for missing people and deactivates them once it has passed", async (t) => {
+  const listed = [person("E1"), person("E2"), person("E3")]
+  const newlyMissing = person("E4")
+  const stillInGrace = person("E5", { rosterMissingSince: new Date(Date.now() - 2 * DAY_MS) })
+  const graceOver = person("E6", { rosterMissingSince: new Date(Date.now() - 8 * DAY_MS) })
+  stubDatabase(t, [...listed, newlyMissing, stillInGrace, graceOver])
+
+  const plan = await planRosterSync(readRows(listed.map(rosterLine)), [], options)
+
+  assert.equal(plan.error, undefined)
+  assert.deepEqual(plan.newlyMissing, ["id-E4"])
+  assert.deepEqual(plan.report.missing.map((entry) => entry.employeeId), ["E4", "E5"])
+  assert.deepEqual(plan.deactivations.map((deactivation) => deactivation.user.employeeId), ["E6"])
+})
+
+test("planRosterSync refuses a roster missing more than half of the active people", async (t) => {
+  const users = [person("E1"), person("E2"), person("E3"), person("E4"), person("E5")]
+  stubDatabase(t, users)
+
+  const plan = await planRosterSync(readRows(users.slice(0, 2).map(rosterLine)), [], options)
+
+  assert.equal(plan.creates, undefined)
+  assert.match(plan.error, /^3 of 5 active people are missing from the roster/)
+})
+
+test("planRosterSync applies a roster missing exactly half of the active people", async (t) => {
+  const users = [person("E1"), person("E2"), person("E3"), person("E4")]
+  stubDatabase(t, users)
+
+  const plan = await planRosterSync(readRows(users.slice(0, 2).map(rosterLine)), [], options)
+
+  assert.equal(plan.error, undefined)
+  assert.equal(plan.report.missing.length, 2)
+})
+
+test("planRosterSync ignores inactive people when measuring the missing share", async (t) => {
+  const active = [person("E1"), person("E2")]
+  const inactive = ["E3", "E4", "E5"].map((employeeId) => person(employeeId, { isActive: false }))
+  stubDatabase(t, [...active, ...inactive])
+
+  const plan = await planRosterSync(readRows(active.map(rosterLine)), [], options)
+
+  assert.equal(plan.error, undefined)
+  assert.deepEqual(plan.report.missing, [])
+})
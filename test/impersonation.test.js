@@ -0,0 +1,74 @@
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const express = require("express")
+const { query, startApp } = require("./helpers")
+const ImpersonationLog = require("../models/ImpersonationLog")
+const { blockImpersonatedWrites } = require("../middleware/impersonation")
+
+// Routes behind the write block, with the session's impersonator set to the given value
+async function withApp(t, impersonator) {
+  const router = express.Router()
+  router.use((req, res, next) => {
+    req.session.impersonator = impersonator
+    next()
+  })
+  router.use(blockImpersonatedWrites)
+  const ok = (req, res) => res.json({ success: true })
+  router.get("/employee/profile", ok)
+  router.post("/employee/profile", ok)
+  router.post("/account/impersonation/stop", ok)
+  router.post("/auth/logout", ok)
+
+  const app = await startApp("", router, { _id: "u1", role: "employee" })
+  t.after(app.close)
+  return app.url
+}
+
+function stubLog(t) {
+  const updates = []
+  t.mock.method(ImpersonationLog, "findByIdAndUpdate", (id, update) => {
+    updates.push([id, update])
+    return query({})
+  })
+  return updates
+}
+
+const viewOnly = { logId: "log1", allowWrites: false, user: { employeeId: "ADM001" } }
+const post = (url, path) => fetch(`${url}${path}`, { method: "POST", headers: { Accept: "application/json" } })
+
+test("blockImpersonatedWrites rejects a write while viewing as another user and counts it", async (t) => {
+  const updates = stubLog(t)
+  const url = await withApp(t, viewOnly)
+
+  const response = await post(url, "/employee/profile")
+  assert.equal(response.status, 403)
+  assert.match((await response.json()).message, /Changes are disabled while viewing as another user/)
+  assert.deepEqual(updates, [["log1", { $inc: { blockedWriteCount: 1 } }]])
+})
+
+test("blockImpersonatedWrites still allows reading pages, stopping and logging out", async (t) => {
+  const updates = stubLog(t)
+  const url = await withApp(t, viewOnly)
+
+  assert.equal((await fetch(`${url}/employee/profile`)).status, 200)
+  assert.equal((await post(url, "/account/impersonation/stop")).status, 200)
+  assert.equal((await post(url, "/auth/logout")).status, 200)
+  assert.deepEqual(updates, [])
+})
+
+test("blockImpersonatedWrites allows writes when the admin enabled them or is not impersonating", async (t) => {
+  stubLog(t)
+  const allowed = await withApp(t, { ...viewOnly, allowWrites: true })
+  assert.equal((await post(allowed, "/employee/profile")).status, 200)
+
+  const signedIn = await withApp(t, undefined)
+  assert.equal((await post(signedIn, "/employee/profile")).status, 200)
+})
+
+test("blockImpersonatedWrites still blocks the write when the log update fails", async (t) => {
+  t.mock.method(ImpersonationLog, "findByIdAndUpdate", () => Promise.reject(new Error("connection lost")))
+  t.mock.method(console, "error", () => {})
+  const url = await withApp(t, viewOnly)
+
+  assert.equal((await post(url, "/employee/profile")).status, 403)
+})
@@ -0,0 +1,103 @@
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const { query } = require("./helpers")
+const LoginAttempt = require("../models/LoginAttempt")
+const { LIMITS, checkLoginAllowed, recordFailedLogin, clearFailedLogins } = require("../utils/loginThrottle")
+
+// Counters keyed "scope:key"; every updateOne is kept as [filter, update] for the assertions
+function stubCounters(t, failedCounts = {}) {
+  const updates = []
+  t.mock.method(LoginAttempt, "findOneAndUpdate", (filter) => {
+    const id = `${filter.scope}:${filter.key}`
+    failedCounts[id] = (failedCounts[id] || 0) + 1
+    return query({ _id: id, failedCount: failedCounts[id] })
+  })
+  t.mock.method(LoginAttempt, "updateOne", (filter, update) => {
+    updates.push([filter, update])
+    return query({ modifiedCount: 1 })
+  })
+  return updates
+}
+
+// The updates made to one counter after its failure was counted (the window reset filters by scope instead)
+const updatesFor = (updates, id) => updates.filter(([filter]) => filter._id === id).map(([, update]) => update)
+
+test("checkLoginAllowed lets a login through when nothing is locked or delayed", async (t) => {
+  t.mock.method(LoginAttempt, "find", () => query([{ scope: "employeeId", lockedUntil: null, nextAttemptAt: null }]))
+  assert.deepEqual(await checkLoginAllowed("EMP001", "10.0.0.1"), { allowed: true })
+})
+
+test("checkLoginAllowed rejects a locked Employee ID or IP with the minutes left", async (t) => {
+  const lockedUntil = new Date(Date.now() + 14 * 60 * 1000 + 30 * 1000)
+  t.mock.method(LoginAttempt, "find", () => query([{ scope: "ip", lockedUntil }]))
+  const result = await checkLoginAllowed("EMP001", "10.0.0.1")
+  assert.equal(result.allowed, false)
+  assert.match(result.message, /try again in 15 minutes/)
+})
+
+test("checkLoginAllowed rejects a retry before the progressive delay has passed", async (t) => {
+  t.mock.method(LoginAttempt, "find", () =>
+    query([{ scope: "employeeId", lockedUntil: null, nextAttemptAt: new Date(Date.now() + 1500) }]),
+  )
+  const result = await checkLoginAllowed("EMP001", "10.0.0.1")
+  assert.equal(result.allowed, false)
+  assert.match(result.message, /wait 2 seconds/)
+})
+
+test("recordFailedLogin counts the failure against both the Employee ID and the IP", async (t) => {
+  const counts = {}
+  stubCounters(t, counts)
+  await recordFailedLogin("EMP001", "10.0.0.1")
+  assert.deepEqual(counts, { "employeeId:EMP001": 1, "ip:10.0.0.1": 1 })
+})
+
+test("recordFailedLogin delays retries after the free attempts, doubling each time", async (t) => {
+  const free = LIMITS.employeeId.freeAttempts
+  const updates = stubCounters(t, { "employeeId:EMP001": free, "ip:10.0.0.1": 0 })
+  const before = Date.now()
+
+  await recordFailedLogin("EMP001", "10.0.0.1")
+  await recordFailedLogin("EMP001", "10.0.0.1")
+
+  const delays = updatesFor(updates, "employeeId:EMP001").map(
+    (update) => Math.round((update.$max.nextAttemptAt - before) / 1000),
+  )
+  assert.deepEqual(delays, [1, 2])
+  assert.deepEqual(updatesFor(updates, "ip:10.0.0.1"), [])
+})
+
+test("recordFailedLogin locks the Employee ID once it reaches the limit", async (t) => {
+  const updates = stubCounters(t, { "employeeId:EMP001": LIMITS.employeeId.maxFailures - 1 })
+
+  await recordFailedLogin("EMP001", "10.0.0.1")
+
+  const [lock] = updatesFor(updates, "employeeId:EMP001")
+  assert.ok(lock.$set.lockedUntil > new Date())
+  assert.equal(lock.$set.nextAttemptAt, null)
+  assert.deepEqual(lock.$inc, { lockCount: 1 })
+})
+
+test("recordFailedLogin retries the increment when a parallel first failure wins the insert", async (t) => {
+  stubCounters(t)
+  let calls = 0
+  t.mock.method(LoginAttempt, "findOneAndUpdate", () => {
+    calls += 1
+    if (calls === 1) {
+      return Promise.reject(Object.assign(new Error("duplicate key"), { code: 11000 }))
+    }
+    return query({ _id: "counter", failedCount: 2 })
+  })
+
+  await recordFailedLogin("EMP001", "10.0.0.1")
+  assert.equal(calls, 3)
+})
+
+test("clearFailedLogins clears only the Employee ID counter", async (t) => {
+  const deleted = []
+  t.mock.method(LoginAttempt, "deleteOne", (filter) => {
+    deleted.push(filter)
+    return query({ deletedCount: 1 })
+  })
+  await clearFailedLogins("EMP001")
+  assert.deepEqual(deleted, [{ scope: "employeeId", key: "EMP001" }])
+})
@@ -0,0 +1,49 @@
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const { query } = require("./helpers")
+const User = require("../models/User")
+const Setting = require("../models/Setting")
+const { findUserForOidcClaims } = require("../utils/oidc")
+
+const employee = { _id: "u1", employeeId: "E1", email: "asha@example.com", role: "employee", isActive: true }
+const admin = { _id: "u2", employeeId: "A1", email: "boss@example.com", role: "admin", isActive: true }
+
+// Match by email only, no provisioning, with the given users in the database
+function stubDatabase(t, users) {
+  t.mock.method(Setting, "getSettings", async () => ({
+    oidc: { matchBy: "email", autoProvision: false, defaultDepartment: null },
+  }))
+  t.mock.method(User, "find", (filter) => query(users.filter((user) => user.email === filter.email)))
+}
+
+test("findUserForOidcClaims links a verified email to its account", async (t) => {
+  stubDatabase(t, [employee])
+  const result = await findUserForOidcClaims({ sub: "s1", email: "Asha@Example.com", email_verified: true })
+  assert.equal(result.user, employee)
+})
+
+test("findUserForOidcClaims does not trust an email the provider has not verified", async (t) => {
+  stubDatabase(t, [employee])
+  for (const claims of [
+    { sub: "s1", email: "asha@example.com" },
+    { sub: "s1", email: "asha@example.com", email_verified: false },
+    { sub: "s1", email: "asha@example.com", email_verified: "false" },
+  ]) {
+    const result = await findUserForOidcClaims(claims)
+    assert.equal(result.user, undefined)
+    assert.match(result.error, /No account is linked/)
+  }
+})
+
+test("findUserForOidcClaims never links an admin account by email", async (t) => {
+  stubDatabase(t, [admin])
+  const result = await findUserForOidcClaims({ sub: "s2", email: "boss@example.com", email_verified: true })
+  assert.equal(result.user, undefined)
+  assert.match(result.error, /Administrator accounts are not linked by email/)
+})
+
+test("findUserForOidcClaims refuses an email shared by several accounts", async (t) => {
+  stubDatabase(t, [employee, { ...employee, _id: "u3", employeeId: "E3" }])
+  const result = await findUserForOidcClaims({ sub: "s1", email: "asha@example.com", email_verified: true })
+  assert.match(result.error, /more than one account/)
+})
@@ -0,0 +1,39 @@
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const bcrypt = require("bcryptjs")
+const { isPasswordReused } = require("../utils/passwordPolicy")
+
+// Low cost keeps the hashing fast; the comparison does not depend on it
+const hash = (password) => bcrypt.hashSync(password, 4)
+
+const user = {
+  password: hash("Current#2024"),
+  passwordHistory: [hash("Previous#2023"), hash("Older#2022"), hash("Oldest#2021")],
+}
+
+test("isPasswordReused matches the current password", async () => {
+  assert.equal(await isPasswordReused(user, "Current#2024", { historyCount: 3 }), true)
+})
+
+test("isPasswordReused matches passwords inside the history window", async () => {
+  assert.equal(await isPasswordReused(user, "Previous#2023", { historyCount: 3 }), true)
+  assert.equal(await isPasswordReused(user, "Older#2022", { historyCount: 3 }), true)
+})
+
+test("isPasswordReused counts the current password as part of the window", async () => {
+  assert.equal(await isPasswordReused(user, "Oldest#2021", { historyCount: 3 }), false)
+  assert.equal(await isPasswordReused(user, "Oldest#2021", { historyCount: 4 }), true)
+})
+
+test("isPasswordReused accepts a new password", async () => {
+  assert.equal(await isPasswordReused(user, "Brand-new#2025", { historyCount: 3 }), false)
+})
+
+test("isPasswordReused never reports reuse when the history is turned off", async () => {
+  assert.equal(await isPasswordReused(user, "Current#2024", { historyCount: 0 }), false)
+  assert.equal(await isPasswordReused(user, "Current#2024", {}), false)
+})
+
+test("isPasswordReused handles users without a password or history", async () => {
+  assert.equal(await isPasswordReused({ password: null }, "Anything#1", { historyCount: 5 }), false)
+})
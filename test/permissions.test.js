@@ -0,0 +1,164 @@
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const { query, startApp } = require("./helpers")
+const User = require("../models/User")
+const Department = require("../models/Department")
+const Question = require("../models/Question")
+const Setting = require("../models/Setting")
+const AuthEvent = require("../models/AuthEvent")
+const CustomField = require("../models/CustomField")
+const {
+  DEFAULT_ROLE_CAPABILITIES,
+  getRoleKey,
+  getRoleCapabilities,
+  getUserCapabilities,
+  sanitizeCapabilities,
+} = require("../utils/permissions")
+const adminRoutes = require("../routes/admin")
+const apiRoutes = require("../routes/api")
+
+const admin = { _id: "u-admin", employeeId: "A1", name: "Admin", role: "admin" }
+const higherHod = { _id: "u-hod", employeeId: "H1", name: "Higher HOD", role: "hod", hodLevel: "higher" }
+
+// Default permissions, no departments or custom fields, every session still valid
+function stubDatabase(t, rolePermissions = {}) {
+  t.mock.method(Setting, "getSettings", async () => ({ rolePermissions, passwordPolicy: { minLength: 8 } }))
+  t.mock.method(User, "findById", () => query({ isActive: true, passwordChangedAt: null }))
+  t.mock.method(Department, "find", () => query([]))
+  t.mock.method(Question, "find", () => query([]))
+  t.mock.method(CustomField, "find", () => query([]))
+}
+
+test("getRoleKey splits HODs by level", () => {
+  assert.equal(getRoleKey(admin), "admin")
+  assert.equal(getRoleKey(higherHod), "hodHigher")
+  assert.equal(getRoleKey({ role: "hod", hodLevel: "lower" }), "hodLower")
+  assert.equal(getRoleKey({ role: "hod" }), "hodLower")
+  assert.equal(getRoleKey({ role: "employee" }), "employee")
+})
+
+test("getRoleCapabilities falls back to the defaults for roles nobody edited", async (t) => {
+  stubDatabase(t, { employee: [] })
+  const capabilities = await getRoleCapabilities()
+
+  assert.deepEqual(capabilities.hodHigher, DEFAULT_ROLE_CAPABILITIES.hodHigher)
+  assert.deepEqual(capabilities.employee, [])
+})
+
+test("getRoleCapabilities keeps the locked capabilities even when an admin unticks them", async (t) => {
+  stubDatabase(t, { admin: [] })
+  assert.deepEqual((await getRoleCapabilities()).admin, ["permissions.manage"])
+})
+
+test("getUserCapabilities returns nothing for an unknown role", async (t) => {
+  stubDatabase(t)
+  assert.deepEqual(await getUserCapabilities({ role: "contractor" }), [])
+})
+
+test("sanitizeCapabilities keeps only known capabilities in catalogue order", () => {
+  assert.deepEqual(sanitizeCapabilities(["export.global", "bogus", "questions.create"]), [
+    "questions.create",
+    "export.global",
+  ])
+  assert.deepEqual(sanitizeCapabilities("api.tokens"), ["api.tokens"])
+  assert.deepEqual(sanitizeCapabilities(undefined), [])
+})
+
+// Only admins could open /admin before permissions became editable, and the defaults must keep it that way
+test("a default Higher Level HOD cannot open the admin dashboard or question bank", async (t) => {
+  stubDatabase(t)
+  const app = await startApp("/admin", adminRoutes, higherHod)
+  t.after(app.close)
+  const headers = { Accept: "application/json" }
+
+  for (const pagePath of ["/dashboard", "/questions", "/employees", "/departments", "/permissions"]) {
+    const response = await fetch(app.url + pagePath, { headers })
+    assert.equal(response.status, 403, pagePath)
+  }
+
+  const created = await fetch(app.url + "/questions", {
+    method: "POST",
+    headers: { ...headers, "Content-Type": "application/json" },
+    body: JSON.stringify({
+      text: "Global question",
+      category: "performance",
+      questionType: "review",
+      questionFor: "hod",
+    }),
+  })
+  assert.equal(created.status, 403)
+})
+
+test("an admin can open the question bank", async (t) => {
+  stubDatabase(t)
+  const app = await startApp("/admin", adminRoutes, admin)
+  t.after(app.close)
+
+  const response = await fetch(app.url + "/questions")
+  assert.equal(response.status, 200)
+})
+
+test("a signed-out request is sent to the login page", async (t) => {
+  stubDatabase(t)
+  const app = await startApp("/admin", adminRoutes, null)
+  t.after(app.close)
+
+  const response = await fetch(app.url + "/dashboard", { redirect: "manual" })
+  assert.equal(response.status, 302)
+  assert.equal(response.headers.get("location"), "/auth/login")
+})
+
+async function postHodQuestion(t, sessionUser, department) {
+  const app = await startApp("/api", apiRoutes, sessionUser)
+  t.after(app.close)
+  return fetch(app.url + "/hod/questions", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ text: "Shift handover quality", category: "performance", department }),
+  })
+}
+
+test("HOD question creation through the API is limited to HODs", async (t) => {
+  stubDatabase(t)
+  assert.equal((await postHodQuestion(t, admin, "")).status, 403)
+  assert.equal((await postHodQuestion(t, { ...higherHod, hodLevel: "lower" }, "")).status, 403)
+})
+
+test("HOD question creation through the API is limited to the HOD's own departments", async (t) => {
+  stubDatabase(t)
+  t.mock.method(Department, "find", () => query([{ _id: "d-led" }]))
+  t.mock.method(Question, "create", async (data) => ({ ...data, _id: "q1" }))
+  const hod = { ...higherHod, department: { _id: "d-own", name: "Casting" } }
+
+  assert.equal((await postHodQuestion(t, hod, "d-other")).status, 403)
+  assert.equal((await postHodQuestion(t, hod, "d-own")).status, 200)
+  assert.equal((await postHodQuestion(t, hod, "d-led")).status, 200)
+  assert.equal(Question.create.mock.callCount(), 2)
+})
+
+async function resetTwoFactor(t, rolePermissions) {
+  stubDatabase(t, rolePermissions)
+  t.mock.method(User, "findOneAndUpdate", () => query({ _id: "u-emp", employeeId: "E1", twoFactorEnabled: true }))
+  t.mock.method(AuthEvent, "create", async (event) => event)
+  const app = await startApp("/admin", adminRoutes, admin)
+  t.after(app.close)
+  return fetch(app.url + "/employees/u-emp/reset-two-factor", { method: "POST", redirect: "manual" })
+}
+
+test("resetting someone's two-factor needs security.manage as well as employees.manage", async (t) => {
+  const response = await resetTwoFactor(t, { admin: ["employees.manage"] })
+  assert.equal(response.status, 403)
+  assert.equal(User.findOneAndUpdate.mock.callCount(), 0)
+})
+
+test("resetting two-factor only touches employees and HODs and records who did it", async (t) => {
+  const response = await resetTwoFactor(t)
+  assert.equal(response.status, 302)
+
+  const [filter] = User.findOneAndUpdate.mock.calls[0].arguments
+  assert.deepEqual(filter, { _id: "u-emp", role: { $in: ["employee", "hod"] } })
+  const [event] = AuthEvent.create.mock.calls[0].arguments
+  assert.equal(event.type, "two_factor.reset")
+  assert.equal(event.actor, admin._id)
+  assert.equal(event.employeeId, "E1")
+})
@@ -0,0 +1,133 @@
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const crypto = require("crypto")
+const mongoose = require("mongoose")
+const { query } = require("./helpers")
+const AuthEvent = require("../models/AuthEvent")
+const RememberToken = require("../models/RememberToken")
+const User = require("../models/User")
+const { restoreRememberedLogin } = require("../utils/rememberMe")
+
+const userId = new mongoose.Types.ObjectId()
+const series = "a".repeat(32)
+const hash = (token) => crypto.createHash("sha256").update(token).digest("hex")
+
+// A stored series whose current token is "c..." and whose previous token is "b..."
+function storedSeries(rotatedAt = new Date(Date.now() - 5 * 60 * 1000)) {
+  return {
+    _id: "rt1",
+    user: userId,
+    series,
+    tokenHash: hash("c".repeat(64)),
+    previousTokenHash: hash("b".repeat(64)),
+    rotatedAt,
+    authMethod: "ldap",
+    expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000),
+    deleted: false,
+    async deleteOne() {
+      this.deleted = true
+    },
+  }
+}
+
+// Stub the models behind restoreRememberedLogin and collect what it writes
+function stubStore(t, record) {
+  const calls = { rotations: [], revokedTokens: [], revokedSessions: [], events: [] }
+  t.mock.method(RememberToken, "findOne", () => query(record))
+  t.mock.method(RememberToken, "findOneAndUpdate", (filter, update) => {
+    calls.rotations.push([filter, update])
+    return query(record)
+  })
+  t.mock.method(RememberToken, "deleteMany", (filter) => {
+    calls.revokedTokens.push(filter)
+    return query({ deletedCount: 1 })
+  })
+  t.mock.method(mongoose.connection, "collection", () => ({
+    deleteMany: async (filter) => {
+      calls.revokedSessions.push(filter)
+      return { deletedCount: 2 }
+    },
+  }))
+  t.mock.method(AuthEvent, "create", async (event) => calls.events.push(event))
+  t.mock.method(User, "findOne", () => query({ _id: userId, name: "Asha", role: "hod", employeeId: "HOD001" }))
+  return calls
+}
+
+// Run the middleware for a visitor without a session presenting the given remember-me token
+async function visit(token) {
+  const req = {
+    headers: { cookie: `theme=dark; pms_remember=${series}.${token}` },
+    session: { regenerate: (done) => done() },
+    originalUrl: "/hod/dashboard",
+    ip: "10.0.0.1",
+    get: () => "",
+  }
+  const res = {
+    cookies: [],
+    cleared: 0,
+    cookie(name, value) {
+      this.cookies.push(value)
+    },
+    clearCookie() {
+      this.cleared += 1
+    },
+  }
+  await new Promise((resolve) => restoreRememberedLogin(req, res, resolve))
+  return { req, res }
+}
+
+test("restoreRememberedLogin signs the user back in and rotates the token", async (t) => {
+  const calls = stubStore(t, storedSeries())
+
+  const { req, res } = await visit("c".repeat(64))
+
+  assert.equal(req.session.user.employeeId, "HOD001")
+  assert.equal(req.session.meta.rememberSeries, series)
+  assert.equal(calls.rotations.length, 1)
+  const [filter, update] = calls.rotations[0]
+  assert.deepEqual(filter, { _id: "rt1", tokenHash: hash("c".repeat(64)) })
+  assert.equal(update.previousTokenHash, hash("c".repeat(64)))
+
+  // The new cookie carries the token whose hash was stored
+  const [newSeries, newToken] = res.cookies[0].split(".")
+  assert.equal(newSeries, series)
+  assert.equal(update.tokenHash, hash(newToken))
+  assert.notEqual(newToken, "c".repeat(64))
+})
+
+test("restoreRememberedLogin accepts the previous token just after a rotation without rotating again", async (t) => {
+  const calls = stubStore(t, storedSeries(new Date(Date.now() - 10 * 1000)))
+
+  const { req, res } = await visit("b".repeat(64))
+
+  assert.equal(req.session.user.employeeId, "HOD001")
+  assert.deepEqual(calls.rotations, [])
+  assert.deepEqual(res.cookies, [])
+  assert.deepEqual(calls.revokedSessions, [])
+})
+
+test("restoreRememberedLogin treats a stale token as a copied cookie and revokes every session", async (t) => {
+  const calls = stubStore(t, storedSeries())
+
+  const { req, res } = await visit("b".repeat(64))
+
+  assert.equal(req.session.user, undefined)
+  assert.equal(res.cleared, 1)
+  assert.deepEqual(calls.revokedTokens, [{ user: userId }])
+  assert.equal(calls.revokedSessions.length, 1)
+  assert.equal(calls.events[0].type, "login.failure")
+  assert.equal(calls.events[0].reason, "remember_token_reuse")
+})
+
+test("restoreRememberedLogin drops an expired series", async (t) => {
+  const record = storedSeries()
+  record.expiresAt = new Date(Date.now() - 1000)
+  const calls = stubStore(t, record)
+
+  const { req, res } = await visit("c".repeat(64))
+
+  assert.equal(req.session.user, undefined)
+  assert.equal(record.deleted, true)
+  assert.equal(res.cleared, 1)
+  assert.deepEqual(calls.revokedSessions, [])
+})
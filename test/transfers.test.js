@@ -0,0 +1,83 @@
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const { query } = require("./helpers")
+const Department = require("../models/Department")
+const DepartmentTransfer = require("../models/DepartmentTransfer")
+const User = require("../models/User")
+const { findDepartmentUsersForMonth, syncDepartmentHods } = require("../utils/transfers")
+
+// Every Department.hods write as [method, filter, update]
+function recordHodWrites(t) {
+  const writes = []
+  t.mock.method(Department, "updateOne", (filter, update) => {
+    writes.push(["updateOne", filter, update])
+    return query({ modifiedCount: 1 })
+  })
+  t.mock.method(Department, "updateMany", (filter, update) => {
+    writes.push(["updateMany", filter, update])
+    return query({ modifiedCount: 1 })
+  })
+  return writes
+}
+
+test("syncDepartmentHods adds a new HOD to their department's list", async (t) => {
+  const writes = recordHodWrites(t)
+  await syncDepartmentHods("u1", { role: "employee", department: "d1" }, { role: "hod", department: "d1" })
+  assert.deepEqual(writes, [["updateOne", { _id: "d1" }, { $addToSet: { hods: "u1" } }]])
+})
+
+test("syncDepartmentHods removes a demoted HOD from every list", async (t) => {
+  const writes = recordHodWrites(t)
+  await syncDepartmentHods("u1", { role: "hod", department: "d1" }, { role: "employee", department: "d2" })
+  assert.deepEqual(writes, [["updateMany", { hods: "u1" }, { $pull: { hods: "u1" } }]])
+})
+
+test("syncDepartmentHods moves a HOD from the old department's list to the new one", async (t) => {
+  const writes = recordHodWrites(t)
+  const before = { role: "hod", department: { _id: "d1", name: "Casting" } }
+  await syncDepartmentHods("u1", before, { role: "hod", department: "d2" })
+  assert.deepEqual(writes, [
+    ["updateOne", { _id: "d1" }, { $pull: { hods: "u1" } }],
+    ["updateOne", { _id: "d2" }, { $addToSet: { hods: "u1" } }],
+  ])
+})
+
+test("syncDepartmentHods leaves the lists alone when neither role nor department changes a HOD", async (t) => {
+  const writes = recordHodWrites(t)
+  await syncDepartmentHods("u1", { role: "hod", department: "d1" }, { role: "hod", department: "d1" })
+  await syncDepartmentHods("u2", { role: "employee", department: "d1" }, { role: "employee", department: "d2" })
+  assert.deepEqual(writes, [])
+})
+
+test("findDepartmentUsersForMonth queries only the departments' people and places them by month", async (t) => {
+  const userQueries = []
+  t.mock.method(DepartmentTransfer, "distinct", () => query(["u3"]))
+  // u2 joined d1 after the month and u3 left d1 after it
+  t.mock.method(DepartmentTransfer, "find", () =>
+    query([
+      { user: "u2", fromDepartment: "d9", effectiveDate: new Date("2026-05-01") },
+      { user: "u3", fromDepartment: "d1", effectiveDate: new Date("2026-05-01") },
+    ]),
+  )
+  t.mock.method(User, "find", (filter) => {
+    userQueries.push(filter)
+    return query([
+      { _id: "u1", department: "d1" },
+      { _id: "u2", department: "d1" },
+      { _id: "u3", department: "d2" },
+    ])
+  })
+  t.mock.method(User, "populate", async (users) =>
+    users.map((user) => ({ ...user, department: user.department && { _id: user.department, name: "Casting" } })),
+  )
+
+  const users = await findDepartmentUsersForMonth(["d1"], { role: "employee", isActive: true }, "2026-03")
+
+  assert.deepEqual(userQueries, [
+    { role: "employee", isActive: true, $or: [{ department: { $in: ["d1"] } }, { _id: { $in: ["u3"] } }] },
+  ])
+  assert.deepEqual(
+    users.map((user) => user._id),
+    ["u1", "u3"],
+  )
+})
@@ -0,0 +1,102 @@
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const { authenticator } = require("otplib")
+const { query } = require("./helpers")
+const User = require("../models/User")
+const {
+  generateSecret,
+  getTokenStep,
+  verifyToken,
+  generateRecoveryCodes,
+  verifySecondFactor,
+} = require("../utils/twoFactor")
+
+// Apply the step claim the way MongoDB would: only when the stored step is null or older
+function stubStepClaims(t, stored) {
+  t.mock.method(User, "updateOne", (filter, update) => {
+    const step = update.$set.twoFactorLastStep
+    if (stored.lastStep !== null && stored.lastStep >= step) {
+      return query({ modifiedCount: 0 })
+    }
+    stored.lastStep = step
+    return query({ modifiedCount: 1 })
+  })
+}
+
+function twoFactorUser(secret, recoveryHashes = []) {
+  return {
+    _id: "u1",
+    twoFactorSecret: secret,
+    twoFactorRecoveryCodes: recoveryHashes,
+    saves: 0,
+    async save() {
+      this.saves += 1
+    },
+  }
+}
+
+test("getTokenStep accepts the current code with spaces and rejects malformed ones", () => {
+  const secret = generateSecret()
+  const code = authenticator.generate(secret)
+  assert.equal(getTokenStep(secret, `${code.slice(0, 3)} ${code.slice(3)}`), getTokenStep(secret, code))
+  assert.equal(verifyToken(secret, code), true)
+  assert.equal(getTokenStep(secret, "12345"), null)
+  assert.equal(getTokenStep(secret, "abcdef"), null)
+  assert.equal(getTokenStep(null, code), null)
+})
+
+test("verifySecondFactor accepts a TOTP code once and rejects the replay", async (t) => {
+  const stored = { lastStep: null }
+  stubStepClaims(t, stored)
+  const secret = generateSecret()
+  const user = twoFactorUser(secret)
+  const code = authenticator.generate(secret)
+
+  assert.deepEqual(await verifySecondFactor(user, code), { valid: true, usedRecoveryCode: false })
+  assert.equal(stored.lastStep, getTokenStep(secret, code))
+  assert.deepEqual(await verifySecondFactor(user, code), { valid: false })
+})
+
+test("verifySecondFactor rejects a code from a step older than the last one used", async (t) => {
+  const secret = generateSecret()
+  const code = authenticator.generate(secret)
+  stubStepClaims(t, { lastStep: getTokenStep(secret, code) + 1 })
+
+  assert.deepEqual(await verifySecondFactor(twoFactorUser(secret), code), { valid: false })
+})
+
+test("generateRecoveryCodes returns readable codes and stores only their hashes", () => {
+  const { codes, hashes } = generateRecoveryCodes()
+  assert.equal(codes.length, 10)
+  assert.equal(new Set(codes).size, 10)
+  codes.forEach((code) => assert.match(code, /^[0-9a-f]{5}-[0-9a-f]{5}$/))
+  hashes.forEach((hash, index) => {
+    assert.match(hash, /^[0-9a-f]{64}$/)
+    assert.ok(!hash.includes(codes[index].replace("-", "")))
+  })
+})
+
+test("verifySecondFactor accepts a recovery code once, ignoring case, spaces and dashes", async (t) => {
+  stubStepClaims(t, { lastStep: null })
+  const { codes, hashes } = generateRecoveryCodes()
+  const user = twoFactorUser(generateSecret(), [...hashes])
+  const typed = ` ${codes[3].replace("-", " ").toUpperCase()} `
+
+  assert.deepEqual(await verifySecondFactor(user, typed), {
+    valid: true,
+    usedRecoveryCode: true,
+    remainingRecoveryCodes: 9,
+  })
+  assert.equal(user.saves, 1)
+  assert.ok(!user.twoFactorRecoveryCodes.includes(hashes[3]))
+  assert.deepEqual(await verifySecondFactor(user, codes[3]), { valid: false })
+})
+
+test("verifySecondFactor rejects an empty or unknown code", async (t) => {
+  stubStepClaims(t, { lastStep: null })
+  const user = twoFactorUser(generateSecret(), generateRecoveryCodes().hashes)
+
+  assert.deepEqual(await verifySecondFactor(user, ""), { valid: false })
+  assert.deepEqual(await verifySecondFactor(user, "00000-00000"), { valid: false })
+  assert.equal(user.saves, 0)
+})
@@ -0,0 +1,84 @@
+const crypto = require("crypto")
+const ApiToken = require("../models/ApiToken")
+const User = require("../models/User")
+
+const TOKEN_PREFIX = "pms_"
+
+// Lifetimes offered when creating a token
+const API_TOKEN_EXPIRY_DAYS = [7, 30, 90, 180, 365]
+
+// Per-user cap on live tokens
+const MAX_ACTIVE_TOKENS = 20
+
+// lastUsedAt is written at most once a minute per token
+const LAST_USED_INTERVAL_MS = 60 * 1000
+
+function hashApiToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex")
+}
+
+// New random token; only the hash and a short display prefix are stored
+function generateApiToken() {
+  const token = TOKEN_PREFIX + crypto.randomBytes(32).toString("hex")
+  return {
+    token,
+    tokenHash: hashApiToken(token),
+    tokenPrefix: token.slice(0, TOKEN_PREFIX.length + 8),
+  }
+}
+
+// Token from an "Authorization: Bearer <token>" header, or null when the request has none
+function getBearerToken(req) {
+  const header = req.get("Authorization") || ""
+  const match = header.match(/^Bearer\s+(\S+)\s*$/i)
+  return match ? match[1] : null
+}
+
+// /api calls carrying a bearer token are authenticated by the token alone - no session cookie, no CSRF token
+function isApiTokenRequest(req) {
+  return req.originalUrl.startsWith("/api/") && !!getBearerToken(req)
+}
+
+// Look up a live token and its active owner. Returns { apiToken, user } or null.
+async function authenticateApiToken(token, ip) {
+  if (!token.startsWith(TOKEN_PREFIX)) {
+    return null
+  }
+
+  const apiToken = await ApiToken.findOne({
+    tokenHash: hashApiToken(token),
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+  if (!apiToken) {
+    return null
+  }
+
+  const user = await User.findOne({ _id: apiToken.user, isActive: true }).populate("department")
+  if (!user) {
+    return null
+  }
+
+  const now = Date.now()
+  if (!apiToken.lastUsedAt || now - apiToken.lastUsedAt.getTime() > LAST_USED_INTERVAL_MS) {
+    apiToken.lastUsedAt = new Date(now)
+    apiToken.lastUsedIp = ip || null
+    await ApiToken.updateOne({ _id: apiToken._id }, { lastUsedAt: apiToken.lastUsedAt, lastUsedIp: apiToken.lastUsedIp })
+  }
+
+  return { apiToken, user }
+}
+
+function countActiveTokens(userId) {
+  return ApiToken.countDocuments({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+}
+
+module.exports = {
+  API_TOKEN_EXPIRY_DAYS,
+  MAX_ACTIVE_TOKENS,
+  generateApiToken,
+  getBearerToken,
+  isApiTokenRequest,
+  authenticateApiToken,
+  countActiveTokens,
+}
@@ -0,0 +1,89 @@
+const AuthEvent = require("../models/AuthEvent")
+const Setting = require("../models/Setting")
+
+// Event types shown in the admin filter, in the same order as the AuthEvent enum
+const AUTH_EVENT_TYPES = [
+  { key: "login.success", label: "Login succeeded" },
+  { key: "login.failure", label: "Login failed" },
+  { key: "logout", label: "Logout" },
+  { key: "password.change", label: "Password changed" },
+  { key: "role.change", label: "Role changed" },
+  { key: "two_factor.reset", label: "Two-factor reset" },
+]
+
+// Readable text for the reason codes recorded with failed logins and changes
+const AUTH_EVENT_REASONS = {
+  unknown_user: "Unknown or inactive Employee ID",
+  bad_password: "Wrong password",
+  locked_out: "Locked out after repeated failures",
+  bad_second_factor: "Wrong two-factor code",
+  password_login_disabled: "Password sign-in disabled for role",
+  directory_unavailable: "Directory server unavailable",
+  sso_error: "Single sign-on error",
+  sso_rejected: "No matching active account for SSO identity",
+  remember_me: "Restored from remember-me cookie",
+  remember_token_reuse: "Reused remember-me token (all sessions revoked)",
+  self: "Changed by the user",
+  reset_link: "Reset by email link",
+  admin: "Set by an admin",
+  directory_groups: "Directory group membership",
+  hris_sync: "HRIS roster sync",
+}
+
+// How often expired events are purged
+const RETENTION_CHECK_INTERVAL_MS = 6 * 60 * 60 * 1000
+
+// Store one event with the request's IP and user agent (req is null for background jobs).
+// Failures are logged and never break the request.
+async function recordAuthEvent(
+  req,
+  type,
+  { user = null, employeeId = null, actor = null, method = null, reason = null, details = null } = {},
+) {
+  try {
+    await AuthEvent.create({
+      type,
+      user: user ? user._id || user : null,
+      employeeId: employeeId || (user && user.employeeId) || null,
+      actor: actor ? actor._id || actor : null,
+      method,
+      reason,
+      details,
+      ip: (req && req.ip) || null,
+      userAgent: req ? (req.get("User-Agent") || "").slice(0, 500) || null : null,
+    })
+  } catch (error) {
+    console.error("Record auth event error:", error)
+  }
+}
+
+// Delete events older than the retention period (0 keeps them forever). Returns the number deleted.
+async function purgeExpiredAuthEvents() {
+  const settings = await Setting.getSettings()
+  const retentionDays = settings.authEventRetentionDays
+  if (!retentionDays) {
+    return 0
+  }
+
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000)
+  const result = await AuthEvent.deleteMany({ createdAt: { $lt: cutoff } })
+  if (result.deletedCount > 0) {
+    console.log(`Purged ${result.deletedCount} auth events older than ${retentionDays} days`)
+  }
+  return result.deletedCount
+}
+
+// Run the retention purge now and every few hours for the life of the process
+function startAuthEventRetention() {
+  const run = () => purgeExpiredAuthEvents().catch((error) => console.error("Auth event retention error:", error))
+  run()
+  setInterval(run, RETENTION_CHECK_INTERVAL_MS).unref()
+}
+
+module.exports = {
+  AUTH_EVENT_TYPES,
+  AUTH_EVENT_REASONS,
+  recordAuthEvent,
+  purgeExpiredAuthEvents,
+  startAuthEventRetention,
+}
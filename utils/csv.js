@@ -0,0 +1,12 @@
+// Quote a CSV field; leading formula characters are escaped for spreadsheet apps
+function csvField(value) {
+  let text = String(value)
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`
+  }
+  return `"${text.replace(/"/g, '""').replace(/\r?\n/g, " ")}"`
+}
+
+module.exports = {
+  csvField,
+}
@@ -0,0 +1,190 @@
+const CustomField = require("../models/CustomField")
+const User = require("../models/User")
+
+const CUSTOM_FIELD_TYPES = [
+  { key: "text", label: "Text" },
+  { key: "select", label: "Select (list of options)" },
+  { key: "date", label: "Date" },
+  { key: "number", label: "Number" },
+]
+
+const MAX_TEXT_LENGTH = 500
+
+// Field definitions in display order
+async function getCustomFields() {
+  return CustomField.find().sort({ order: 1, label: 1 }).lean()
+}
+
+// Middleware exposing the field definitions (and a value formatter) to the employee forms, list and import
+async function loadCustomFields(req, res, next) {
+  try {
+    res.locals.customFields = await getCustomFields()
+    res.locals.customFieldText = (field, user) => formatCustomFieldValue(field, getCustomFieldValue(user, field.key))
+    next()
+  } catch (error) {
+    next(error)
+  }
+}
+
+// "Cost Center" -> "costCenter", suffixed with a number when the key is already taken
+async function generateFieldKey(label) {
+  const words = String(label)
+    .replace(/[^A-Za-z0-9]+/g, " ")
+    .trim()
+    .split(" ")
+    .filter(Boolean)
+  let base = words
+    .map((word, index) =>
+      index === 0 ? word.toLowerCase() : word.charAt(0).toUpperCase() + word.slice(1).toLowerCase(),
+    )
+    .join("")
+  if (!/^[a-z]/.test(base)) {
+    base = `field${base}`
+  }
+
+  let key = base
+  for (let suffix = 2; await CustomField.exists({ key }); suffix++) {
+    key = `${base}${suffix}`
+  }
+  return key
+}
+
+// Select options from the admin form: one per line, blanks and repeats dropped
+function parseFieldOptions(text) {
+  const options = String(text || "")
+    .split(/\r?\n/)
+    .map((option) => option.trim())
+    .filter(Boolean)
+  return [...new Set(options)]
+}
+
+function getCustomFieldValue(user, key) {
+  const values = user && user.customFields
+  if (!values) {
+    return undefined
+  }
+  return values instanceof Map ? values.get(key) : values[key]
+}
+
+// Stored value as plain text for tables, form inputs and CSV exports (dates as YYYY-MM-DD)
+function formatCustomFieldValue(field, value) {
+  if (value === undefined || value === null || value === "") {
+    return ""
+  }
+  if (field.type === "date") {
+    const date = new Date(value)
+    return Number.isNaN(date.getTime()) ? "" : date.toISOString().slice(0, 10)
+  }
+  return String(value)
+}
+
+// Check submitted values ({ key: text }) against the definitions.
+// Returns { values, errors }: values holds the typed value of every field that was filled in.
+function parseCustomFieldValues(fields, input) {
+  const values = {}
+  const errors = []
+
+  fields.forEach((field) => {
+    const raw = input ? input[field.key] : undefined
+    const text = typeof raw === "string" || typeof raw === "number" ? String(raw).trim() : ""
+    if (!text) {
+      if (field.required) {
+        errors.push(`${field.label} is required`)
+      }
+      return
+    }
+
+    if (field.type === "number") {
+      const number = Number(text)
+      if (Number.isFinite(number)) {
+        values[field.key] = number
+      } else {
+        errors.push(`${field.label} must be a number`)
+      }
+    } else if (field.type === "date") {
+      const date = new Date(text)
+      if (Number.isNaN(date.getTime())) {
+        errors.push(`${field.label} must be a valid date`)
+      } else {
+        values[field.key] = date
+      }
+    } else if (field.type === "select") {
+      // Case-insensitive so imported spreadsheets need not match the option's capitals
+      const option = field.options.find((choice) => choice.toLowerCase() === text.toLowerCase())
+      if (option) {
+        values[field.key] = option
+      } else {
+        errors.push(`${field.label} must be one of: ${field.options.join(", ")}`)
+      }
+    } else if (text.length > MAX_TEXT_LENGTH) {
+      errors.push(`${field.label} must be at most ${MAX_TEXT_LENGTH} characters`)
+    } else {
+      values[field.key] = text
+    }
+  })
+
+  return { values, errors }
+}
+
+// Analysis filters from the query string: ?cf[key]=value for text and select fields,
+// ?cf[key][from]=..&cf[key][to]=.. for number and date fields. Only filled-in filters are returned.
+function parseCustomFieldFilters(fields, query) {
+  const input = query && typeof query === "object" ? query : {}
+  const filters = []
+
+  fields.forEach((field) => {
+    const raw = input[field.key]
+    if (field.type === "number" || field.type === "date") {
+      const range = raw && typeof raw === "object" ? raw : {}
+      const parse = (value) => {
+        if (typeof value !== "string" || value.trim() === "") return null
+        const parsed = field.type === "number" ? Number(value) : new Date(value).getTime()
+        return Number.isFinite(parsed) ? parsed : null
+      }
+      const from = parse(range.from)
+      const to = parse(range.to)
+      if (from !== null || to !== null) {
+        filters.push({ field, from, to })
+      }
+    } else if (typeof raw === "string" && raw.trim() !== "") {
+      filters.push({ field, value: raw.trim().toLowerCase() })
+    }
+  })
+  return filters
+}
+
+// True when the user's values pass every filter (text matches anywhere, select exactly, ranges inclusive)
+function matchesCustomFieldFilters(user, filters) {
+  return filters.every(({ field, value, from, to }) => {
+    const stored = getCustomFieldValue(user, field.key)
+    if (stored === undefined || stored === null || stored === "") {
+      return false
+    }
+
+    if (field.type === "number" || field.type === "date") {
+      const comparable = field.type === "number" ? Number(stored) : new Date(stored).getTime()
+      return (from === null || comparable >= from) && (to === null || comparable <= to)
+    }
+    const text = String(stored).toLowerCase()
+    return field.type === "select" ? text === value : text.includes(value)
+  })
+}
+
+// Remove a deleted field's values from every employee
+async function clearCustomFieldValues(key) {
+  return User.updateMany({ [`customFields.${key}`]: { $exists: true } }, { $unset: { [`customFields.${key}`]: "" } })
+}
+
+module.exports = {
+  CUSTOM_FIELD_TYPES,
+  getCustomFields,
+  loadCustomFields,
+  generateFieldKey,
+  parseFieldOptions,
+  getCustomFieldValue,
+  formatCustomFieldValue,
+  parseCustomFieldValues,
+  parseCustomFieldFilters,
+  matchesCustomFieldFilters,
+  clearCustomFieldValues,
+}
@@ -0,0 +1,185 @@
+const User = require("../models/User")
+const Department = require("../models/Department")
+const Question = require("../models/Question")
+const Review = require("../models/Review")
+const { getDepartmentWithDescendants, checkDepartmentParent } = require("./departmentTree")
+const { recordDepartmentChange } = require("./transfers")
+
+// What archiving the department would affect
+async function getArchiveImpact(department) {
+  const [employees, subDepartments, questions, reviews] = await Promise.all([
+    User.find({ department: department._id, isActive: true }).select("_id"),
+    Department.find({ parentDepartment: department._id, isActive: true }).select("_id name"),
+    Question.find({ department: department._id, isActive: true }).select("_id"),
+    Review.countDocuments({ department: department._id }),
+  ])
+  return { employees, subDepartments, questions, reviews }
+}
+
+// Active departments that can take over the department's people, sub-departments and questions:
+// anything outside the department's own subtree
+async function getArchiveTargets(department) {
+  const subtree = await getDepartmentWithDescendants(department._id)
+  return Department.find({ isActive: true, _id: { $nin: subtree } }).sort({ name: 1 })
+}
+
+// Archive a department. Active employees and sub-departments must move to targetId; its questions are archived
+// or (questionAction "reassign") moved there too. Inactive employees and reviews keep pointing to it.
+// Returns { moved: { employees, subDepartments, questions } } or { error }.
+async function archiveDepartment(department, { targetId = null, questionAction = "archive", actorId = null }) {
+  if (!department.isActive) {
+    return { error: `${department.name} is already archived` }
+  }
+
+  const impact = await getArchiveImpact(department)
+  const needsTarget =
+    impact.employees.length > 0 ||
+    impact.subDepartments.length > 0 ||
+    (questionAction === "reassign" && impact.questions.length > 0)
+
+  let target = null
+  if (targetId) {
+    const subtree = await getDepartmentWithDescendants(department._id)
+    if (subtree.includes(String(targetId))) {
+      return { error: "Choose a department outside the one being archived" }
+    }
+    target = await Department.findOne({ _id: targetId, isActive: true })
+    if (!target) {
+      return { error: "Choose an active department to move into" }
+    }
+  } else if (needsTarget) {
+    const remaining = []
+    if (impact.employees.length > 0) remaining.push(`${impact.employees.length} active employee(s)`)
+    if (impact.subDepartments.length > 0) remaining.push(`${impact.subDepartments.length} sub-department(s)`)
+    if (questionAction === "reassign" && impact.questions.length > 0) {
+      remaining.push(`${impact.questions.length} question(s) to reassign`)
+    }
+    return { error: `${department.name} still has ${remaining.join(", ")}. Choose a department to move them into.` }
+  }
+
+  const employeeIds = impact.employees.map((employee) => employee._id)
+  const subDepartmentIds = impact.subDepartments.map((subDepartment) => subDepartment._id)
+  const questionIds = impact.questions.map((question) => question._id)
+
+  if (employeeIds.length > 0) {
+    await User.updateMany({ _id: { $in: employeeIds } }, { department: target._id })
+    for (const employeeId of employeeIds) {
+      await recordDepartmentChange(employeeId, department._id, target._id, actorId, `${department.name} archived`)
+    }
+  }
+  if (subDepartmentIds.length > 0) {
+    await Department.updateMany({ _id: { $in: subDepartmentIds } }, { parentDepartment: target._id })
+  }
+  if (questionIds.length > 0) {
+    if (questionAction === "reassign") {
+      await Question.updateMany({ _id: { $in: questionIds } }, { department: target._id })
+    } else {
+      await Question.updateMany({ _id: { $in: questionIds } }, { isActive: false })
+    }
+  }
+
+  department.isActive = false
+  department.archivedAt = new Date()
+  department.archivedBy = actorId
+  department.archiveMoves = {
+    targetDepartment: target ? target._id : null,
+    employees: employeeIds,
+    subDepartments: subDepartmentIds,
+    archivedQuestions: questionAction === "reassign" ? [] : questionIds,
+    reassignedQuestions: questionAction === "reassign" ? questionIds : [],
+  }
+  await department.save()
+
+  return {
+    moved: { employees: employeeIds.length, subDepartments: subDepartmentIds.length, questions: questionIds.length },
+  }
+}
+
+// Undo an archive: reactivate the department and its archived questions. With moveBack, employees,
+// sub-departments and questions that were moved out (and are still where the archive put them) come back too.
+// Sub-departments go through the same parent check as a manual move; any that fail it stay where they are.
+// Returns { restored: { employees, subDepartments, subDepartmentsKept, questions } } or { error }.
+async function restoreDepartment(department, { moveBack = true, actorId = null }) {
+  if (department.isActive) {
+    return { error: `${department.name} is not archived` }
+  }
+  if (department.parentDepartment) {
+    const parent = await Department.findById(department.parentDepartment).select("name isActive")
+    if (parent && !parent.isActive) {
+      return { error: `Restore ${parent.name} first - ${department.name} sits under it` }
+    }
+  }
+
+  // Copied because reactivating clears the record of what the archive moved
+  const moves = department.toObject().archiveMoves || {}
+  const targetId = moves.targetDepartment
+  const restored = { employees: 0, subDepartments: 0, subDepartmentsKept: 0, questions: 0 }
+
+  // Reactivate first so the department passes the active-parent check for its returning sub-departments
+  department.isActive = true
+  department.archivedAt = null
+  department.archivedBy = null
+  department.archiveMoves = {
+    targetDepartment: null,
+    employees: [],
+    subDepartments: [],
+    archivedQuestions: [],
+    reassignedQuestions: [],
+  }
+  await department.save()
+
+  if ((moves.archivedQuestions || []).length > 0) {
+    const result = await Question.updateMany(
+      { _id: { $in: moves.archivedQuestions }, department: department._id, isActive: false },
+      { isActive: true },
+    )
+    restored.questions += result.modifiedCount
+  }
+
+  if (moveBack && targetId) {
+    const employees = await User.find({
+      _id: { $in: moves.employees || [] },
+      department: targetId,
+      isActive: true,
+    }).select("_id")
+    if (employees.length > 0) {
+      await User.updateMany({ _id: { $in: employees.map((employee) => employee._id) } }, { department: department._id })
+      for (const employee of employees) {
+        await recordDepartmentChange(employee._id, targetId, department._id, actorId, `${department.name} restored`)
+      }
+    }
+    restored.employees = employees.length
+
+    const subDepartments = await Department.find({
+      _id: { $in: moves.subDepartments || [] },
+      parentDepartment: targetId,
+    }).select("_id")
+    const movable = []
+    for (const subDepartment of subDepartments) {
+      if (await checkDepartmentParent(subDepartment._id, department._id)) {
+        restored.subDepartmentsKept += 1
+      } else {
+        movable.push(subDepartment._id)
+      }
+    }
+    if (movable.length > 0) {
+      await Department.updateMany({ _id: { $in: movable } }, { parentDepartment: department._id })
+    }
+    restored.subDepartments = movable.length
+
+    const questions = await Question.updateMany(
+      { _id: { $in: moves.reassignedQuestions || [] }, department: targetId },
+      { department: department._id },
+    )
+    restored.questions += questions.modifiedCount
+  }
+
+  return { restored }
+}
+
+module.exports = {
+  getArchiveImpact,
+  getArchiveTargets,
+  archiveDepartment,
+  restoreDepartment,
+}
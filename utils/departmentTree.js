@@ -0,0 +1,118 @@
+const Department = require("../models/Department")
+
+// Shown between the levels of a department path: "Manufacturing › Casting › Shift A"
+const DEPARTMENT_PATH_SEPARATOR = " › "
+
+// Full path of every department, archived ones included so history still reads right.
+// Returns Map(departmentId -> "Manufacturing › Casting › Shift A").
+async function getDepartmentPaths() {
+  const departments = await Department.find().select("name parentDepartment").lean()
+  const byId = new Map(departments.map((department) => [String(department._id), department]))
+
+  const paths = new Map()
+  departments.forEach((department) => {
+    const names = []
+    const seen = new Set()
+    let current = department
+    while (current && !seen.has(String(current._id))) {
+      seen.add(String(current._id))
+      names.unshift(current.name)
+      current = current.parentDepartment ? byId.get(String(current.parentDepartment)) : null
+    }
+    paths.set(String(department._id), names.join(DEPARTMENT_PATH_SEPARATOR))
+  })
+  return paths
+}
+
+// Path of a department document or id, falling back to its own name
+function departmentPathOf(paths, department) {
+  if (!department) {
+    return ""
+  }
+  return paths.get(String(department._id || department)) || department.name || ""
+}
+
+// Middleware exposing departmentPath(department) and sortDepartments(departments) (a copy in path order) to the views
+async function loadDepartmentPaths(req, res, next) {
+  try {
+    const paths = await getDepartmentPaths()
+    res.locals.departmentPath = (department) => departmentPathOf(paths, department)
+    res.locals.sortDepartments = (departments) =>
+      [...departments].sort((a, b) => departmentPathOf(paths, a).localeCompare(departmentPathOf(paths, b)))
+    next()
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Ids (as strings) of the department and every department below it. With activeOnly the walk stops at archived
+// sub-departments.
+async function getDepartmentWithDescendants(departmentId, { activeOnly = false } = {}) {
+  const ids = [String(departmentId)]
+  let frontier = [departmentId]
+  while (frontier.length > 0) {
+    const filter = { parentDepartment: { $in: frontier } }
+    if (activeOnly) {
+      filter.isActive = true
+    }
+    const children = await Department.find(filter).select("_id").lean()
+    frontier = children.map((child) => child._id).filter((id) => !ids.includes(String(id)))
+    ids.push(...frontier.map(String))
+  }
+  return ids
+}
+
+// Whether making parentId the parent of departmentId would put the department underneath itself
+async function wouldCreateCycle(departmentId, parentId) {
+  if (!departmentId || !parentId) {
+    return false
+  }
+  const subtree = await getDepartmentWithDescendants(departmentId)
+  return subtree.includes(String(parentId))
+}
+
+// Check a new parent for departmentId: it must be active and must not sit underneath the department itself.
+// Returns an error message or null.
+async function checkDepartmentParent(departmentId, parentId) {
+  if (!(await Department.exists({ _id: parentId, isActive: true }))) {
+    return "Choose an active parent department"
+  }
+  if (await wouldCreateCycle(departmentId, parentId)) {
+    return "A department cannot be moved under itself or one of its sub-departments"
+  }
+  return null
+}
+
+// Nest departments under their parents: [{ department, children: [...] }], each level sorted by name.
+// Departments whose parent is not in the list become roots.
+function buildDepartmentTree(departments) {
+  const nodes = new Map(departments.map((department) => [String(department._id), { department, children: [] }]))
+  const roots = []
+  nodes.forEach((node) => {
+    const parent = node.department.parentDepartment
+    const parentNode = parent ? nodes.get(String(parent._id || parent)) : null
+    if (parentNode) {
+      parentNode.children.push(node)
+    } else {
+      roots.push(node)
+    }
+  })
+
+  const sortLevel = (level) => {
+    level.sort((a, b) => a.department.name.localeCompare(b.department.name))
+    level.forEach((node) => sortLevel(node.children))
+    return level
+  }
+  return sortLevel(roots)
+}
+
+module.exports = {
+  DEPARTMENT_PATH_SEPARATOR,
+  getDepartmentPaths,
+  departmentPathOf,
+  loadDepartmentPaths,
+  getDepartmentWithDescendants,
+  wouldCreateCycle,
+  checkDepartmentParent,
+  buildDepartmentTree,
+}
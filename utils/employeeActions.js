@@ -0,0 +1,212 @@
+const User = require("../models/User")
+const Department = require("../models/Department")
+const { checkEmployeeRules } = require("./employeeValidation")
+const { generateTemporaryPassword } = require("./passwords")
+const { getPasswordPolicy, setUserPassword } = require("./passwordPolicy")
+const { destroyUserSessions } = require("./sessions")
+const { recordAuthEvent } = require("./authEvents")
+const { recordDepartmentChange, syncDepartmentHods } = require("./transfers")
+
+const BULK_ACTIONS = [
+  { key: "department", label: "Change department" },
+  { key: "role", label: "Change role / HOD level" },
+  { key: "deactivate", label: "Deactivate" },
+  { key: "reset-password", label: "Reset passwords" },
+]
+
+// Largest selection one bulk request may change
+const MAX_BULK_EMPLOYEES = 500
+
+// Deactivate a leaver: record the exit, drop them from every HOD list, move their direct reports up to their own
+// manager and sign them out everywhere. Returns the number of direct reports moved.
+async function offboardEmployee(employee, { exitDate, exitReason, offboardedBy }) {
+  await User.updateOne({ _id: employee._id }, { isActive: false, exitDate, exitReason, offboardedBy })
+  await Department.updateMany({ hods: employee._id }, { $pull: { hods: employee._id } })
+
+  const movedReports = await User.updateMany({ reportsTo: employee._id }, { reportsTo: employee.reportsTo || null })
+  await destroyUserSessions(employee._id)
+  return movedReports.modifiedCount
+}
+
+// The employee's profile after the change, checked with the Add/Edit Employee rules (plus HOD level for HODs)
+async function checkChangedEmployee(employee, changes) {
+  const record = {
+    name: employee.name,
+    email: employee.email,
+    employeeId: employee.employeeId,
+    role: employee.role,
+    department: employee.department ? String(employee.department) : "",
+    hodLevel: employee.hodLevel || "",
+    ...changes,
+  }
+  const { errors } = await checkEmployeeRules(record)
+  if (record.role === "hod" && !["higher", "lower"].includes(record.hodLevel)) {
+    errors.push("HOD level must be higher or lower")
+  }
+  return errors
+}
+
+// Decide what happens to one employee: { status: "skipped" | "failed", message } or { apply } to run afterwards
+async function planBulkChange(employee, action, options) {
+  if (!employee.isActive) {
+    return { status: "skipped", message: action === "deactivate" ? "Already inactive" : "Employee is inactive" }
+  }
+
+  if (action === "department") {
+    if (String(employee.department) === String(options.department._id)) {
+      return { status: "skipped", message: `Already in ${options.department.name}` }
+    }
+    const errors = await checkChangedEmployee(employee, { department: String(options.department._id) })
+    if (errors.length > 0) {
+      return { status: "failed", message: errors.join("; ") }
+    }
+    return {
+      apply: async () => {
+        await User.updateOne({ _id: employee._id }, { department: options.department._id })
+        await syncDepartmentHods(employee._id, employee, { role: employee.role, department: options.department._id })
+        await recordDepartmentChange(employee._id, employee.department, options.department._id, options.actor)
+        return `Moved to ${options.department.name}`
+      },
+    }
+  }
+
+  if (action === "role") {
+    const hodLevel = options.role === "hod" ? options.hodLevel : null
+    if (employee.role === options.role && (employee.hodLevel || null) === hodLevel) {
+      return { status: "skipped", message: "Role unchanged" }
+    }
+    const errors = await checkChangedEmployee(employee, { role: options.role, hodLevel: hodLevel || "" })
+    if (errors.length > 0) {
+      return { status: "failed", message: errors.join("; ") }
+    }
+    return {
+      apply: async (req) => {
+        const update = hodLevel
+          ? { $set: { role: options.role, hodLevel } }
+          : { $set: { role: options.role }, $unset: { hodLevel: "" } }
+        await User.updateOne({ _id: employee._id }, update)
+        await syncDepartmentHods(employee._id, employee, { role: options.role, department: employee.department })
+        // A different role signs the employee out of every session, as on the edit form
+        await destroyUserSessions(employee._id)
+        await recordAuthEvent(req, "role.change", {
+          user: employee,
+          actor: options.actor,
+          reason: "admin",
+          details: {
+            from: { role: employee.role, hodLevel: employee.hodLevel || null },
+            to: { role: options.role, hodLevel },
+          },
+        })
+        return `Now ${options.role.toUpperCase()}${hodLevel ? ` (${hodLevel})` : ""}`
+      },
+    }
+  }
+
+  if (action === "deactivate") {
+    return {
+      apply: async () => {
+        await offboardEmployee(employee, {
+          exitDate: options.exitDate,
+          exitReason: options.exitReason,
+          offboardedBy: options.actor,
+        })
+        return "Deactivated and signed out"
+      },
+    }
+  }
+
+  // reset-password
+  return {
+    apply: async (req) => {
+      const temporaryPassword = generateTemporaryPassword(Math.max(12, options.policy.minLength))
+      await setUserPassword(employee, temporaryPassword, options.policy)
+      await User.updateOne(
+        { _id: employee._id },
+        {
+          password: employee.password,
+          passwordHistory: employee.passwordHistory,
+          passwordChangedAt: employee.passwordChangedAt,
+          mustChangePassword: true,
+          passwordResetToken: null,
+          passwordResetExpires: null,
+        },
+      )
+      await destroyUserSessions(employee._id)
+      await recordAuthEvent(req, "password.change", {
+        user: employee,
+        actor: options.actor,
+        reason: "admin",
+        details: { temporaryPassword: true },
+      })
+      return { message: "Temporary password issued", temporaryPassword }
+    },
+  }
+}
+
+// Run one bulk action over the selected employees. Every record is validated first, then the valid ones are
+// changed one by one with nothing rolled back, so a failure part-way leaves the earlier changes in place.
+// Returns { results: [{ employee, status, message, temporaryPassword }], counts, partial } or { error }, where
+// partial means some employees were changed and others were not.
+async function runBulkEmployeeAction(req, { action, employeeIds, department, role, hodLevel, exitDate, exitReason }) {
+  const options = { actor: req.session.user._id, role, hodLevel, exitDate, exitReason }
+
+  if (action === "department") {
+    options.department = await Department.findOne({ _id: department, isActive: true }).select("name")
+    if (!options.department) {
+      return { error: "Choose an active department" }
+    }
+  }
+  if (action === "reset-password") {
+    options.policy = await getPasswordPolicy()
+  }
+
+  const employees = await User.find({ _id: { $in: employeeIds }, role: { $in: ["employee", "hod"] } }).select(
+    "+passwordHistory",
+  )
+  const byId = new Map(employees.map((employee) => [String(employee._id), employee]))
+
+  const planned = []
+  for (const id of employeeIds) {
+    const employee = byId.get(String(id))
+    if (!employee) {
+      planned.push({
+        employee: { _id: id, name: "Unknown", employeeId: "-" },
+        status: "failed",
+        message: "Employee not found",
+      })
+      continue
+    }
+    planned.push({ employee, ...(await planBulkChange(employee, action, options)) })
+  }
+
+  const results = []
+  for (const { employee, apply, status, message } of planned) {
+    const summary = { employee: { _id: employee._id, name: employee.name, employeeId: employee.employeeId } }
+    if (!apply) {
+      results.push({ ...summary, status, message })
+      continue
+    }
+    try {
+      const outcome = await apply(req)
+      results.push(
+        typeof outcome === "string"
+          ? { ...summary, status: "updated", message: outcome }
+          : { ...summary, status: "updated", ...outcome },
+      )
+    } catch (error) {
+      console.error(`Bulk ${action} error for ${employee.employeeId}:`, error)
+      results.push({ ...summary, status: "failed", message: "Could not be changed" })
+    }
+  }
+
+  const counts = { updated: 0, skipped: 0, failed: 0 }
+  results.forEach((result) => counts[result.status]++)
+  return { results, counts, partial: counts.updated > 0 && counts.failed > 0 }
+}
+
+module.exports = {
+  BULK_ACTIONS,
+  MAX_BULK_EMPLOYEES,
+  offboardEmployee,
+  runBulkEmployeeAction,
+}
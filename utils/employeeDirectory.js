@@ -0,0 +1,127 @@
+const mongoose = require("mongoose")
+const User = require("../models/User")
+const Department = require("../models/Department")
+const { getDepartmentWithDescendants } = require("./departmentTree")
+
+const DIRECTORY_PAGE_SIZE = 50
+const MAX_DIRECTORY_PAGE_SIZE = 200
+
+// Sortable columns: query value -> field after the department lookup
+const DIRECTORY_SORTS = {
+  name: "name",
+  employeeId: "employeeId",
+  email: "email",
+  role: "role",
+  department: "department.name",
+  joined: "joiningDate",
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+}
+
+// Turn the directory query string into a match stage, echoing back the valid values as filters
+async function buildDirectoryQuery(params) {
+  const filters = {
+    q: "",
+    role: "",
+    hodLevel: "",
+    department: "",
+    subDepartments: "",
+    status: "active",
+    sort: "name",
+    order: "asc",
+  }
+  const match = { role: { $in: ["employee", "hod"] } }
+
+  if (typeof params.q === "string" && params.q.trim() !== "") {
+    filters.q = params.q.trim().slice(0, 100)
+    const pattern = new RegExp(escapeRegex(filters.q), "i")
+    match.$or = [{ name: pattern }, { employeeId: pattern }, { email: pattern }]
+  }
+  if (["employee", "hod"].includes(params.role)) {
+    filters.role = params.role
+    match.role = params.role
+  }
+  if (["higher", "lower"].includes(params.hodLevel)) {
+    filters.hodLevel = params.hodLevel
+    match.hodLevel = params.hodLevel
+  }
+  if (typeof params.department === "string" && mongoose.Types.ObjectId.isValid(params.department)) {
+    filters.department = params.department
+    filters.subDepartments = params.subDepartments === "1" ? "1" : ""
+    const ids = filters.subDepartments ? await getDepartmentWithDescendants(params.department) : [params.department]
+    match.department = { $in: ids.map((id) => new mongoose.Types.ObjectId(id)) }
+  }
+  if (["active", "inactive", "all"].includes(params.status)) {
+    filters.status = params.status
+  }
+  if (filters.status !== "all") {
+    match.isActive = filters.status === "active"
+  }
+  if (DIRECTORY_SORTS[params.sort]) {
+    filters.sort = params.sort
+  }
+  if (params.order === "desc") {
+    filters.order = "desc"
+  }
+
+  return { match, filters }
+}
+
+// One page of the filtered, sorted directory with the department name of each person
+async function searchEmployeeDirectory(params) {
+  const { match, filters } = await buildDirectoryQuery(params)
+  const limit = Math.min(MAX_DIRECTORY_PAGE_SIZE, Math.max(1, Number.parseInt(params.limit) || DIRECTORY_PAGE_SIZE))
+  const page = Math.max(1, Number.parseInt(params.page) || 1)
+  const direction = filters.order === "desc" ? -1 : 1
+
+  const [employees, total] = await Promise.all([
+    User.aggregate([
+      { $match: match },
+      {
+        $lookup: {
+          from: Department.collection.name,
+          localField: "department",
+          foreignField: "_id",
+          as: "department",
+        },
+      },
+      { $unwind: { path: "$department", preserveNullAndEmptyArrays: true } },
+      { $sort: { [DIRECTORY_SORTS[filters.sort]]: direction, _id: 1 } },
+      { $skip: (page - 1) * limit },
+      { $limit: limit },
+      {
+        $project: {
+          name: 1,
+          employeeId: 1,
+          email: 1,
+          role: 1,
+          hodLevel: 1,
+          joiningDate: 1,
+          isActive: 1,
+          exitDate: 1,
+          customFields: 1,
+          "department._id": 1,
+          "department.name": 1,
+        },
+      },
+    ]).collation({ locale: "en", strength: 2 }),
+    User.countDocuments(match),
+  ])
+
+  return {
+    employees,
+    total,
+    page,
+    limit,
+    pageCount: Math.max(1, Math.ceil(total / limit)),
+    filters,
+  }
+}
+
+module.exports = {
+  DIRECTORY_PAGE_SIZE,
+  DIRECTORY_SORTS,
+  searchEmployeeDirectory,
+}
@@ -0,0 +1,350 @@
+const path = require("path")
+const mongoose = require("mongoose")
+const ExcelJS = require("exceljs")
+const User = require("../models/User")
+const Department = require("../models/Department")
+const { generateTemporaryPassword } = require("./passwords")
+const { getPasswordPolicy, setUserPassword } = require("./passwordPolicy")
+const { parseCustomFieldValues } = require("./customFields")
+const { checkEmployeeRules } = require("./employeeValidation")
+
+// Uploads larger than this are rejected before parsing
+const MAX_IMPORT_FILE_BYTES = 5 * 1024 * 1024
+
+// Every imported account gets a bcrypt hash, so very large files are split by the admin instead
+const MAX_IMPORT_ROWS = 1000
+
+// Spreadsheet columns in template order; headers are matched case-insensitively, ignoring spaces and underscores.
+// Custom profile fields are optional extra columns headed by their label or key.
+const IMPORT_COLUMNS = ["name", "email", "employeeId", "role", "department", "hodLevel", "joiningDate"]
+const REQUIRED_COLUMNS = ["name", "email", "employeeId", "role", "department"]
+
+// Split CSV text into rows of fields (RFC 4180 quoting, CRLF or LF line endings)
+function parseCsv(text) {
+  const rows = []
+  let row = []
+  let field = ""
+  let inQuotes = false
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      inQuotes = true
+    } else if (char === ",") {
+      row.push(field)
+      field = ""
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") {
+        i++
+      }
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ""
+    } else {
+      field += char
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field)
+    rows.push(row)
+  }
+  return rows
+}
+
+// Plain value of an XLSX cell: dates stay Date objects, everything else becomes the displayed text
+function readXlsxCell(cell) {
+  if (cell.value instanceof Date) {
+    return cell.value
+  }
+  return cell.text || ""
+}
+
+async function readXlsxRows(buffer) {
+  const workbook = new ExcelJS.Workbook()
+  await workbook.xlsx.load(buffer)
+  const worksheet = workbook.worksheets[0]
+  if (!worksheet) {
+    return []
+  }
+
+  const rows = []
+  worksheet.eachRow({ includeEmpty: true }, (row) => {
+    const values = []
+    for (let column = 1; column <= worksheet.columnCount; column++) {
+      values.push(readXlsxCell(row.getCell(column)))
+    }
+    rows.push(values)
+  })
+  return rows
+}
+
+function normalizeHeader(header) {
+  return String(header).replace(/[\s_]/g, "").toLowerCase()
+}
+
+function cellText(cell) {
+  return cell instanceof Date ? cell.toISOString().slice(0, 10) : String(cell ?? "").trim()
+}
+
+// Read an uploaded CSV or XLSX file into { rows: [{ rowNumber, values }] } or { error }.
+// Custom field columns end up in values.custom keyed by field key.
+async function parseImportFile(file, customFields = []) {
+  const extension = path.extname(file.originalname || "").toLowerCase()
+  let table
+  try {
+    if (extension === ".csv") {
+      table = parseCsv(file.buffer.toString("utf8").replace(/^\uFEFF/, ""))
+    } else if (extension === ".xlsx") {
+      table = await readXlsxRows(file.buffer)
+    } else {
+      return { error: "Upload a .csv or .xlsx file" }
+    }
+  } catch (error) {
+    console.error("Employee import parse error:", error)
+    return { error: "The file could not be read. Check that it is a valid CSV or XLSX file." }
+  }
+
+  return readImportTable(table, customFields)
+}
+
+// Turn a table (header row first) into { rows: [{ rowNumber, values }] } or { error }. Also used by the HRIS
+// roster sync (utils/hrisSync.js), which allows more rows than an upload.
+function readImportTable(table, customFields = [], { maxRows = MAX_IMPORT_ROWS } = {}) {
+  if (table.length === 0) {
+    return { error: "The file is empty" }
+  }
+
+  // Map each header cell to a known column
+  const headers = table[0].map(normalizeHeader)
+  const columnIndexes = {}
+  IMPORT_COLUMNS.forEach((column) => {
+    const index = headers.indexOf(column.toLowerCase())
+    if (index !== -1) {
+      columnIndexes[column] = index
+    }
+  })
+
+  const customIndexes = {}
+  customFields.forEach((field) => {
+    const index = headers.findIndex(
+      (header) => header === normalizeHeader(field.label) || header === normalizeHeader(field.key),
+    )
+    if (index !== -1) {
+      customIndexes[field.key] = index
+    }
+  })
+
+  const missing = REQUIRED_COLUMNS.filter((column) => columnIndexes[column] === undefined)
+  if (missing.length > 0) {
+    return { error: `Missing column${missing.length === 1 ? "" : "s"}: ${missing.join(", ")}` }
+  }
+
+  const rows = []
+  table.slice(1).forEach((cells, index) => {
+    if (cells.every((cell) => String(cell).trim() === "")) {
+      return
+    }
+
+    const values = {}
+    IMPORT_COLUMNS.forEach((column) => {
+      values[column] = columnIndexes[column] === undefined ? "" : cellText(cells[columnIndexes[column]])
+    })
+    values.custom = {}
+    Object.entries(customIndexes).forEach(([key, columnIndex]) => {
+      values.custom[key] = cellText(cells[columnIndex])
+    })
+    // Header is row 1 in the spreadsheet
+    rows.push({ rowNumber: index + 2, values })
+  })
+
+  if (rows.length === 0) {
+    return { error: "The file has no employee rows" }
+  }
+  if (rows.length > maxRows) {
+    return { error: `The file has ${rows.length} rows; import at most ${maxRows} at a time` }
+  }
+  return { rows }
+}
+
+// Lowercased lookup keys for a department: its name and its full "Parent / Child" path
+async function buildDepartmentLookup() {
+  const departments = await Department.find({ isActive: true }).select("name parentDepartment")
+  const byId = new Map(departments.map((dept) => [String(dept._id), dept]))
+
+  const lookup = new Map()
+  departments.forEach((dept) => {
+    const names = []
+    const seen = new Set()
+    let current = dept
+    while (current && !seen.has(String(current._id))) {
+      seen.add(String(current._id))
+      names.unshift(current.name)
+      current = current.parentDepartment ? byId.get(String(current.parentDepartment)) : null
+    }
+
+    lookup.set(dept.name.toLowerCase(), dept)
+    lookup.set(names.join("/").toLowerCase(), dept)
+  })
+  return lookup
+}
+
+function normalizeDepartmentPath(value) {
+  return value
+    .split(/[/>›]/)
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .join("/")
+    .toLowerCase()
+}
+
+// Accepts YYYY-MM-DD (as written by spreadsheet date cells) or anything Date can parse
+function parseJoiningDate(value) {
+  if (!value) {
+    return null
+  }
+  const date = new Date(value)
+  return Number.isNaN(date.getTime()) ? undefined : date
+}
+
+// Validate every parsed row with the Add Employee rules plus duplicate, department and custom field checks.
+// Adds errors (and the resolved department and custom values) to each row and returns the row counts.
+async function validateImportRows(rows, customFields = []) {
+  const departmentLookup = await buildDepartmentLookup()
+
+  const employeeIds = rows.map((row) => row.values.employeeId).filter(Boolean)
+  const existing = await User.find({ employeeId: { $in: employeeIds } }).select("employeeId")
+  const existingIds = new Set(existing.map((user) => user.employeeId))
+  const seenIds = new Map()
+
+  for (const row of rows) {
+    row.values.role = row.values.role.toLowerCase()
+    const checked = await checkEmployeeRules(row.values)
+    row.errors = checked.errors
+    // Keep the sanitized values (trimmed, normalized email) for the commit
+    if (row.errors.length === 0) {
+      row.values = { ...row.values, ...checked.values }
+    }
+
+    const { employeeId, role, department, hodLevel, joiningDate } = row.values
+
+    if (employeeId) {
+      if (existingIds.has(employeeId)) {
+        row.errors.push("Employee ID already exists")
+      } else if (seenIds.has(employeeId)) {
+        row.errors.push(`Employee ID repeats row ${seenIds.get(employeeId)}`)
+      } else {
+        seenIds.set(employeeId, row.rowNumber)
+      }
+    }
+
+    if (department) {
+      const match = departmentLookup.get(normalizeDepartmentPath(department))
+      if (match) {
+        row.departmentId = String(match._id)
+      } else {
+        row.errors.push(`Unknown department "${department}"`)
+      }
+    }
+
+    if (role === "hod" && !["higher", "lower"].includes(hodLevel.toLowerCase())) {
+      row.errors.push("HOD level must be higher or lower")
+    }
+
+    if (parseJoiningDate(joiningDate) === undefined) {
+      row.errors.push("Joining date is not a valid date")
+    }
+
+    const custom = parseCustomFieldValues(customFields, row.values.custom)
+    row.customFields = custom.values
+    row.errors.push(...custom.errors)
+  }
+
+  const errorCount = rows.filter((row) => row.errors.length > 0).length
+  return { total: rows.length, validCount: rows.length - errorCount, errorCount }
+}
+
+function buildImportedUser(row) {
+  const { name, email, employeeId, role, hodLevel, joiningDate } = row.values
+  const userData = {
+    name,
+    email,
+    employeeId,
+    role,
+    department: row.departmentId,
+    customFields: row.customFields || {},
+    mustChangePassword: true,
+    isActive: true,
+  }
+  if (role === "hod") {
+    userData.hodLevel = hodLevel.toLowerCase()
+  }
+  const date = parseJoiningDate(joiningDate)
+  if (date) {
+    userData.joiningDate = date
+  }
+  return userData
+}
+
+// Create accounts for validated rows, each with a temporary password the user must change at first login.
+// Returns [{ name, employeeId, temporaryPassword }] for the admin to hand out.
+async function commitImportRows(rows) {
+  const policy = await getPasswordPolicy()
+  const created = []
+  const users = []
+  for (const row of rows) {
+    const temporaryPassword = generateTemporaryPassword(Math.max(12, policy.minLength))
+    const userData = buildImportedUser(row)
+    await setUserPassword(userData, temporaryPassword, policy)
+    // Known ids let a failed import remove exactly the accounts it created
+    userData._id = new mongoose.Types.ObjectId()
+    users.push(userData)
+    created.push({ name: userData.name, employeeId: userData.employeeId, temporaryPassword })
+  }
+
+  // All rows are created or none are. Transactions need a replica set, so on a standalone server the rows are
+  // inserted in order and the ones that went in are deleted again when any of them fails.
+  try {
+    await User.insertMany(users, { ordered: true })
+  } catch (error) {
+    await User.deleteMany({ _id: { $in: users.map((user) => user._id) } })
+    throw error
+  }
+  return created
+}
+
+// Sample file offered on the import page, with an empty column per custom field
+function buildImportTemplate(customFields = []) {
+  const customHeaders = customFields.map((field) => `,"${field.label.replace(/"/g, '""')}"`).join("")
+  const customBlanks = ",".repeat(customFields.length)
+  return [
+    IMPORT_COLUMNS.join(",") + customHeaders,
+    "Jane Doe,jane.doe@company.com,E2001,employee,Production,,2024-04-01" + customBlanks,
+    "John Smith,john.smith@company.com,H2001,hod,Production / Assembly,lower,2023-01-15" + customBlanks,
+  ].join("\r\n")
+}
+
+module.exports = {
+  MAX_IMPORT_FILE_BYTES,
+  MAX_IMPORT_ROWS,
+  IMPORT_COLUMNS,
+  parseCsv,
+  parseImportFile,
+  readImportTable,
+  buildDepartmentLookup,
+  normalizeDepartmentPath,
+  parseJoiningDate,
+  validateImportRows,
+  commitImportRows,
+  buildImportTemplate,
+}
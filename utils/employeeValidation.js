@@ -0,0 +1,29 @@
+const { body, validationResult } = require("express-validator")
+
+// Field rules shared by the Add and Edit Employee forms, bulk actions, the import and roster sync (no passwords)
+const employeeRules = [
+  body("name").trim().notEmpty().withMessage("Name is required"),
+  body("email").isEmail().normalizeEmail().withMessage("Valid email is required"),
+  body("employeeId").trim().notEmpty().withMessage("Employee ID is required"),
+  body("role").isIn(["employee", "hod"]).withMessage("Valid role is required"),
+  body("department").notEmpty().withMessage("Department is required"),
+]
+
+// Run employeeRules against a plain record outside a request. Returns { errors, values } with the sanitized values.
+async function checkEmployeeRules(record) {
+  const req = { body: { ...record } }
+  for (const rule of employeeRules) {
+    await rule.run(req)
+  }
+  return {
+    errors: validationResult(req)
+      .array()
+      .map((error) => error.msg),
+    values: req.body,
+  }
+}
+
+module.exports = {
+  employeeRules,
+  checkEmployeeRules,
+}
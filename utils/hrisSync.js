@@ -0,0 +1,687 @@
+const fs = require("fs")
+const path = require("path")
+const crypto = require("crypto")
+const User = require("../models/User")
+const Department = require("../models/Department")
+const Setting = require("../models/Setting")
+const HrisSyncRun = require("../models/HrisSyncRun")
+const {
+  parseCsv,
+  readImportTable,
+  buildDepartmentLookup,
+  normalizeDepartmentPath,
+  parseJoiningDate,
+} = require("./employeeImport")
+const { checkEmployeeRules } = require("./employeeValidation")
+const {
+  getCustomFields,
+  getCustomFieldValue,
+  formatCustomFieldValue,
+  parseCustomFieldValues,
+} = require("./customFields")
+const { generateTemporaryPassword } = require("./passwords")
+const { getPasswordPolicy, setUserPassword } = require("./passwordPolicy")
+const { destroyUserSessions } = require("./sessions")
+const { recordAuthEvent } = require("./authEvents")
+const { recordDepartmentChange } = require("./transfers")
+const { offboardEmployee } = require("./employeeActions")
+const { csvField } = require("./csv")
+const { DEPARTMENT_PATH_SEPARATOR, getDepartmentPaths } = require("./departmentTree")
+
+const ROSTER_EXTENSIONS = [".csv", ".json"]
+
+// The roster holds the whole organisation, so it may be much larger than an admin upload
+const MAX_ROSTER_ROWS = 20000
+
+// A roster missing more than this share of the active people is treated as a broken export and not applied
+const MAX_MISSING_SHARE = 0.5
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// The drop folder comes from the environment; the mode, grace period and department creation are set on
+// /admin/hris-sync
+function getHrisSyncConfig() {
+  return {
+    dir: process.env.HRIS_SYNC_DIR,
+    reportDir: process.env.HRIS_SYNC_REPORT_DIR,
+    checkMinutes: Number.parseInt(process.env.HRIS_SYNC_CHECK_MINUTES || "60"),
+  }
+}
+
+function isHrisSyncConfigured() {
+  return !!getHrisSyncConfig().dir
+}
+
+// Newest .csv or .json file in the drop folder: { name, path, modifiedAt, size } or null
+async function findLatestRosterFile() {
+  const { dir } = getHrisSyncConfig()
+  const entries = await fs.promises.readdir(dir, { withFileTypes: true })
+  let latest = null
+  for (const entry of entries) {
+    if (!entry.isFile() || !ROSTER_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+      continue
+    }
+    const filePath = path.join(dir, entry.name)
+    const stats = await fs.promises.stat(filePath)
+    if (!latest || stats.mtime > latest.modifiedAt) {
+      latest = { name: entry.name, path: filePath, modifiedAt: stats.mtime, size: stats.size }
+    }
+  }
+  return latest
+}
+
+// JSON rosters are an array of employee objects (or { employees: [...] }) keyed like the CSV headers
+function jsonToTable(data) {
+  const records = Array.isArray(data) ? data : data && data.employees
+  if (!Array.isArray(records)) {
+    throw new Error("expected an array of employees")
+  }
+  const headers = [...new Set(records.flatMap((record) => Object.keys(record || {})))]
+  return [headers, ...records.map((record) => headers.map((header) => (record || {})[header] ?? ""))]
+}
+
+// Read a roster file with the import columns. Returns { hash, rows } or { hash, error }.
+async function readRosterFile(file, customFields) {
+  const buffer = await fs.promises.readFile(file.path)
+  const hash = crypto.createHash("sha256").update(buffer).digest("hex")
+  const text = buffer.toString("utf8").replace(/^\uFEFF/, "")
+
+  let table
+  try {
+    table = path.extname(file.name).toLowerCase() === ".json" ? jsonToTable(JSON.parse(text)) : parseCsv(text)
+  } catch (error) {
+    return { hash, error: `The roster could not be read: ${error.message}` }
+  }
+  return { hash, ...readImportTable(table, customFields, { maxRows: MAX_ROSTER_ROWS }) }
+}
+
+function dateOnly(value) {
+  return value ? new Date(value).toISOString().slice(0, 10) : ""
+}
+
+// Compare one active user with their roster row.
+// Returns { user, set, unset, changes, department, roleChanged, role: { role, hodLevel } }.
+function diffRosterUser(user, row, departmentPaths) {
+  const set = {}
+  const unset = {}
+  const changes = []
+  const change = (field, from, to) => changes.push({ field, from: from || "", to: to || "" })
+
+  if (user.name !== row.values.name) {
+    set.name = row.values.name
+    change("Name", user.name, row.values.name)
+  }
+  if (user.email !== row.values.email) {
+    set.email = row.values.email
+    change("Email", user.email, row.values.email)
+  }
+
+  const roleChanged = user.role !== row.values.role || (user.hodLevel || null) !== row.hodLevel
+  if (user.role !== row.values.role) {
+    set.role = row.values.role
+    change("Role", user.role, row.values.role)
+  }
+  if ((user.hodLevel || null) !== row.hodLevel) {
+    if (row.hodLevel) {
+      set.hodLevel = row.hodLevel
+    } else {
+      unset.hodLevel = ""
+    }
+    change("HOD level", user.hodLevel, row.hodLevel)
+  }
+
+  let department = null
+  if (row.department.departmentKey || String(user.department) !== row.department.departmentId) {
+    department = row.department
+    change("Department", departmentPaths.get(String(user.department)), row.values.department)
+  }
+
+  if (row.joiningDate && dateOnly(user.joiningDate) !== dateOnly(row.joiningDate)) {
+    set.joiningDate = row.joiningDate
+    change("Joining date", dateOnly(user.joiningDate), dateOnly(row.joiningDate))
+  }
+
+  row.customFieldDefinitions.forEach((field) => {
+    const from = formatCustomFieldValue(field, getCustomFieldValue(user, field.key))
+    const to = formatCustomFieldValue(field, row.customFields[field.key])
+    if (from === to) {
+      return
+    }
+    if (to) {
+      set[`customFields.${field.key}`] = row.customFields[field.key]
+    } else {
+      unset[`customFields.${field.key}`] = ""
+    }
+    change(field.label, from, to)
+  })
+
+  return {
+    user,
+    set,
+    unset,
+    changes,
+    department,
+    roleChanged,
+    role: { role: row.values.role, hodLevel: row.hodLevel },
+  }
+}
+
+// Work out what the roster changes without writing anything. Returns { report, ...actions } or { error }.
+// The report lists created, updated, deactivated, missing (inside the grace period), skipped and error entries.
+async function planRosterSync(rows, customFields, options) {
+  const report = {
+    created: [],
+    updated: [],
+    unchanged: 0,
+    deactivated: [],
+    missing: [],
+    skipped: [],
+    errors: [],
+    departmentsCreated: [],
+  }
+  const plan = { report, creates: [], updates: [], deactivations: [], newlyMissing: [], returned: [] }
+
+  // Departments: existing ones by name or path, new ones (when allowed) by normalized path in parent-first order
+  const lookup = await buildDepartmentLookup()
+  const allDepartments = await Department.find().select("name").lean()
+  const departmentPaths = await getDepartmentPaths()
+  const usedNames = new Set(allDepartments.map((department) => department.name.toLowerCase()))
+  plan.lookup = lookup
+  plan.newDepartments = new Map()
+
+  const resolveDepartment = (value) => {
+    const key = normalizeDepartmentPath(value)
+    const match = lookup.get(key)
+    if (match) {
+      return { departmentId: String(match._id) }
+    }
+    if (!options.createDepartments) {
+      return { error: `Unknown department "${value}"` }
+    }
+
+    const segments = value
+      .split(/[/>›]/)
+      .map((part) => part.trim())
+      .filter(Boolean)
+    const missing = []
+    for (let i = 0; i < segments.length; i++) {
+      const prefix = segments
+        .slice(0, i + 1)
+        .join("/")
+        .toLowerCase()
+      if (lookup.has(prefix) || plan.newDepartments.has(prefix)) {
+        continue
+      }
+      // Department names are unique across the whole hierarchy
+      if (usedNames.has(segments[i].toLowerCase())) {
+        return { error: `Department "${segments[i]}" already exists elsewhere in the hierarchy` }
+      }
+      missing.push({
+        key: prefix,
+        name: segments[i],
+        parentKey: i > 0 ? segments.slice(0, i).join("/").toLowerCase() : null,
+        path: segments.slice(0, i + 1).join(DEPARTMENT_PATH_SEPARATOR),
+      })
+    }
+    missing.forEach((department) => {
+      plan.newDepartments.set(department.key, department)
+      usedNames.add(department.name.toLowerCase())
+      report.departmentsCreated.push(department.path)
+    })
+    return { departmentKey: key }
+  }
+
+  const users = await User.find({ role: { $in: ["employee", "hod"] } })
+  const byEmployeeId = new Map(users.map((user) => [user.employeeId, user]))
+  const adminIds = new Set((await User.find({ role: "admin" }).select("employeeId").lean()).map((user) => user.employeeId))
+
+  // Custom fields are only synced when the roster has a column for them
+  const presentKeys = new Set(rows.length > 0 ? Object.keys(rows[0].values.custom) : [])
+  const customFieldDefinitions = customFields.filter((field) => presentKeys.has(field.key))
+
+  const listedIds = new Set()
+  const seenIds = new Map()
+  for (const row of rows) {
+    const record = { ...row.values, role: row.values.role.toLowerCase(), hodLevel: row.values.hodLevel.toLowerCase() }
+    const checked = await checkEmployeeRules(record)
+    const errors = checked.errors
+    const values = { ...record, ...checked.values }
+    const { employeeId } = values
+
+    if (employeeId) {
+      // Listed people are never treated as missing, even when their row has errors
+      listedIds.add(employeeId)
+      if (seenIds.has(employeeId)) {
+        errors.push(`Employee ID repeats row ${seenIds.get(employeeId)}`)
+      } else {
+        seenIds.set(employeeId, row.rowNumber)
+      }
+      if (adminIds.has(employeeId)) {
+        errors.push("Employee ID belongs to an admin account")
+      }
+    }
+    if (values.role === "hod" && !["higher", "lower"].includes(values.hodLevel)) {
+      errors.push("HOD level must be higher or lower")
+    }
+    const joiningDate = parseJoiningDate(values.joiningDate)
+    if (joiningDate === undefined) {
+      errors.push("Joining date is not a valid date")
+    }
+    const custom = parseCustomFieldValues(customFieldDefinitions, values.custom)
+    errors.push(...custom.errors)
+
+    let department = null
+    if (values.department && errors.length === 0) {
+      department = resolveDepartment(values.department)
+      if (department.error) {
+        errors.push(department.error)
+      }
+    }
+
+    if (errors.length > 0) {
+      report.errors.push({ row: row.rowNumber, employeeId: employeeId || "", message: errors.join("; ") })
+      continue
+    }
+
+    const entry = {
+      rowNumber: row.rowNumber,
+      values,
+      hodLevel: values.role === "hod" ? values.hodLevel : null,
+      joiningDate,
+      department,
+      customFields: custom.values,
+      customFieldDefinitions,
+    }
+
+    const user = byEmployeeId.get(employeeId)
+    if (!user) {
+      entry.reportEntry = { employeeId, name: values.name, department: values.department }
+      report.created.push(entry.reportEntry)
+      plan.creates.push(entry)
+      continue
+    }
+    if (!user.isActive) {
+      report.skipped.push({
+        employeeId,
+        name: user.name,
+        message: "Inactive in PMS - reactivate the account to sync it again",
+      })
+      continue
+    }
+
+    if (user.rosterMissingSince) {
+      plan.returned.push(user._id)
+    }
+    const update = diffRosterUser(user, entry, departmentPaths)
+    if (update.changes.length === 0) {
+      report.unchanged++
+      continue
+    }
+    update.rowNumber = row.rowNumber
+    update.reportEntry = { employeeId, name: user.name, changes: update.changes }
+    report.updated.push(update.reportEntry)
+    plan.updates.push(update)
+  }
+
+  // Active people the roster no longer lists: start their grace period, or deactivate them once it has passed
+  const now = new Date()
+  const activeUsers = users.filter((user) => user.isActive)
+  const missingUsers = activeUsers.filter((user) => !listedIds.has(user.employeeId))
+  if (activeUsers.length > 0 && missingUsers.length / activeUsers.length > MAX_MISSING_SHARE) {
+    return {
+      error: `${missingUsers.length} of ${activeUsers.length} active people are missing from the roster. It looks incomplete, so nothing was changed.`,
+    }
+  }
+
+  missingUsers.forEach((user) => {
+    const missingSince = user.rosterMissingSince || now
+    const deactivateOn = new Date(missingSince.getTime() + options.graceDays * DAY_MS)
+    if (deactivateOn <= now) {
+      const reportEntry = { employeeId: user.employeeId, name: user.name, missingSince }
+      report.deactivated.push(reportEntry)
+      plan.deactivations.push({ user, reportEntry })
+    } else {
+      report.missing.push({ employeeId: user.employeeId, name: user.name, missingSince, deactivateOn })
+      if (!user.rosterMissingSince) {
+        plan.newlyMissing.push(user._id)
+      }
+    }
+  })
+
+  return plan
+}
+
+// Helper function to move a planned entry that could not be written from its list to the errors
+function failEntry(report, listName, entry, message) {
+  report[listName].splice(report[listName].indexOf(entry.reportEntry), 1)
+  report.errors.push({ row: entry.rowNumber || null, employeeId: entry.reportEntry.employeeId, message })
+}
+
+// Write a plan to the database. Rows that fail are moved to report.errors; the rest of the run carries on.
+async function applyRosterSync(plan, actorId) {
+  const { report } = plan
+  const now = new Date()
+
+  // A department that cannot be created is reported; its sub-departments and the rows placed in them fail with it
+  const createdDepartments = new Map()
+  for (const department of plan.newDepartments.values()) {
+    let parentId = null
+    if (department.parentKey) {
+      const parent = plan.lookup.get(department.parentKey)
+      parentId = parent ? parent._id : createdDepartments.get(department.parentKey)
+    }
+    try {
+      if (parentId === undefined) {
+        throw new Error("its parent department could not be created")
+      }
+      const created = await Department.create({
+        name: department.name,
+        parentDepartment: parentId,
+        description: "Created by the HRIS roster sync",
+      })
+      createdDepartments.set(department.key, created._id)
+    } catch (error) {
+      console.error(`HRIS sync could not create department ${department.path}:`, error)
+      report.departmentsCreated.splice(report.departmentsCreated.indexOf(department.path), 1)
+      report.errors.push({
+        row: null,
+        employeeId: "",
+        message: `Department "${department.path}" could not be created: ${error.message}`,
+      })
+    }
+  }
+  const departmentIdOf = (department) => department.departmentId || createdDepartments.get(department.departmentKey)
+
+  // New hires get a random password; they sign in with single sign-on or the Forgot password link
+  const policy = await getPasswordPolicy()
+  for (const entry of plan.creates) {
+    const { name, email, employeeId, role } = entry.values
+    const departmentId = departmentIdOf(entry.department)
+    if (!departmentId) {
+      failEntry(report, "created", entry, "Could not be created: the department could not be created")
+      continue
+    }
+    try {
+      const userData = {
+        name,
+        email,
+        employeeId,
+        role,
+        department: departmentId,
+        customFields: entry.customFields,
+        mustChangePassword: true,
+        isActive: true,
+      }
+      if (entry.hodLevel) {
+        userData.hodLevel = entry.hodLevel
+      }
+      if (entry.joiningDate) {
+        userData.joiningDate = entry.joiningDate
+      }
+      await setUserPassword(userData, generateTemporaryPassword(Math.max(12, policy.minLength)), policy)
+      await User.create(userData)
+    } catch (error) {
+      console.error(`HRIS sync could not create ${employeeId}:`, error)
+      failEntry(report, "created", entry, `Could not be created: ${error.message}`)
+    }
+  }
+
+  for (const update of plan.updates) {
+    const { user } = update
+    if (update.department && !departmentIdOf(update.department)) {
+      failEntry(report, "updated", update, "Could not be updated: the department could not be created")
+      continue
+    }
+    try {
+      const set = { ...update.set }
+      if (update.department) {
+        set.department = departmentIdOf(update.department)
+      }
+      const operation = {}
+      if (Object.keys(set).length > 0) {
+        operation.$set = set
+      }
+      if (Object.keys(update.unset).length > 0) {
+        operation.$unset = update.unset
+      }
+      await User.updateOne({ _id: user._id }, operation)
+
+      if (update.department) {
+        await recordDepartmentChange(user._id, user.department, set.department, actorId, "HRIS roster sync")
+      }
+      // A different role signs the person out everywhere, as on the edit form
+      if (update.roleChanged) {
+        await destroyUserSessions(user._id)
+        await recordAuthEvent(null, "role.change", {
+          user,
+          actor: actorId,
+          reason: "hris_sync",
+          details: { from: { role: user.role, hodLevel: user.hodLevel || null }, to: update.role },
+        })
+      }
+    } catch (error) {
+      console.error(`HRIS sync could not update ${user.employeeId}:`, error)
+      failEntry(report, "updated", update, `Could not be updated: ${error.message}`)
+    }
+  }
+
+  for (const deactivation of plan.deactivations) {
+    const { user } = deactivation
+    try {
+      await offboardEmployee(user, {
+        exitDate: now,
+        exitReason: `Missing from the HRIS roster since ${dateOnly(user.rosterMissingSince || now)}`,
+        offboardedBy: actorId,
+      })
+    } catch (error) {
+      console.error(`HRIS sync could not deactivate ${user.employeeId}:`, error)
+      failEntry(report, "deactivated", deactivation, `Could not be deactivated: ${error.message}`)
+    }
+  }
+  if (plan.newlyMissing.length > 0) {
+    await User.updateMany({ _id: { $in: plan.newlyMissing } }, { rosterMissingSince: now })
+  }
+  if (plan.returned.length > 0) {
+    await User.updateMany({ _id: { $in: plan.returned } }, { rosterMissingSince: null })
+  }
+}
+
+function summarizeReport(report, rowCount) {
+  return {
+    rows: rowCount,
+    created: report.created.length,
+    updated: report.updated.length,
+    unchanged: report.unchanged,
+    deactivated: report.deactivated.length,
+    missing: report.missing.length,
+    skipped: report.skipped.length,
+    errors: report.errors.length,
+    departmentsCreated: report.departmentsCreated.length,
+  }
+}
+
+// The diff report of a run as CSV, one line per created, changed, missing or rejected record
+function buildRosterReportCsv(run) {
+  const report = run.report || {}
+  const lines = [["Change", "Employee ID", "Name", "Field", "From", "To", "Note"]]
+  ;(report.departmentsCreated || []).forEach((departmentPath) => {
+    lines.push(["department created", "", departmentPath, "", "", "", ""])
+  })
+  ;(report.created || []).forEach((entry) => {
+    lines.push(["created", entry.employeeId, entry.name, "Department", "", entry.department, ""])
+  })
+  ;(report.updated || []).forEach((entry) => {
+    entry.changes.forEach((change) => {
+      lines.push(["updated", entry.employeeId, entry.name, change.field, change.from, change.to, ""])
+    })
+  })
+  ;(report.deactivated || []).forEach((entry) => {
+    lines.push(["deactivated", entry.employeeId, entry.name, "", "", "", `Missing since ${dateOnly(entry.missingSince)}`])
+  })
+  ;(report.missing || []).forEach((entry) => {
+    lines.push([
+      "missing",
+      entry.employeeId,
+      entry.name,
+      "",
+      "",
+      "",
+      `Missing since ${dateOnly(entry.missingSince)}; deactivated from ${dateOnly(entry.deactivateOn)} unless listed again`,
+    ])
+  })
+  ;(report.skipped || []).forEach((entry) => {
+    lines.push(["skipped", entry.employeeId, entry.name, "", "", "", entry.message])
+  })
+  ;(report.errors || []).forEach((entry) => {
+    const note = entry.row ? `Row ${entry.row}: ${entry.message}` : entry.message
+    lines.push(["error", entry.employeeId, "", "", "", "", note])
+  })
+  return lines.map((line) => line.map(csvField).join(",")).join("\r\n") + "\r\n"
+}
+
+// Save the diff report next to earlier ones when HRIS_SYNC_REPORT_DIR is set. Failures are only logged.
+async function writeRosterReport(run) {
+  const { reportDir } = getHrisSyncConfig()
+  if (!reportDir) {
+    return
+  }
+  try {
+    const stamp = run.createdAt.toISOString().replace(/[:.]/g, "-")
+    await fs.promises.mkdir(reportDir, { recursive: true })
+    await fs.promises.writeFile(path.join(reportDir, `roster-sync-${stamp}-${run.status}.csv`), buildRosterReportCsv(run))
+  } catch (error) {
+    console.error("HRIS sync report write error:", error)
+  }
+}
+
+let syncRunning = false
+
+// Reconcile the newest roster file. With apply false only a preview run is recorded. Passing previewRun applies
+// that preview, provided the file has not changed since. Returns { run } or { error }.
+async function runRosterSync({ trigger, apply, actorId = null, previewRun = null }) {
+  if (!isHrisSyncConfigured()) {
+    return { error: "No roster folder is configured. Set HRIS_SYNC_DIR in the server environment." }
+  }
+  if (syncRunning) {
+    return { error: "A roster sync is already running" }
+  }
+
+  syncRunning = true
+  try {
+    const file = await findLatestRosterFile()
+    if (!file) {
+      return { error: "The roster folder has no .csv or .json file" }
+    }
+
+    const customFields = await getCustomFields()
+    const parsed = await readRosterFile(file, customFields)
+    if (previewRun && parsed.hash !== previewRun.fileHash) {
+      return { error: "The roster file has changed since this preview. Preview the new file first." }
+    }
+
+    const run =
+      previewRun ||
+      new HrisSyncRun({
+        fileName: file.name,
+        fileModifiedAt: file.modifiedAt,
+        fileHash: parsed.hash,
+        trigger,
+        startedBy: actorId,
+      })
+
+    const settings = await Setting.getSettings()
+    const plan = parsed.error ? parsed : await planRosterSync(parsed.rows, customFields, settings.hrisSync)
+    if (plan.error) {
+      run.status = "failed"
+      run.error = plan.error
+      await run.save()
+      console.log(`HRIS roster sync of ${file.name} failed: ${plan.error}`)
+      return { run }
+    }
+
+    if (apply) {
+      await applyRosterSync(plan, actorId)
+      run.status = "applied"
+      run.appliedBy = actorId
+      run.appliedAt = new Date()
+    } else {
+      run.status = "preview"
+    }
+    run.report = plan.report
+    run.summary = summarizeReport(plan.report, parsed.rows.length)
+    await run.save()
+    await writeRosterReport(run)
+
+    console.log(`HRIS roster sync of ${file.name} (${run.status}):`, run.summary)
+    return { run }
+  } finally {
+    syncRunning = false
+  }
+}
+
+// Whether someone's grace period has run out since the given time, so an unchanged roster has work to do again
+async function hasGracePeriodEndedSince(graceDays, since) {
+  const graceMs = graceDays * DAY_MS
+  return !!(await User.exists({
+    isActive: true,
+    rosterMissingSince: { $lte: new Date(Date.now() - graceMs), $gt: new Date(since.getTime() - graceMs) },
+  }))
+}
+
+// Scheduled check: handle the newest roster file according to the configured mode. A file is passed over once it
+// has been applied (or, in preview mode, previewed) and no grace period has ended since, so people missing from an
+// unchanged roster are still deactivated on time. A file whose latest run failed would fail the same way on every
+// tick, so it waits until a new file arrives or an admin runs it again from /admin/hris-sync.
+async function checkForNewRoster() {
+  const settings = await Setting.getSettings()
+  if (settings.hrisSync.mode === "off") {
+    return
+  }
+
+  const file = await findLatestRosterFile()
+  if (!file) {
+    return
+  }
+  const hash = crypto
+    .createHash("sha256")
+    .update(await fs.promises.readFile(file.path))
+    .digest("hex")
+  const latestRun = await HrisSyncRun.findOne({ fileHash: hash }).sort({ createdAt: -1 })
+  if (latestRun && latestRun.status === "failed") {
+    return
+  }
+
+  const handledStatuses = settings.hrisSync.mode === "apply" ? ["applied"] : ["preview", "applied"]
+  const lastRun = await HrisSyncRun.findOne({ fileHash: hash, status: { $in: handledStatuses } }).sort({
+    createdAt: -1,
+  })
+  const lastRunAt = lastRun && (lastRun.appliedAt || lastRun.createdAt)
+  if (lastRun && !(await hasGracePeriodEndedSince(settings.hrisSync.graceDays, lastRunAt))) {
+    return
+  }
+
+  const result = await runRosterSync({ trigger: "schedule", apply: settings.hrisSync.mode === "apply" })
+  if (result.error) {
+    console.error("Scheduled HRIS roster sync error:", result.error)
+  }
+}
+
+// Look for new roster files now and every HRIS_SYNC_CHECK_MINUTES for the life of the process
+function startHrisSync() {
+  if (!isHrisSyncConfigured()) {
+    return
+  }
+  const run = () => checkForNewRoster().catch((error) => console.error("HRIS roster sync error:", error))
+  run()
+  setInterval(run, Math.max(1, getHrisSyncConfig().checkMinutes) * 60 * 1000).unref()
+}
+
+module.exports = {
+  getHrisSyncConfig,
+  isHrisSyncConfigured,
+  findLatestRosterFile,
+  planRosterSync,
+  buildRosterReportCsv,
+  runRosterSync,
+  startHrisSync,
+}
@@ -0,0 +1,49 @@
+const ImpersonationLog = require("../models/ImpersonationLog")
+const { buildSessionUser } = require("./sessions")
+
+// Switch the current admin session to view as target (a User with department populated).
+// The admin's own session user is parked in req.session.impersonator until the view ends.
+async function startImpersonation(req, target, { allowWrites = false } = {}) {
+  const admin = req.session.user
+  const log = await ImpersonationLog.create({
+    admin: admin._id,
+    target: target._id,
+    allowWrites,
+    ip: req.ip,
+    userAgent: (req.get("User-Agent") || "").slice(0, 300),
+  })
+
+  req.session.impersonator = {
+    user: admin,
+    logId: log._id.toString(),
+    allowWrites,
+    startedAt: Date.now(),
+  }
+  // The admin must not be pushed into the target's forced password change
+  req.session.user = { ...buildSessionUser(target), mustChangePassword: false }
+
+  console.log("Impersonation started:", admin.employeeId, "viewing as", target.employeeId, allowWrites ? "(writes allowed)" : "")
+  return log
+}
+
+// Return to the admin session and close the audit record; returns the impersonated user's id, or null
+async function endImpersonation(req, reason = "stopped") {
+  const impersonator = req.session.impersonator
+  if (!impersonator) {
+    return null
+  }
+
+  const targetId = req.session.user ? req.session.user._id : null
+  await ImpersonationLog.findByIdAndUpdate(impersonator.logId, { endedAt: new Date(), endReason: reason })
+
+  req.session.user = impersonator.user
+  delete req.session.impersonator
+
+  console.log("Impersonation ended:", impersonator.user.employeeId, "reason:", reason)
+  return targetId
+}
+
+module.exports = {
+  startImpersonation,
+  endImpersonation,
+}
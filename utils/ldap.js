@@ -0,0 +1,181 @@
+const ldap = require("ldapjs")
+const Setting = require("../models/Setting")
+
+// Connection to the directory comes from the environment; attribute and group mapping is set on /admin/settings
+function getLdapConfig() {
+  return {
+    url: process.env.LDAP_URL,
+    bindDn: process.env.LDAP_BIND_DN,
+    bindPassword: process.env.LDAP_BIND_PASSWORD,
+    searchBase: process.env.LDAP_SEARCH_BASE,
+    timeout: Number.parseInt(process.env.LDAP_TIMEOUT_MS || "5000"),
+  }
+}
+
+function isLdapConfigured() {
+  const config = getLdapConfig()
+  return !!(config.url && config.searchBase)
+}
+
+async function isLdapEnabled() {
+  if (!isLdapConfigured()) {
+    return false
+  }
+  const settings = await Setting.getSettings()
+  return settings.ldap.enabled
+}
+
+// Helper function to run one ldapjs callback operation as a promise
+function ldapCall(client, method, ...args) {
+  return new Promise((resolve, reject) => {
+    client[method](...args, (err, result) => (err ? reject(err) : resolve(result)))
+  })
+}
+
+// Helper function to collect every entry of a search
+function searchEntries(client, base, options) {
+  return new Promise((resolve, reject) => {
+    client.search(base, options, (err, res) => {
+      if (err) {
+        return reject(err)
+      }
+      const entries = []
+      res.on("searchEntry", (entry) => entries.push(entry.pojo))
+      res.on("error", reject)
+      res.on("end", () => resolve(entries))
+    })
+  })
+}
+
+function getAttributeValues(entry, name) {
+  const attribute = entry.attributes.find((attr) => attr.type.toLowerCase() === name.toLowerCase())
+  return attribute ? attribute.values : []
+}
+
+// Group DNs are compared case-insensitively and without spacing after commas
+function normalizeDn(dn) {
+  return String(dn || "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s*,\s*/g, ",")
+}
+
+// Find the person by the configured Employee ID attribute and bind as them with the typed password.
+// Returns { found: false } when the directory has no such person, otherwise { found: true, valid, groups }.
+async function authenticateWithLdap(employeeId, password) {
+  const config = getLdapConfig()
+  const settings = await Setting.getSettings()
+  const { employeeIdAttribute, groupAttribute } = settings.ldap
+
+  const client = ldap.createClient({
+    url: config.url,
+    connectTimeout: config.timeout,
+    timeout: config.timeout,
+  })
+
+  // Connection problems also surface as rejected operations; this only keeps them from crashing the process
+  client.on("error", (error) => console.error("LDAP client error:", error.message))
+
+  try {
+    if (config.bindDn) {
+      await ldapCall(client, "bind", config.bindDn, config.bindPassword || "")
+    }
+
+    const entries = await searchEntries(client, config.searchBase, {
+      scope: "sub",
+      filter: new ldap.EqualityFilter({ attribute: employeeIdAttribute, value: employeeId }),
+      attributes: [employeeIdAttribute, groupAttribute],
+      sizeLimit: 2,
+    })
+
+    if (entries.length === 0) {
+      return { found: false }
+    }
+    if (entries.length > 1) {
+      console.error(`LDAP lookup for ${employeeId} matched more than one entry`)
+      return { found: true, valid: false, groups: [] }
+    }
+
+    const entry = entries[0]
+    try {
+      await ldapCall(client, "bind", entry.objectName, password)
+    } catch (error) {
+      if (error instanceof ldap.InvalidCredentialsError) {
+        return { found: true, valid: false, groups: [] }
+      }
+      throw error
+    }
+
+    return { found: true, valid: true, groups: getAttributeValues(entry, groupAttribute) }
+  } finally {
+    client.destroy()
+  }
+}
+
+// Returns null when the local password should be checked instead (LDAP off, or the person is not in
+// the directory and local fallback is allowed), otherwise { valid, groups } from the directory.
+async function checkDirectoryPassword(employeeId, password) {
+  if (!(await isLdapEnabled())) {
+    return null
+  }
+
+  const result = await authenticateWithLdap(employeeId, password)
+  if (!result.found) {
+    const settings = await Setting.getSettings()
+    return settings.ldap.allowLocalFallback ? null : { valid: false, groups: [] }
+  }
+  return { valid: result.valid, groups: result.groups }
+}
+
+// Map directory groups to a role; the first matching group wins, anyone else is an employee
+function getDirectoryRole(groups, ldapSettings) {
+  const memberOf = new Set(groups.map(normalizeDn))
+  const isMember = (dn) => !!dn && memberOf.has(normalizeDn(dn))
+
+  if (isMember(ldapSettings.adminGroup)) {
+    return { role: "admin", hodLevel: null }
+  }
+  if (isMember(ldapSettings.hodHigherGroup)) {
+    return { role: "hod", hodLevel: "higher" }
+  }
+  if (isMember(ldapSettings.hodLowerGroup)) {
+    return { role: "hod", hodLevel: "lower" }
+  }
+  return { role: "employee", hodLevel: null }
+}
+
+// Update role and hodLevel from group membership when role sync is on.
+// Returns the previous { role, hodLevel } if the user changed, otherwise null.
+async function applyDirectoryRole(user, groups) {
+  const settings = await Setting.getSettings()
+  if (!settings.ldap.syncRoles) {
+    return null
+  }
+
+  const { role, hodLevel } = getDirectoryRole(groups, settings.ldap)
+  if (user.role === role && (user.hodLevel || null) === hodLevel) {
+    return null
+  }
+
+  // HODs and employees must belong to a department, which the directory does not provide
+  if (role !== "admin" && !user.department) {
+    console.error(`LDAP role sync skipped for ${user.employeeId}: ${role} needs a department`)
+    return null
+  }
+
+  console.log(`LDAP role sync for ${user.employeeId}: ${user.role}/${user.hodLevel || "-"} -> ${role}/${hodLevel || "-"}`)
+  const previous = { role: user.role, hodLevel: user.hodLevel || null }
+  user.role = role
+  user.hodLevel = hodLevel || undefined
+  await user.save()
+  return previous
+}
+
+module.exports = {
+  getLdapConfig,
+  isLdapConfigured,
+  isLdapEnabled,
+  checkDirectoryPassword,
+  getDirectoryRole,
+  applyDirectoryRole,
+}
@@ -0,0 +1,123 @@
+const LoginAttempt = require("../models/LoginAttempt")
+
+const LOCK_DURATION_MS = Number.parseInt(process.env.LOGIN_LOCK_MINUTES || "15") * 60 * 1000
+const FAILURE_WINDOW_MS = Number.parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES || "15") * 60 * 1000
+const MAX_DELAY_SECONDS = 30
+
+// maxFailures locks the key; after freeAttempts failures each retry waits 1s, 2s, 4s ... up to MAX_DELAY_SECONDS
+const LIMITS = {
+  employeeId: {
+    maxFailures: Number.parseInt(process.env.LOGIN_MAX_FAILURES || "5"),
+    freeAttempts: 2,
+  },
+  ip: {
+    maxFailures: Number.parseInt(process.env.LOGIN_IP_MAX_FAILURES || "20"),
+    freeAttempts: 10,
+  },
+}
+
+// Check both counters before the password is verified
+async function checkLoginAllowed(employeeId, ip) {
+  const now = new Date()
+  const attempts = await LoginAttempt.find({
+    $or: [
+      { scope: "employeeId", key: employeeId },
+      { scope: "ip", key: ip },
+    ],
+  })
+
+  for (const attempt of attempts) {
+    if (attempt.lockedUntil && attempt.lockedUntil > now) {
+      const minutes = Math.ceil((attempt.lockedUntil - now) / 60000)
+      return {
+        allowed: false,
+        message: `Too many failed login attempts. Please try again in ${minutes} minute${minutes === 1 ? "" : "s"} or contact your administrator.`,
+      }
+    }
+
+    if (attempt.nextAttemptAt && attempt.nextAttemptAt > now) {
+      const seconds = Math.ceil((attempt.nextAttemptAt - now) / 1000)
+      return {
+        allowed: false,
+        message: `Too many failed login attempts. Please wait ${seconds} second${seconds === 1 ? "" : "s"} and try again.`,
+      }
+    }
+  }
+
+  return { allowed: true }
+}
+
+// Count a failure against both the Employee ID and the IP
+async function recordFailedLogin(employeeId, ip) {
+  await registerFailure("employeeId", employeeId)
+  await registerFailure("ip", ip)
+}
+
+// A successful login clears the Employee ID counter; the IP counter expires on its own
+async function clearFailedLogins(employeeId) {
+  await LoginAttempt.deleteOne({ scope: "employeeId", key: employeeId })
+}
+
+// Every step is a single atomic update, so parallel failed logins each count and only one of them sets the lock
+async function registerFailure(scope, key) {
+  const now = new Date()
+  const { maxFailures, freeAttempts } = LIMITS[scope]
+
+  // Start a fresh count once a lock has run out or the last failure is outside the window. Setting lastFailedAt
+  // stops a parallel request from resetting the count again after this one has added to it.
+  await LoginAttempt.updateOne(
+    {
+      scope,
+      key,
+      $or: [{ lockedUntil: { $lte: now } }, { lastFailedAt: { $lt: new Date(now.getTime() - FAILURE_WINDOW_MS) } }],
+    },
+    { $set: { failedCount: 0, lockedUntil: null, nextAttemptAt: null, lastFailedAt: now } },
+  )
+
+  const attempt = await incrementFailures(scope, key, now)
+
+  if (attempt.failedCount >= maxFailures) {
+    const lockedUntil = new Date(now.getTime() + LOCK_DURATION_MS)
+    const locked = await LoginAttempt.updateOne(
+      { _id: attempt._id, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+      { $set: { lockedUntil, nextAttemptAt: null }, $inc: { lockCount: 1 } },
+    )
+    if (locked.modifiedCount > 0) {
+      console.log(`Login locked for ${scope} "${key}" until ${lockedUntil.toISOString()}`)
+    }
+  } else if (attempt.failedCount > freeAttempts) {
+    const delaySeconds = Math.min(2 ** (attempt.failedCount - freeAttempts - 1), MAX_DELAY_SECONDS)
+    await LoginAttempt.updateOne(
+      { _id: attempt._id },
+      { $max: { nextAttemptAt: new Date(now.getTime() + delaySeconds * 1000) } },
+    )
+  }
+
+  return attempt
+}
+
+// Add one failure, creating the counter on the first one. Two first failures at once can both try to insert;
+// the loser of that race hits the unique index and simply increments the winner's counter.
+async function incrementFailures(scope, key, now) {
+  const update = () =>
+    LoginAttempt.findOneAndUpdate(
+      { scope, key },
+      { $inc: { failedCount: 1 }, $set: { lastFailedAt: now } },
+      { upsert: true, new: true, setDefaultsOnInsert: true },
+    )
+  try {
+    return await update()
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error
+    }
+    return update()
+  }
+}
+
+module.exports = {
+  LIMITS,
+  checkLoginAllowed,
+  recordFailedLogin,
+  clearFailedLogins,
+}
@@ -0,0 +1,64 @@
+const nodemailer = require("nodemailer")
+
+// SMTP transport - defaults point at a local test sink (e.g. MailHog / smtp4dev on port 1025)
+let transporter = null
+
+function getTransporter() {
+  if (!transporter) {
+    const options = {
+      host: process.env.SMTP_HOST || "localhost",
+      port: Number.parseInt(process.env.SMTP_PORT || "1025"),
+      secure: process.env.SMTP_SECURE === "true",
+    }
+
+    if (process.env.SMTP_USER) {
+      options.auth = {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS,
+      }
+    }
+
+    transporter = nodemailer.createTransport(options)
+  }
+  return transporter
+}
+
+async function sendMail({ to, subject, text, html }) {
+  const info = await getTransporter().sendMail({
+    from: process.env.MAIL_FROM || "PMS <no-reply@company.com>",
+    to,
+    subject,
+    text,
+    html,
+  })
+  console.log("Mail sent:", subject, "to:", to, "id:", info.messageId)
+  return info
+}
+
+async function sendPasswordResetEmail(user, resetUrl) {
+  const text = [
+    `Hello ${user.name},`,
+    "",
+    `A password reset was requested for your Performance Management System account (${user.employeeId}).`,
+    "Open the link below to choose a new password. The link expires in 1 hour and can only be used once.",
+    "",
+    resetUrl,
+    "",
+    "If you did not request this, you can ignore this email - your password will not change.",
+  ].join("\n")
+
+  const html = `
+    <p>Hello ${user.name},</p>
+    <p>A password reset was requested for your Performance Management System account (${user.employeeId}).</p>
+    <p>Click the link below to choose a new password. The link expires in 1 hour and can only be used once.</p>
+    <p><a href="${resetUrl}">${resetUrl}</a></p>
+    <p>If you did not request this, you can ignore this email - your password will not change.</p>
+  `
+
+  return sendMail({ to: user.email, subject: "Reset your PMS password", text, html })
+}
+
+module.exports = {
+  sendMail,
+  sendPasswordResetEmail,
+}
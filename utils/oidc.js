@@ -0,0 +1,213 @@
+const crypto = require("crypto")
+const bcrypt = require("bcryptjs")
+const { Issuer, generators } = require("openid-client")
+const Setting = require("../models/Setting")
+const User = require("../models/User")
+
+// An authorization request must come back from the identity provider within ten minutes
+const OIDC_TRANSACTION_TTL_MS = 10 * 60 * 1000
+
+// Connection to the identity provider comes from the environment; behaviour is set on /admin/settings
+function getOidcConfig() {
+  const baseUrl = (process.env.APP_URL || "http://localhost:3000").replace(/\/$/, "")
+  return {
+    issuerUrl: process.env.OIDC_ISSUER_URL,
+    clientId: process.env.OIDC_CLIENT_ID,
+    clientSecret: process.env.OIDC_CLIENT_SECRET,
+    redirectUri: process.env.OIDC_REDIRECT_URI || `${baseUrl}/auth/oidc/callback`,
+    scope: process.env.OIDC_SCOPES || "openid email profile",
+    employeeIdClaim: process.env.OIDC_EMPLOYEE_ID_CLAIM || "employee_id",
+    buttonLabel: process.env.OIDC_BUTTON_LABEL || "Sign in with company account",
+  }
+}
+
+function isOidcConfigured() {
+  const config = getOidcConfig()
+  return !!(config.issuerUrl && config.clientId)
+}
+
+async function isOidcEnabled() {
+  if (!isOidcConfigured()) {
+    return false
+  }
+  const settings = await Setting.getSettings()
+  return settings.oidc.enabled
+}
+
+// Password sign-in can only be switched off for a role while single sign-on is actually available
+async function isPasswordLoginAllowed(role) {
+  if (!(await isOidcEnabled())) {
+    return true
+  }
+  const settings = await Setting.getSettings()
+  return settings.passwordLogin[role] !== false
+}
+
+// Discovery runs once; a failed discovery is retried on the next login
+let clientPromise = null
+
+function getOidcClient() {
+  if (!clientPromise) {
+    const config = getOidcConfig()
+    clientPromise = Issuer.discover(config.issuerUrl)
+      .then((issuer) => {
+        console.log("Discovered OIDC issuer:", issuer.issuer)
+        return new issuer.Client({
+          client_id: config.clientId,
+          client_secret: config.clientSecret,
+          redirect_uris: [config.redirectUri],
+          response_types: ["code"],
+          token_endpoint_auth_method: config.clientSecret ? "client_secret_basic" : "none",
+        })
+      })
+      .catch((error) => {
+        clientPromise = null
+        throw error
+      })
+  }
+  return clientPromise
+}
+
+// Authorization-code request with state, nonce and PKCE kept in the session until the callback
+async function startOidcLogin(req) {
+  const config = getOidcConfig()
+  const client = await getOidcClient()
+
+  const transaction = {
+    state: generators.state(),
+    nonce: generators.nonce(),
+    codeVerifier: generators.codeVerifier(),
+    startedAt: Date.now(),
+  }
+  req.session.oidc = transaction
+
+  return client.authorizationUrl({
+    scope: config.scope,
+    state: transaction.state,
+    nonce: transaction.nonce,
+    code_challenge: generators.codeChallenge(transaction.codeVerifier),
+    code_challenge_method: "S256",
+  })
+}
+
+// Exchange the code from the callback and return the identity claims (ID token + userinfo)
+async function finishOidcLogin(req) {
+  const config = getOidcConfig()
+  const transaction = req.session.oidc
+  delete req.session.oidc
+
+  if (!transaction || Date.now() - transaction.startedAt > OIDC_TRANSACTION_TTL_MS) {
+    throw new Error("No pending single sign-on request")
+  }
+
+  const client = await getOidcClient()
+  const params = client.callbackParams(req)
+  const tokenSet = await client.callback(config.redirectUri, params, {
+    state: transaction.state,
+    nonce: transaction.nonce,
+    code_verifier: transaction.codeVerifier,
+  })
+
+  let userinfo = {}
+  if (tokenSet.access_token) {
+    try {
+      userinfo = await client.userinfo(tokenSet)
+    } catch (error) {
+      console.error("OIDC userinfo error:", error.message)
+    }
+  }
+
+  return { ...userinfo, ...tokenSet.claims() }
+}
+
+function getClaimName(claims) {
+  if (claims.name) {
+    return claims.name
+  }
+  const parts = [claims.given_name, claims.family_name].filter(Boolean)
+  return parts.length > 0 ? parts.join(" ") : null
+}
+
+// Match the identity to a User by Employee ID and/or email, provisioning unknown people when enabled.
+// Returns { user } with department populated, or { error } with a message for the login page.
+async function findUserForOidcClaims(claims) {
+  const config = getOidcConfig()
+  const settings = await Setting.getSettings()
+  const { matchBy, autoProvision, defaultDepartment } = settings.oidc
+
+  const employeeId = claims[config.employeeIdClaim] ? String(claims[config.employeeIdClaim]).trim() : null
+  // Only an address the provider says it has verified is trusted; a missing email_verified claim is not
+  const email = claims.email && claims.email_verified === true ? String(claims.email).toLowerCase() : null
+
+  let user = null
+  if (matchBy !== "email" && employeeId) {
+    user = await User.findOne({ employeeId }).populate("department")
+  }
+  if (!user && matchBy !== "employeeId" && email) {
+    // Emails are not unique in this system, so only an unambiguous match counts
+    const matches = await User.find({ email }).populate("department")
+    if (matches.length > 1) {
+      return { error: "Your email address matches more than one account. Please contact your administrator." }
+    }
+    user = matches[0] || null
+    // Taking over an admin account must need more than control of its email address
+    if (user && user.role === "admin") {
+      return { error: "Administrator accounts are not linked by email. Please contact your administrator." }
+    }
+  }
+
+  if (user) {
+    if (!user.isActive) {
+      return { error: "Your account is inactive. Please contact your administrator." }
+    }
+    return { user }
+  }
+
+  if (!autoProvision || !defaultDepartment) {
+    return { error: "No account is linked to your company identity. Please contact your administrator." }
+  }
+  if (!employeeId || !email) {
+    return {
+      error: "Your company identity is missing an Employee ID or a verified email address. Please contact your administrator.",
+    }
+  }
+  if (await User.exists({ employeeId })) {
+    return { error: "No account is linked to your company identity. Please contact your administrator." }
+  }
+
+  // Provisioned users sign in through the identity provider; the random local password is never shown
+  const created = await User.create({
+    name: getClaimName(claims) || employeeId,
+    email,
+    employeeId,
+    password: await bcrypt.hash(crypto.randomBytes(32).toString("hex"), 12),
+    role: "employee",
+    department: defaultDepartment,
+    isActive: true,
+  })
+  console.log("Provisioned user from single sign-on:", created.employeeId)
+
+  return { user: await User.findById(created._id).populate("department") }
+}
+
+// Login page locals: the single sign-on button is only shown when it can be used
+async function loadLoginOptions(req, res, next) {
+  try {
+    res.locals.oidcLogin = (await isOidcEnabled()) ? { label: getOidcConfig().buttonLabel } : null
+  } catch (error) {
+    console.error("Login options error:", error)
+    res.locals.oidcLogin = null
+  }
+  next()
+}
+
+module.exports = {
+  getOidcConfig,
+  isOidcConfigured,
+  isOidcEnabled,
+  isPasswordLoginAllowed,
+  startOidcLogin,
+  finishOidcLogin,
+  findUserForOidcClaims,
+  loadLoginOptions,
+}
@@ -0,0 +1,169 @@
+const mongoose = require("mongoose")
+const User = require("../models/User")
+const Department = require("../models/Department")
+const Review = require("../models/Review")
+
+// Longest reporting chain followed before giving up (guards against cycles in old data)
+const MAX_REPORTING_DEPTH = 100
+
+// True when making managerId the manager of userId would loop back to userId
+async function createsReportingCycle(userId, managerId) {
+  const target = String(userId)
+  let currentId = managerId ? String(managerId) : null
+  const seen = new Set()
+
+  while (currentId && seen.size < MAX_REPORTING_DEPTH) {
+    if (currentId === target) {
+      return true
+    }
+    if (seen.has(currentId)) {
+      return false
+    }
+    seen.add(currentId)
+
+    const current = await User.findById(currentId).select("reportsTo").lean()
+    currentId = current && current.reportsTo ? String(current.reportsTo) : null
+  }
+  return false
+}
+
+// Error message for an invalid manager choice, or null when it is acceptable (userId is null for new users)
+async function validateReportsTo(userId, managerId) {
+  if (!managerId) {
+    return null
+  }
+  if (!mongoose.Types.ObjectId.isValid(String(managerId))) {
+    return "Valid manager is required"
+  }
+  if (userId && String(userId) === String(managerId)) {
+    return "An employee cannot report to themselves"
+  }
+
+  const manager = await User.findOne({ _id: managerId, isActive: true, role: { $in: ["employee", "hod"] } })
+  if (!manager) {
+    return "The selected manager is not an active employee or HOD"
+  }
+  if (userId && (await createsReportingCycle(userId, managerId))) {
+    return `${manager.name} already reports (directly or indirectly) to this employee`
+  }
+  return null
+}
+
+// The people who can be chosen as a manager on the employee forms
+function getManagerOptions() {
+  return User.find({ role: { $in: ["employee", "hod"] }, isActive: true })
+    .select("name employeeId role")
+    .sort({ name: 1 })
+}
+
+// Middleware exposing the manager choices to the routes that render the edit employee page
+async function loadManagerOptions(req, res, next) {
+  try {
+    res.locals.managers = await getManagerOptions()
+    next()
+  } catch (error) {
+    next(error)
+  }
+}
+
+// "M10 2025" -> 202510 so review months sort chronologically
+function monthSortKey(month) {
+  const match = /^M(\d{1,2}) (\d{4})$/.exec(month || "")
+  return match ? Number(match[2]) * 100 + Number(match[1]) : 0
+}
+
+// Average score of each person's most recent reviewed month: Map(userId -> { month, score, reviewCount })
+async function getLatestMonthScores(userIds) {
+  const monthly = await Review.aggregate([
+    { $match: { employee: { $in: userIds } } },
+    {
+      $group: {
+        _id: { employee: "$employee", month: "$month" },
+        avgScore: { $avg: { $ifNull: ["$overallScore", "$score"] } },
+        reviewCount: { $sum: 1 },
+      },
+    },
+  ])
+
+  const latest = new Map()
+  monthly.forEach(({ _id, avgScore, reviewCount }) => {
+    const key = String(_id.employee)
+    const current = latest.get(key)
+    if (!current || monthSortKey(_id.month) > monthSortKey(current.month)) {
+      latest.set(key, { month: _id.month, score: avgScore ? avgScore.toFixed(2) : null, reviewCount })
+    }
+  })
+  return latest
+}
+
+// Department tree with each department's people nested by reporting line.
+// departmentIds limits the chart (HOD view); departments whose parent is outside the set become roots.
+async function buildOrgChart(departmentIds = null) {
+  const departmentQuery = { isActive: true }
+  if (departmentIds) {
+    departmentQuery._id = { $in: departmentIds }
+  }
+  const departments = await Department.find(departmentQuery).populate("hods", "name").sort({ name: 1 }).lean()
+  const people = await User.find({
+    department: { $in: departments.map((dept) => dept._id) },
+    role: { $in: ["employee", "hod"] },
+    isActive: true,
+  })
+    .select("name employeeId role hodLevel department reportsTo")
+    .populate("reportsTo", "name employeeId isActive")
+    .sort({ name: 1 })
+    .lean()
+  const scores = await getLatestMonthScores(people.map((person) => person._id))
+
+  const personNodes = new Map(
+    people.map((person) => [String(person._id), { person, latest: scores.get(String(person._id)) || null, reports: [] }]),
+  )
+
+  // A person sits under their manager when the manager is in the same department,
+  // otherwise at the top of their department with the outside manager named
+  const departmentPeople = new Map(departments.map((dept) => [String(dept._id), []]))
+  personNodes.forEach((node) => {
+    const { person } = node
+    const manager = person.reportsTo && person.reportsTo.isActive ? personNodes.get(String(person.reportsTo._id)) : null
+    if (manager && String(manager.person.department) === String(person.department)) {
+      manager.reports.push(node)
+    } else {
+      node.externalManager = person.reportsTo && person.reportsTo.isActive ? person.reportsTo : null
+      departmentPeople.get(String(person.department)).push(node)
+    }
+  })
+
+  const departmentNodes = new Map(
+    departments.map((dept) => [
+      String(dept._id),
+      { department: dept, people: departmentPeople.get(String(dept._id)), children: [], headcount: 0 },
+    ]),
+  )
+  const roots = []
+  departmentNodes.forEach((node) => {
+    const parent = node.department.parentDepartment ? departmentNodes.get(String(node.department.parentDepartment)) : null
+    if (parent) {
+      parent.children.push(node)
+    } else {
+      roots.push(node)
+    }
+  })
+
+  // Headcount includes sub-departments
+  const countPeople = (node) => {
+    const direct = people.filter((person) => String(person.department) === String(node.department._id)).length
+    node.headcount = direct + node.children.reduce((sum, child) => sum + countPeople(child), 0)
+    return node.headcount
+  }
+  roots.forEach(countPeople)
+
+  return { roots, totalPeople: people.length }
+}
+
+module.exports = {
+  createsReportingCycle,
+  validateReportsTo,
+  getManagerOptions,
+  loadManagerOptions,
+  buildOrgChart,
+}
@@ -0,0 +1,121 @@
+const bcrypt = require("bcryptjs")
+const { body } = require("express-validator")
+const Setting = require("../models/Setting")
+
+async function getPasswordPolicy() {
+  const settings = await Setting.getSettings()
+  return settings.passwordPolicy
+}
+
+// Error messages for every rule the password breaks (empty when it is acceptable)
+function validatePassword(password, policy) {
+  const errors = []
+  const value = password || ""
+
+  if (value.length < policy.minLength) {
+    errors.push(`Password must be at least ${policy.minLength} characters`)
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(value)) {
+    errors.push("Password must contain an uppercase letter")
+  }
+  if (policy.requireLowercase && !/[a-z]/.test(value)) {
+    errors.push("Password must contain a lowercase letter")
+  }
+  if (policy.requireNumber && !/[0-9]/.test(value)) {
+    errors.push("Password must contain a number")
+  }
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(value)) {
+    errors.push("Password must contain a symbol")
+  }
+
+  return errors
+}
+
+// Human-readable list of the rules, shown next to password fields
+function describePasswordPolicy(policy) {
+  const rules = [`At least ${policy.minLength} characters`]
+  if (policy.requireUppercase) rules.push("an uppercase letter")
+  if (policy.requireLowercase) rules.push("a lowercase letter")
+  if (policy.requireNumber) rules.push("a number")
+  if (policy.requireSymbol) rules.push("a symbol")
+  if (policy.historyCount > 0) {
+    rules.push(`not one of your last ${policy.historyCount} password${policy.historyCount === 1 ? "" : "s"}`)
+  }
+  return rules.join(", ")
+}
+
+// express-validator rule for a password field, replacing the old isLength({ min: 6 }) checks
+function passwordRule(field, { optional = false } = {}) {
+  let chain = body(field)
+  if (optional) {
+    chain = chain.optional({ values: "falsy" })
+  }
+  return chain.custom(async (value) => {
+    const errors = validatePassword(value, await getPasswordPolicy())
+    if (errors.length > 0) {
+      throw new Error(errors[0])
+    }
+    return true
+  })
+}
+
+// True when the password matches the current one or one of the last historyCount passwords.
+// The user must be loaded with +passwordHistory.
+async function isPasswordReused(user, password, policy) {
+  if (!policy.historyCount || policy.historyCount <= 0) {
+    return false
+  }
+
+  const hashes = [user.password, ...(user.passwordHistory || [])].filter(Boolean).slice(0, policy.historyCount)
+  for (const hash of hashes) {
+    if (await bcrypt.compare(password, hash)) {
+      return true
+    }
+  }
+  return false
+}
+
+// Hash and set a new password, keeping the old hash in the reuse history.
+// The caller saves the user; it must be loaded with +passwordHistory.
+async function setUserPassword(user, password, policy) {
+  if (user.password && policy.historyCount > 0) {
+    user.passwordHistory = [user.password, ...(user.passwordHistory || [])].slice(0, policy.historyCount)
+  }
+  user.password = await bcrypt.hash(password, 12)
+  user.passwordChangedAt = new Date()
+  return user
+}
+
+function isPasswordExpired(user, policy) {
+  if (!policy.expiryDays || policy.expiryDays <= 0) {
+    return false
+  }
+  const changedAt = user.passwordChangedAt || user.createdAt
+  if (!changedAt) {
+    return false
+  }
+  return Date.now() - new Date(changedAt).getTime() > policy.expiryDays * 24 * 60 * 60 * 1000
+}
+
+// Middleware exposing the policy to views that contain password fields
+async function loadPasswordPolicy(req, res, next) {
+  try {
+    const policy = await getPasswordPolicy()
+    res.locals.passwordMinLength = policy.minLength
+    res.locals.passwordRequirements = describePasswordPolicy(policy)
+    next()
+  } catch (error) {
+    next(error)
+  }
+}
+
+module.exports = {
+  getPasswordPolicy,
+  validatePassword,
+  describePasswordPolicy,
+  passwordRule,
+  isPasswordReused,
+  setUserPassword,
+  isPasswordExpired,
+  loadPasswordPolicy,
+}
@@ -0,0 +1,31 @@
+const crypto = require("crypto")
+
+// Look-alike characters (0/O, 1/l/I) are left out so temporary passwords can be read out or copied by hand
+const UPPERCASE = "ABCDEFGHJKLMNPQRSTUVWXYZ"
+const LOWERCASE = "abcdefghijkmnopqrstuvwxyz"
+const DIGITS = "23456789"
+const SYMBOLS = "!@#$%*?"
+
+function randomChar(chars) {
+  return chars[crypto.randomInt(chars.length)]
+}
+
+// Random temporary password with at least one character from every class
+function generateTemporaryPassword(length = 12) {
+  const all = UPPERCASE + LOWERCASE + DIGITS + SYMBOLS
+  const chars = [randomChar(UPPERCASE), randomChar(LOWERCASE), randomChar(DIGITS), randomChar(SYMBOLS)]
+  while (chars.length < length) {
+    chars.push(randomChar(all))
+  }
+
+  // Fisher-Yates shuffle so the guaranteed characters are not always first
+  for (let i = chars.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1)
+    ;[chars[i], chars[j]] = [chars[j], chars[i]]
+  }
+  return chars.join("")
+}
+
+module.exports = {
+  generateTemporaryPassword,
+}
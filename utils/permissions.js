@@ -0,0 +1,108 @@
+const Setting = require("../models/Setting")
+
+// Every named capability the routes check with requirePermission()
+const CAPABILITIES = [
+  { key: "questions.create", label: "Create review questions" },
+  { key: "questions.manage", label: "Open the admin question bank, edit and delete review questions" },
+  { key: "reviews.submit.hod", label: "Review employees and HODs (HOD reviews page)" },
+  { key: "self-assessment.submit", label: "Submit monthly self-assessments" },
+  { key: "export.department", label: "Export CSV reports for own departments" },
+  { key: "export.global", label: "Export CSV reports for the whole organisation" },
+  { key: "analysis.department", label: "View analysis for own departments" },
+  { key: "analysis.global", label: "View organisation-wide analysis" },
+  { key: "api.tokens", label: "Create personal API tokens for scripts" },
+  { key: "departments.manage", label: "Create and edit departments" },
+  { key: "employees.manage", label: "Create and edit employees" },
+  { key: "users.impersonate", label: "View the system as another user" },
+  { key: "security.manage", label: "Manage security settings, lockouts, sessions and audit logs" },
+  { key: "permissions.manage", label: "Edit role permissions" },
+]
+
+// Roles that get their own capability set - HODs are split by hodLevel
+const ROLE_KEYS = [
+  { key: "admin", label: "Admin" },
+  { key: "hodHigher", label: "Higher Level HOD" },
+  { key: "hodLower", label: "Lower Level HOD" },
+  { key: "employee", label: "Employee" },
+]
+
+// Matches the behaviour before permissions became editable
+const DEFAULT_ROLE_CAPABILITIES = {
+  admin: [
+    "questions.create",
+    "questions.manage",
+    "export.global",
+    "analysis.global",
+    "api.tokens",
+    "departments.manage",
+    "employees.manage",
+    "users.impersonate",
+    "security.manage",
+    "permissions.manage",
+  ],
+  hodHigher: [
+    "questions.create",
+    "reviews.submit.hod",
+    "self-assessment.submit",
+    "export.department",
+    "analysis.department",
+    "api.tokens",
+  ],
+  hodLower: [
+    "reviews.submit.hod",
+    "self-assessment.submit",
+    "export.department",
+    "analysis.department",
+    "api.tokens",
+  ],
+  employee: ["self-assessment.submit"],
+}
+
+// Admins always keep these so nobody can lock themselves out of the permissions page
+const LOCKED_CAPABILITIES = {
+  admin: ["permissions.manage"],
+}
+
+function getRoleKey(user) {
+  if (user.role === "hod") {
+    return user.hodLevel === "higher" ? "hodHigher" : "hodLower"
+  }
+  return user.role
+}
+
+// Capability sets for every role key - saved settings where an admin has edited them, defaults otherwise
+async function getRoleCapabilities() {
+  const settings = await Setting.getSettings()
+  const saved = settings.rolePermissions || {}
+
+  const result = {}
+  ROLE_KEYS.forEach(({ key }) => {
+    const capabilities = Array.isArray(saved[key]) ? saved[key] : DEFAULT_ROLE_CAPABILITIES[key]
+    result[key] = [...new Set([...capabilities, ...(LOCKED_CAPABILITIES[key] || [])])]
+  })
+  return result
+}
+
+// Capabilities granted to a session user
+async function getUserCapabilities(user) {
+  const roleCapabilities = await getRoleCapabilities()
+  return roleCapabilities[getRoleKey(user)] || []
+}
+
+// Keep only known capability names from a submitted form value (string or array)
+function sanitizeCapabilities(value) {
+  const submitted = Array.isArray(value) ? value : value ? [value] : []
+  const known = CAPABILITIES.map((c) => c.key)
+  return known.filter((key) => submitted.includes(key))
+}
+
+module.exports = {
+  CAPABILITIES,
+  ROLE_KEYS,
+  DEFAULT_ROLE_CAPABILITIES,
+  LOCKED_CAPABILITIES,
+  getRoleKey,
+  getRoleCapabilities,
+  getUserCapabilities,
+  sanitizeCapabilities,
+}
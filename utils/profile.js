@@ -0,0 +1,223 @@
+const { body } = require("express-validator")
+const User = require("../models/User")
+const Department = require("../models/Department")
+const Setting = require("../models/Setting")
+const ProfileChangeRequest = require("../models/ProfileChangeRequest")
+
+// The only fields employees and HODs may edit on their own profile page
+const PROFILE_FIELDS = [
+  { key: "name", label: "Display name" },
+  { key: "email", label: "Email" },
+  { key: "phone", label: "Phone" },
+  { key: "preferredLanguage", label: "Preferred language" },
+]
+
+const PROFILE_LANGUAGES = [
+  { code: "en", label: "English" },
+  { code: "ar", label: "Arabic" },
+  { code: "zh", label: "Chinese" },
+  { code: "fr", label: "French" },
+  { code: "de", label: "German" },
+  { code: "hi", label: "Hindi" },
+  { code: "pt", label: "Portuguese" },
+  { code: "es", label: "Spanish" },
+]
+
+const profileRules = [
+  body("name")
+    .trim()
+    .notEmpty()
+    .withMessage("Display name is required")
+    .isLength({ max: 100 })
+    .withMessage("Display name must be at most 100 characters"),
+  body("email").isEmail().normalizeEmail().withMessage("Valid email is required"),
+  body("phone")
+    .trim()
+    .optional({ values: "falsy" })
+    .matches(/^\+?[0-9 ()-]{6,20}$/)
+    .withMessage("Phone may only contain digits, spaces, brackets, hyphens and a leading +"),
+  body("preferredLanguage")
+    .isIn(PROFILE_LANGUAGES.map((language) => language.code))
+    .withMessage("Choose a supported language"),
+]
+
+function getProfileField(key) {
+  return PROFILE_FIELDS.find((field) => field.key === key)
+}
+
+function getLanguageLabel(code) {
+  const language = PROFILE_LANGUAGES.find((entry) => entry.code === code)
+  return language ? language.label : code
+}
+
+// Profile value as shown to people (language codes become names)
+function formatProfileValue(key, value) {
+  if (key === "preferredLanguage") {
+    return getLanguageLabel(value)
+  }
+  return value || "-"
+}
+
+async function getProfileApprovalFields() {
+  const settings = await Setting.getSettings()
+  return settings.profileApprovalFields || []
+}
+
+// Departments from the top of the hierarchy down to departmentId, each with its active HODs
+async function getDepartmentPath(departmentId) {
+  const path = []
+  let currentId = departmentId
+  while (currentId && !path.some((department) => String(department._id) === String(currentId))) {
+    const department = await Department.findById(currentId)
+      .select("name parentDepartment hods")
+      .populate({ path: "hods", match: { isActive: true }, select: "name employeeId email" })
+    if (!department) {
+      break
+    }
+    path.unshift(department)
+    currentId = department.parentDepartment
+  }
+  return path
+}
+
+// Everything the profile page shows: the user, their department path and HODs, the pending request and the
+// form values (current values with any pending changes applied on top)
+async function getProfileOverview(userId) {
+  const profile = await User.findById(userId).populate("department", "name")
+  const [departmentPath, approvalFields, pendingRequest, lastDecision] = await Promise.all([
+    getDepartmentPath(profile.department && profile.department._id),
+    getProfileApprovalFields(),
+    ProfileChangeRequest.findOne({ user: userId, status: "pending" }),
+    ProfileChangeRequest.findOne({ user: userId, status: { $ne: "pending" } }).sort({ reviewedAt: -1 }),
+  ])
+
+  const values = Object.fromEntries(PROFILE_FIELDS.map((field) => [field.key, profile[field.key] || ""]))
+  if (pendingRequest) {
+    pendingRequest.changes.forEach((change) => {
+      values[change.field] = change.to
+    })
+  }
+
+  return {
+    profile,
+    departmentPath,
+    hods: departmentPath.length > 0 ? departmentPath[departmentPath.length - 1].hods : [],
+    approvalFields,
+    pendingRequest,
+    lastDecision,
+    values,
+  }
+}
+
+// Middleware exposing the editable fields and language choices to the profile pages
+function loadProfileFields(req, res, next) {
+  res.locals.profileFields = PROFILE_FIELDS
+  res.locals.profileLanguages = PROFILE_LANGUAGES
+  res.locals.formatProfileValue = formatProfileValue
+  next()
+}
+
+// Save a submitted profile. Fields that need approval replace the user's pending request (dropped when they
+// match the current value again); the rest change straight away.
+// Returns { direct: { field: value }, applied: [labels], queued: [labels], withdrawn } or { error }.
+async function submitProfileChanges(userId, values) {
+  const user = await User.findById(userId)
+  const approvalFields = await getProfileApprovalFields()
+
+  if (values.email !== user.email && (await User.exists({ email: values.email, _id: { $ne: user._id } }))) {
+    return { error: "That email address is already used by another account" }
+  }
+
+  const direct = {}
+  const changes = []
+  PROFILE_FIELDS.forEach((field) => {
+    const from = user[field.key] || ""
+    const to = values[field.key] || ""
+    if (from === to) {
+      return
+    }
+    if (approvalFields.includes(field.key)) {
+      changes.push({ field: field.key, from, to })
+    } else {
+      direct[field.key] = to
+    }
+  })
+
+  if (Object.keys(direct).length > 0) {
+    await User.updateOne({ _id: user._id }, direct)
+  }
+
+  const pendingRequest = await ProfileChangeRequest.findOne({ user: user._id, status: "pending" })
+  const withdrawn = !!pendingRequest && changes.length === 0
+  if (changes.length > 0) {
+    if (pendingRequest) {
+      pendingRequest.changes = changes
+      await pendingRequest.save()
+    } else {
+      await ProfileChangeRequest.create({ user: user._id, changes })
+    }
+  } else if (pendingRequest) {
+    await pendingRequest.deleteOne()
+  }
+
+  return {
+    direct,
+    applied: Object.keys(direct).map((key) => getProfileField(key).label),
+    queued: changes.map((change) => getProfileField(change.field).label),
+    withdrawn,
+  }
+}
+
+// Message shown after the profile form is saved
+function describeProfileSave({ applied, queued, withdrawn }) {
+  const messages = []
+  if (applied.length > 0) {
+    messages.push(`Updated ${applied.join(", ")}.`)
+  }
+  if (queued.length > 0) {
+    messages.push(`${queued.join(", ")} will change once an administrator approves.`)
+  }
+  if (withdrawn) {
+    messages.push("Your pending changes were withdrawn.")
+  }
+  return messages.length > 0 ? messages.join(" ") : "No changes to save."
+}
+
+// Apply an approved request to the user. Returns { update } with the changed fields or { error }.
+async function approveProfileChangeRequest(request, reviewerId) {
+  const userId = request.user._id || request.user
+  const update = Object.fromEntries(request.changes.map((change) => [change.field, change.to]))
+  if (update.email && (await User.exists({ email: update.email, _id: { $ne: userId } }))) {
+    return { error: "That email address is now used by another account" }
+  }
+  await User.updateOne({ _id: userId }, update)
+
+  request.status = "approved"
+  request.reviewedBy = reviewerId
+  request.reviewedAt = new Date()
+  await request.save()
+  return { update }
+}
+
+async function rejectProfileChangeRequest(request, reviewerId, note = "") {
+  request.status = "rejected"
+  request.reviewedBy = reviewerId
+  request.reviewedAt = new Date()
+  request.reviewNote = note
+  await request.save()
+}
+
+module.exports = {
+  PROFILE_FIELDS,
+  PROFILE_LANGUAGES,
+  profileRules,
+  getProfileField,
+  formatProfileValue,
+  getDepartmentPath,
+  getProfileOverview,
+  loadProfileFields,
+  submitProfileChanges,
+  describeProfileSave,
+  approveProfileChangeRequest,
+  rejectProfileChangeRequest,
+}
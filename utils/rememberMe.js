@@ -0,0 +1,179 @@
+const crypto = require("crypto")
+const RememberToken = require("../models/RememberToken")
+const User = require("../models/User")
+const { destroyUserSessions, establishSession } = require("./sessions")
+const { recordAuthEvent } = require("./authEvents")
+const { isApiTokenRequest } = require("./apiTokens")
+
+// httpOnly cookie holding "<series>.<token>" for users who ticked "Remember me"
+const REMEMBER_COOKIE = "pms_remember"
+
+// A request racing the one that rotated the token may still present the previous token for this long
+const ROTATION_GRACE_MS = 60 * 1000
+
+const COOKIE_PATTERN = /^([a-f0-9]{32})\.([a-f0-9]{64})$/
+
+// How long a remembered login lasts (REMEMBER_ME_DAYS, default 30)
+function getRememberMeDays() {
+  const days = Number.parseInt(process.env.REMEMBER_ME_DAYS, 10)
+  return Number.isInteger(days) && days > 0 ? days : 30
+}
+
+// Cookies are only sent over HTTPS when COOKIE_SECURE=true (set this in production)
+function useSecureCookies() {
+  return process.env.COOKIE_SECURE === "true"
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex")
+}
+
+function getCookieOptions() {
+  return {
+    httpOnly: true,
+    sameSite: "lax",
+    secure: useSecureCookies(),
+    path: "/",
+  }
+}
+
+function setRememberCookie(res, series, token, expiresAt) {
+  res.cookie(REMEMBER_COOKIE, `${series}.${token}`, { ...getCookieOptions(), expires: expiresAt })
+}
+
+function clearRememberMeCookie(res) {
+  res.clearCookie(REMEMBER_COOKIE, getCookieOptions())
+}
+
+// Read { series, token } from the request's cookie header; null when missing or malformed
+function readRememberCookie(req) {
+  const header = req.headers.cookie
+  if (!header) {
+    return null
+  }
+
+  for (const part of header.split(";")) {
+    const separator = part.indexOf("=")
+    if (separator === -1 || part.slice(0, separator).trim() !== REMEMBER_COOKIE) {
+      continue
+    }
+    const match = COOKIE_PATTERN.exec(decodeURIComponent(part.slice(separator + 1).trim()))
+    return match ? { series: match[1], token: match[2] } : null
+  }
+  return null
+}
+
+// Start a new remember-me series for a session that was just established
+async function issueRememberMeToken(req, res, user, authMethod) {
+  const series = crypto.randomBytes(16).toString("hex")
+  const token = crypto.randomBytes(32).toString("hex")
+  const expiresAt = new Date(Date.now() + getRememberMeDays() * 24 * 60 * 60 * 1000)
+
+  await RememberToken.create({
+    user: user._id,
+    series,
+    tokenHash: hashToken(token),
+    authMethod,
+    expiresAt,
+    ip: req.ip || null,
+    userAgent: (req.get("User-Agent") || "").slice(0, 300) || null,
+  })
+
+  req.session.meta.rememberSeries = series
+  setRememberCookie(res, series, token, expiresAt)
+}
+
+// Delete the series in the request's cookie (logout) and clear the cookie
+async function forgetRememberMeToken(req, res) {
+  const cookie = readRememberCookie(req)
+  if (cookie) {
+    await RememberToken.deleteOne({ series: cookie.series })
+  }
+  clearRememberMeCookie(res)
+}
+
+// Sign a visitor without a session back in from their remember-me cookie, rotating the token.
+// A known series presented with a stale token means the cookie was copied: every session of the user is revoked.
+const restoreRememberedLogin = async (req, res, next) => {
+  if (isApiTokenRequest(req) || req.session.user || req.session.pendingTwoFactor) {
+    return next()
+  }
+
+  const cookie = readRememberCookie(req)
+  if (!cookie) {
+    return next()
+  }
+
+  try {
+    const record = await RememberToken.findOne({ series: cookie.series })
+    if (!record || record.expiresAt <= new Date()) {
+      if (record) {
+        await record.deleteOne()
+      }
+      clearRememberMeCookie(res)
+      return next()
+    }
+
+    const tokenHash = hashToken(cookie.token)
+    const isCurrent = tokenHash === record.tokenHash
+    const isRecentlyRotated =
+      tokenHash === record.previousTokenHash &&
+      record.rotatedAt &&
+      Date.now() - record.rotatedAt.getTime() < ROTATION_GRACE_MS
+
+    if (!isCurrent && !isRecentlyRotated) {
+      console.warn("Remember-me token reuse detected, revoking all sessions for user:", String(record.user))
+      await destroyUserSessions(record.user)
+      await recordAuthEvent(req, "login.failure", {
+        user: record.user,
+        method: record.authMethod,
+        reason: "remember_token_reuse",
+      })
+      clearRememberMeCookie(res)
+      return next()
+    }
+
+    const user = await User.findOne({ _id: record.user, isActive: true }).populate("department")
+    if (!user) {
+      await record.deleteOne()
+      clearRememberMeCookie(res)
+      return next()
+    }
+
+    await establishSession(req, user, record.authMethod, { remembered: true })
+    req.session.meta.rememberSeries = record.series
+
+    // Rotate only if no concurrent request already did; the loser keeps the cookie the winner replaced
+    if (isCurrent) {
+      const token = crypto.randomBytes(32).toString("hex")
+      const rotated = await RememberToken.findOneAndUpdate(
+        { _id: record._id, tokenHash },
+        {
+          previousTokenHash: tokenHash,
+          tokenHash: hashToken(token),
+          rotatedAt: new Date(),
+          lastUsedAt: new Date(),
+          ip: req.ip || null,
+        },
+      )
+      if (rotated) {
+        setRememberCookie(res, record.series, token, record.expiresAt)
+      }
+    }
+
+    console.log("Restored remembered login for:", user.employeeId)
+    next()
+  } catch (error) {
+    console.error("Remember-me login error:", error)
+    next()
+  }
+}
+
+module.exports = {
+  getRememberMeDays,
+  useSecureCookies,
+  issueRememberMeToken,
+  forgetRememberMeToken,
+  clearRememberMeCookie,
+  restoreRememberedLogin,
+}
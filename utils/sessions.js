@@ -0,0 +1,228 @@
+const crypto = require("crypto")
+const mongoose = require("mongoose")
+const RememberToken = require("../models/RememberToken")
+const { getPasswordPolicy, isPasswordExpired } = require("./passwordPolicy")
+const { recordAuthEvent } = require("./authEvents")
+
+// lastSeenAt is refreshed at most once a minute so every request does not rewrite the session
+const LAST_SEEN_INTERVAL_MS = 60 * 1000
+
+// connect-mongo keeps each session as { _id: sid, session: "<JSON string>", expires }
+function getSessionCollection() {
+  return mongoose.connection.collection("sessions")
+}
+
+// Matches sessions whose logged-in user is userId (user._id is the first key of req.session.user)
+function userSessionQuery(userId) {
+  return { session: { $regex: `"user":\\{"_id":"${String(userId)}"` } }
+}
+
+// Delete every stored session and remember-me token of a user, optionally keeping the current session (and its token)
+async function destroyUserSessions(userId, exceptSessionId = null) {
+  if (!mongoose.Types.ObjectId.isValid(String(userId))) {
+    return 0
+  }
+
+  const query = userSessionQuery(userId)
+  const tokenQuery = { user: userId }
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId }
+
+    const current = await getSessionCollection().findOne({ _id: exceptSessionId })
+    const keepSeries = current ? parseSessionDocument(current).rememberSeries : null
+    if (keepSeries) {
+      tokenQuery.series = { $ne: keepSeries }
+    }
+  }
+
+  await RememberToken.deleteMany(tokenQuery)
+  const result = await getSessionCollection().deleteMany(query)
+  console.log(`Destroyed ${result.deletedCount} session(s) for user:`, String(userId))
+  return result.deletedCount
+}
+
+// Public handle for a stored session - the session ID itself is a bearer secret and never leaves the server
+function getSessionHandle(sessionId) {
+  return crypto.createHash("sha256").update(String(sessionId)).digest("hex").slice(0, 24)
+}
+
+// Short "Browser on OS" label for the sessions pages
+function describeUserAgent(userAgent) {
+  if (!userAgent) {
+    return "Unknown device"
+  }
+
+  const browsers = [
+    ["Edge", /Edg\//],
+    ["Opera", /OPR\//],
+    ["Chrome", /Chrome\//],
+    ["Firefox", /Firefox\//],
+    ["Safari", /Safari\//],
+  ]
+  const systems = [
+    ["Windows", /Windows/],
+    ["Android", /Android/],
+    ["iOS", /iPhone|iPad/],
+    ["macOS", /Mac OS X/],
+    ["Linux", /Linux/],
+  ]
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent))
+  const system = systems.find(([, pattern]) => pattern.test(userAgent))
+
+  if (!browser && !system) {
+    return userAgent.slice(0, 60)
+  }
+  return `${browser ? browser[0] : "Unknown browser"} on ${system ? system[0] : "unknown OS"}`
+}
+
+// Flatten a stored connect-mongo document into what the sessions pages display
+function parseSessionDocument(doc) {
+  let data = {}
+  try {
+    data = typeof doc.session === "string" ? JSON.parse(doc.session) : doc.session || {}
+  } catch (error) {
+    console.error("Unreadable session document:", doc._id)
+  }
+
+  const meta = data.meta || {}
+  return {
+    id: doc._id,
+    handle: getSessionHandle(doc._id),
+    user: data.user || null,
+    impersonatedBy: data.impersonator ? data.impersonator.user.name : null,
+    ip: meta.ip || null,
+    device: describeUserAgent(meta.userAgent),
+    userAgent: meta.userAgent || null,
+    createdAt: meta.createdAt ? new Date(meta.createdAt) : null,
+    lastSeenAt: meta.lastSeenAt ? new Date(meta.lastSeenAt) : null,
+    rememberSeries: meta.rememberSeries || null,
+    expires: doc.expires,
+  }
+}
+
+function sortByLastSeen(sessions) {
+  return sessions.sort((a, b) => (b.lastSeenAt || 0) - (a.lastSeenAt || 0))
+}
+
+// Unexpired sessions of one user, most recently active first
+async function listUserSessions(userId) {
+  if (!mongoose.Types.ObjectId.isValid(String(userId))) {
+    return []
+  }
+
+  const docs = await getSessionCollection()
+    .find({ ...userSessionQuery(userId), expires: { $gt: new Date() } })
+    .toArray()
+  return sortByLastSeen(docs.map(parseSessionDocument))
+}
+
+// Unexpired sessions of every signed-in user (admin sessions page)
+async function listAllUserSessions() {
+  const docs = await getSessionCollection()
+    .find({ session: { $regex: '"user":\\{"_id":"' }, expires: { $gt: new Date() } })
+    .toArray()
+  return sortByLastSeen(docs.map(parseSessionDocument))
+}
+
+// Revoke one session of a user by its public handle; false when it does not exist or belongs to someone else
+async function destroyUserSessionByHandle(userId, handle) {
+  const sessions = await listUserSessions(userId)
+  const session = sessions.find((s) => s.handle === handle)
+  if (!session) {
+    return false
+  }
+
+  await getSessionCollection().deleteOne({ _id: session.id })
+  if (session.rememberSeries) {
+    await RememberToken.deleteOne({ series: session.rememberSeries })
+  }
+  console.log("Revoked session for user:", String(userId))
+  return true
+}
+
+// The req.session.user object for a User document (department populated).
+// _id must stay the first key - userSessionQuery matches on it.
+function buildSessionUser(user) {
+  return {
+    _id: user._id,
+    name: user.name,
+    email: user.email,
+    role: user.role,
+    employeeId: user.employeeId,
+    department: user.department,
+    hodLevel: user.hodLevel,
+    mustChangePassword: user.mustChangePassword,
+    passwordChangedAt: user.passwordChangedAt,
+  }
+}
+
+// Device details stored with a freshly established session
+function recordSessionMeta(req) {
+  const now = Date.now()
+  req.session.meta = {
+    ip: req.ip,
+    userAgent: (req.get("User-Agent") || "").slice(0, 300),
+    createdAt: now,
+    lastSeenAt: now,
+  }
+}
+
+// Refresh lastSeenAt/ip on authenticated requests
+function touchSession(req) {
+  const meta = req.session.meta
+  if (!meta) {
+    return recordSessionMeta(req)
+  }
+  if (Date.now() - meta.lastSeenAt > LAST_SEEN_INTERVAL_MS) {
+    meta.lastSeenAt = Date.now()
+    meta.ip = req.ip
+  }
+}
+
+// Start a fresh, fully authenticated session for a user (department populated).
+// remembered marks a login restored from a remember-me cookie rather than typed credentials.
+async function establishSession(req, user, authMethod = "password", { remembered = false } = {}) {
+  // Employees and HODs with an expired password are sent to their change password page.
+  // Single sign-on and directory logins never use the local password, so its age and reset flag do not apply.
+  const passwordLogin = authMethod === "password"
+  const passwordExpired =
+    passwordLogin && user.role !== "admin" && isPasswordExpired(user, await getPasswordPolicy())
+
+  await new Promise((resolve, reject) => {
+    // New session ID on login so a pre-login session cookie cannot be reused
+    req.session.regenerate((err) => {
+      if (err) {
+        return reject(err)
+      }
+
+      req.session.user = {
+        ...buildSessionUser(user),
+        mustChangePassword: passwordLogin && (user.mustChangePassword || passwordExpired),
+        passwordExpired,
+        authMethod,
+      }
+      recordSessionMeta(req)
+      resolve()
+    })
+  })
+
+  await recordAuthEvent(req, "login.success", {
+    user,
+    method: authMethod,
+    reason: remembered ? "remember_me" : null,
+  })
+}
+
+module.exports = {
+  getSessionCollection,
+  userSessionQuery,
+  destroyUserSessions,
+  getSessionHandle,
+  listUserSessions,
+  listAllUserSessions,
+  destroyUserSessionByHandle,
+  buildSessionUser,
+  recordSessionMeta,
+  touchSession,
+  establishSession,
+}
@@ -0,0 +1,191 @@
+const DepartmentTransfer = require("../models/DepartmentTransfer")
+const Department = require("../models/Department")
+const User = require("../models/User")
+
+// A review month counts people in the department they were in on its last day: "M10 2025" -> 31 Oct 2025 23:59:59.999
+function getMonthEffectiveDate(month) {
+  const match = /^M(\d{1,2}) (\d{4})$/.exec(month || "")
+  if (!match) {
+    return new Date()
+  }
+  return new Date(Number(match[2]), Number(match[1]), 0, 23, 59, 59, 999)
+}
+
+function departmentIdOf(user) {
+  const department = user.department
+  if (!department) {
+    return null
+  }
+  return String(department._id || department)
+}
+
+// Department each user was in on the date: the origin of their first transfer after it, otherwise their current one.
+// Returns Map(userId -> departmentId or null).
+async function getDepartmentsOnDate(users, date) {
+  const later = await DepartmentTransfer.find({
+    user: { $in: users.map((user) => user._id) },
+    effectiveDate: { $gt: date },
+  })
+    .sort({ effectiveDate: 1, createdAt: 1 })
+    .lean()
+
+  const firstLater = new Map()
+  later.forEach((transfer) => {
+    const key = String(transfer.user)
+    if (!firstLater.has(key)) {
+      firstLater.set(key, transfer)
+    }
+  })
+
+  return new Map(
+    users.map((user) => {
+      const transfer = firstLater.get(String(user._id))
+      const departmentId = transfer ? (transfer.fromDepartment ? String(transfer.fromDepartment) : null) : departmentIdOf(user)
+      return [String(user._id), departmentId]
+    }),
+  )
+}
+
+async function getDepartmentForMonth(user, month) {
+  const departments = await getDepartmentsOnDate([user], getMonthEffectiveDate(month))
+  return departments.get(String(user._id))
+}
+
+// Users matching the query, each with department set to (and populated as) the one in effect for the review month.
+// The documents are for reading only - saving one would move the user.
+async function findUsersForMonth(query, month, departmentFields = "name") {
+  const users = await User.find(query)
+  const departments = await getDepartmentsOnDate(users, getMonthEffectiveDate(month))
+  users.forEach((user) => {
+    user.department = departments.get(String(user._id))
+  })
+  return User.populate(users, { path: "department", select: departmentFields })
+}
+
+// findUsersForMonth limited to people who were in one of departmentIds during the review month. Only people in
+// those departments now, or with a later transfer out of one, are loaded rather than the whole organisation.
+async function findDepartmentUsersForMonth(departmentIds, query, month, departmentFields = "name") {
+  const ids = departmentIds.map(String)
+  const movedOutSince = await DepartmentTransfer.distinct("user", {
+    fromDepartment: { $in: ids },
+    effectiveDate: { $gt: getMonthEffectiveDate(month) },
+  })
+  const users = await findUsersForMonth(
+    { ...query, $or: [{ department: { $in: ids } }, { _id: { $in: movedOutSince } }] },
+    month,
+    departmentFields,
+  )
+  return users.filter((user) => user.department && ids.includes(String(user.department._id)))
+}
+
+// Move a user to toDepartment from effectiveDate, which may lie in the past. A back-dated transfer becomes the
+// origin of the next recorded one; only a transfer later than every other changes User.department.
+// Returns { transfer } or { error }.
+async function recordTransfer({ user, toDepartment, effectiveDate, reason = "", recordedBy = null }) {
+  if (effectiveDate.getTime() > Date.now()) {
+    return { error: "The effective date cannot be in the future" }
+  }
+  if (user.joiningDate && effectiveDate < new Date(user.joiningDate).setHours(0, 0, 0, 0)) {
+    return { error: "The effective date is before the employee joined" }
+  }
+
+  const department = await Department.findOne({ _id: toDepartment, isActive: true })
+  if (!department) {
+    return { error: "Valid department is required" }
+  }
+
+  const fromDepartment = (await getDepartmentsOnDate([user], effectiveDate)).get(String(user._id))
+  if (fromDepartment === String(department._id)) {
+    return { error: `${user.name} was already in ${department.name} on that date` }
+  }
+
+  const transfer = await DepartmentTransfer.create({
+    user: user._id,
+    fromDepartment,
+    toDepartment: department._id,
+    effectiveDate,
+    reason,
+    recordedBy,
+  })
+
+  const next = await DepartmentTransfer.findOne({ user: user._id, effectiveDate: { $gt: effectiveDate } }).sort({
+    effectiveDate: 1,
+    createdAt: 1,
+  })
+  if (!next) {
+    await User.updateOne({ _id: user._id }, { department: department._id })
+    await syncDepartmentHods(user._id, user, { role: user.role, department: department._id })
+  } else if (String(next.toDepartment) === String(department._id)) {
+    // The later move into this department no longer changes anything
+    await next.deleteOne()
+  } else {
+    next.fromDepartment = department._id
+    await next.save()
+  }
+
+  return { transfer }
+}
+
+// Keep Department.hods in step with a person's role and current department. before and after are
+// { role, department } (a department id or document). A demoted HOD leaves every list, a HOD who moves leaves the
+// old department's list, and a HOD joins the list of the department they are now in.
+async function syncDepartmentHods(userId, before, after) {
+  const wasHod = before.role === "hod"
+  const isHod = after.role === "hod"
+  const fromDepartment = departmentIdOf(before)
+  const toDepartment = departmentIdOf(after)
+  const moved = fromDepartment !== toDepartment
+
+  if (wasHod && !isHod) {
+    await Department.updateMany({ hods: userId }, { $pull: { hods: userId } })
+  } else if (wasHod && moved && fromDepartment) {
+    await Department.updateOne({ _id: fromDepartment }, { $pull: { hods: userId } })
+  }
+  if (isHod && (!wasHod || moved) && toDepartment) {
+    await Department.updateOne({ _id: toDepartment }, { $addToSet: { hods: userId } })
+  }
+}
+
+// Record a department change made on the employee form (or elsewhere, with its own reason), effective immediately
+async function recordDepartmentChange(
+  userId,
+  fromDepartment,
+  toDepartment,
+  recordedBy,
+  reason = "Changed on the employee form",
+) {
+  return DepartmentTransfer.create({
+    user: userId,
+    fromDepartment: fromDepartment || null,
+    toDepartment,
+    effectiveDate: new Date(),
+    reason,
+    recordedBy,
+  })
+}
+
+// Middleware exposing an employee's transfers (newest first) to the edit employee page
+async function loadTransferHistory(req, res, next) {
+  try {
+    res.locals.transfers = await DepartmentTransfer.find({ user: req.params.id })
+      .populate("fromDepartment", "name")
+      .populate("toDepartment", "name")
+      .populate("recordedBy", "name")
+      .sort({ effectiveDate: -1, createdAt: -1 })
+    next()
+  } catch (error) {
+    next(error)
+  }
+}
+
+module.exports = {
+  getMonthEffectiveDate,
+  getDepartmentsOnDate,
+  getDepartmentForMonth,
+  findUsersForMonth,
+  findDepartmentUsersForMonth,
+  recordTransfer,
+  recordDepartmentChange,
+  syncDepartmentHods,
+  loadTransferHistory,
+}
@@ -0,0 +1,106 @@
+const crypto = require("crypto")
+const { authenticator } = require("otplib")
+const QRCode = require("qrcode")
+const Setting = require("../models/Setting")
+const User = require("../models/User")
+
+// Accept the previous and next 30s step to tolerate clock drift
+authenticator.options = { window: 1 }
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || "PMS"
+const RECOVERY_CODE_COUNT = 10
+const TWO_FACTOR_ROLES = ["admin", "hod"]
+
+// Requirement for a role: "off", "optional" or "required"
+async function getTwoFactorRequirement(role) {
+  if (!TWO_FACTOR_ROLES.includes(role)) {
+    return "off"
+  }
+  const settings = await Setting.getSettings()
+  return settings.twoFactor[role] || "optional"
+}
+
+function generateSecret() {
+  return authenticator.generateSecret()
+}
+
+// otpauth:// URI and QR code image (data URL) for authenticator apps
+async function buildProvisioning(user, secret) {
+  const otpauthUrl = authenticator.keyuri(user.employeeId, ISSUER, secret)
+  const qrCodeDataUrl = await QRCode.toDataURL(otpauthUrl)
+  return { otpauthUrl, qrCodeDataUrl }
+}
+
+// Time step (30s counter) the code was generated for, or null when it does not match the secret
+function getTokenStep(secret, token) {
+  const cleaned = String(token || "").replace(/\s+/g, "")
+  if (!secret || !/^\d{6}$/.test(cleaned)) {
+    return null
+  }
+  try {
+    const delta = authenticator.checkDelta(cleaned, secret)
+    if (delta === null) {
+      return null
+    }
+    return Math.floor(Date.now() / 1000 / authenticator.allOptions().step) + delta
+  } catch (error) {
+    console.error("TOTP verification error:", error.message)
+    return null
+  }
+}
+
+function verifyToken(secret, token) {
+  return getTokenStep(secret, token) !== null
+}
+
+function hashRecoveryCode(code) {
+  return crypto
+    .createHash("sha256")
+    .update(String(code).replace(/[\s-]/g, "").toLowerCase())
+    .digest("hex")
+}
+
+// Plain codes are shown to the user once; only the hashes are stored
+function generateRecoveryCodes() {
+  const codes = []
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString("hex")
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`)
+  }
+  return { codes, hashes: codes.map(hashRecoveryCode) }
+}
+
+// Check a TOTP code or a recovery code; a used recovery code is removed from the user.
+// The user must be loaded with +twoFactorSecret +twoFactorRecoveryCodes.
+async function verifySecondFactor(user, code) {
+  const step = getTokenStep(user.twoFactorSecret, code)
+  if (step !== null) {
+    // Each code works once: claiming its step in one update also stops two requests racing with the same code
+    const claimed = await User.updateOne(
+      { _id: user._id, $or: [{ twoFactorLastStep: null }, { twoFactorLastStep: { $lt: step } }] },
+      { $set: { twoFactorLastStep: step } },
+    )
+    return claimed.modifiedCount === 1 ? { valid: true, usedRecoveryCode: false } : { valid: false }
+  }
+
+  const hash = hashRecoveryCode(code || "")
+  const index = (user.twoFactorRecoveryCodes || []).indexOf(hash)
+  if (code && index !== -1) {
+    user.twoFactorRecoveryCodes.splice(index, 1)
+    await user.save()
+    return { valid: true, usedRecoveryCode: true, remainingRecoveryCodes: user.twoFactorRecoveryCodes.length }
+  }
+
+  return { valid: false }
+}
+
+module.exports = {
+  TWO_FACTOR_ROLES,
+  getTwoFactorRequirement,
+  generateSecret,
+  buildProvisioning,
+  getTokenStep,
+  verifyToken,
+  generateRecoveryCodes,
+  verifySecondFactor,
+}